@@ -0,0 +1,122 @@
+// ============================================================================
+// ADAPTIVE CONCURRENCY
+// ============================================================================
+// Runs page creations side by side without tripping Confluence's rate limits.
+// Concurrency grows by one after a streak of clean completions and halves on a
+// 429, with new work held back until the server's Retry-After has passed.
+
+export const createAdaptiveLimiter = ({ initial = 3, min = 1, max = 6, increaseAfter = 5 } = {}) => {
+  let limit = initial;
+  let active = 0;
+  let successes = 0;
+  let pausedUntil = 0;
+  let timer = null;
+  const waiting = [];
+
+  const pump = () => {
+    const pauseLeft = pausedUntil - Date.now();
+    if (pauseLeft > 0) {
+      if (!timer) {
+        timer = setTimeout(() => {
+          timer = null;
+          pump();
+        }, pauseLeft);
+      }
+      return;
+    }
+    while (active < limit && waiting.length > 0) {
+      active++;
+      waiting.shift()();
+    }
+  };
+
+  return {
+    get limit() {
+      return limit;
+    },
+
+    acquire: () => new Promise(resolve => {
+      waiting.push(resolve);
+      pump();
+    }),
+
+    release: () => {
+      active--;
+      pump();
+    },
+
+    recordSuccess: () => {
+      successes++;
+      if (successes >= increaseAfter && limit < max) {
+        limit++;
+        successes = 0;
+      }
+      pump();
+    },
+
+    recordRateLimit: (delayMs = 0) => {
+      limit = Math.max(min, Math.floor(limit / 2));
+      successes = 0;
+      pausedUntil = Math.max(pausedUntil, Date.now() + delayMs);
+    }
+  };
+};
+
+// Run `worker` over `items` through the limiter. No new item starts once `shouldStart`
+// returns false or a worker has failed; items already running are always awaited, and
+// the first failure is rethrown after them.
+export const runWithLimiter = async (limiter, items, worker, shouldStart = () => true) => {
+  const running = new Set();
+  let failure = null;
+  const canStart = () => !failure && shouldStart();
+  for (const item of items) {
+    if (!canStart()) {
+      break;
+    }
+    await limiter.acquire();
+    if (!canStart()) {
+      limiter.release();
+      break;
+    }
+    const task = worker(item)
+      .catch((error) => {
+        failure = failure || { error };
+      })
+      .finally(() => {
+        limiter.release();
+        running.delete(task);
+      });
+    running.add(task);
+  }
+  await Promise.all(running);
+  if (failure) {
+    throw failure.error;
+  }
+};
+
+// Indexes of the longest run of items already in increasing order (longest increasing
+// subsequence), so an ordering pass only has to move the pages outside it
+export const findOrderedIndexes = (values) => {
+  const tails = [];
+  const previous = new Array(values.length).fill(-1);
+  values.forEach((value, i) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (values[tails[mid]] < value) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    previous[i] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = i;
+  });
+
+  const kept = new Set();
+  for (let i = tails.length ? tails[tails.length - 1] : -1; i !== -1; i = previous[i]) {
+    kept.add(i);
+  }
+  return kept;
+};
@@ -0,0 +1,26 @@
+import { describe, expect, it } from 'vitest';
+import { createAdaptiveLimiter, runWithLimiter } from './adaptiveLimiter';
+
+describe('runWithLimiter', () => {
+  it('waits for running items and rethrows the first failure', async () => {
+    const limiter = createAdaptiveLimiter({ initial: 1, max: 1 });
+    const started = [];
+    const run = runWithLimiter(limiter, [1, 2, 3], async (item) => {
+      started.push(item);
+      if (item === 1) {
+        throw new Error('save failed');
+      }
+    });
+    await expect(run).rejects.toThrow('save failed');
+    expect(started).toEqual([1]);
+  });
+
+  it('runs every item when none fail', async () => {
+    const limiter = createAdaptiveLimiter({ initial: 2 });
+    const done = [];
+    await runWithLimiter(limiter, [1, 2, 3], async (item) => {
+      done.push(item);
+    });
+    expect(done.sort()).toEqual([1, 2, 3]);
+  });
+});
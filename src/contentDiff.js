@@ -0,0 +1,113 @@
+// ============================================================================
+// CONTENT DIFF
+// ============================================================================
+// Readable before/after comparison of two storage-format bodies, used to preview
+// what propagating a template change will do to each generated page.
+
+// Above this many line comparisons the diff falls back to "replace the changed block"
+const MAX_DIFF_CELLS = 250000;
+
+const BLOCK_END = /<\/(p|h[1-6]|li|tr|th|td|pre|blockquote|div|ac:structured-macro|ac:task)>|<br\s*\/?>|<hr\s*\/?>/gi;
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&nbsp;': ' ' };
+
+// Storage XML as the lines of text a reader sees, one block element per line
+export const toDiffLines = (content = '') => content
+  .replace(BLOCK_END, '\n')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, entity => ENTITIES[entity])
+  .split('\n')
+  .map(line => line.replace(/\s+/g, ' ').trim())
+  .filter(Boolean);
+
+// Line diff of two arrays: [{ type: 'same' | 'added' | 'removed', text }]
+export const diffLines = (before, after) => {
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) {
+    start++;
+  }
+  let endBefore = before.length;
+  let endAfter = after.length;
+  while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+    endBefore--;
+    endAfter--;
+  }
+
+  const head = before.slice(0, start).map(text => ({ type: 'same', text }));
+  const tail = before.slice(endBefore).map(text => ({ type: 'same', text }));
+  const a = before.slice(start, endBefore);
+  const b = after.slice(start, endAfter);
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      ...head,
+      ...a.map(text => ({ type: 'removed', text })),
+      ...b.map(text => ({ type: 'added', text })),
+      ...tail
+    ];
+  }
+
+  // Longest common subsequence table, filled from the end so the walk below goes forwards
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const middle = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      middle.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      middle.push({ type: 'removed', text: a[i] });
+      i++;
+    } else {
+      middle.push({ type: 'added', text: b[j] });
+      j++;
+    }
+  }
+
+  return [...head, ...middle, ...tail];
+};
+
+// Compare two storage bodies, keeping only changed lines and a little context around them.
+// Runs of unchanged lines collapse to { type: 'skip', count }.
+export const summarizeContentDiff = (beforeContent, afterContent, { context = 2, maxLines = 80 } = {}) => {
+  const entries = diffLines(toDiffLines(beforeContent), toDiffLines(afterContent));
+  const added = entries.filter(entry => entry.type === 'added').length;
+  const removed = entries.filter(entry => entry.type === 'removed').length;
+
+  const keep = entries.map((entry, index) => entry.type !== 'same' ||
+    entries.slice(Math.max(0, index - context), index + context + 1).some(other => other.type !== 'same'));
+
+  const lines = [];
+  let skipped = 0;
+  entries.forEach((entry, index) => {
+    if (!keep[index]) {
+      skipped++;
+      return;
+    }
+    if (skipped > 0) {
+      lines.push({ type: 'skip', count: skipped });
+      skipped = 0;
+    }
+    lines.push(entry);
+  });
+  if (skipped > 0 && lines.length > 0) {
+    lines.push({ type: 'skip', count: skipped });
+  }
+
+  return {
+    added,
+    removed,
+    // Markup-only changes (macro parameters, formatting) don't show up as text lines
+    markupOnly: added === 0 && removed === 0 && beforeContent !== afterContent,
+    lines: lines.slice(0, maxLines),
+    truncated: lines.length > maxLines
+  };
+};
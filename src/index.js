@@ -1,5 +1,22 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { createHash } from 'node:crypto';
 import Resolver from '@forge/resolver';
-import api, { route, storage } from '@forge/api';
+import api, { route, startsWith, storage } from '@forge/api';
+import { Queue } from '@forge/events';
+import {
+  BUILT_IN_PLACEHOLDERS,
+  buildPageVariables,
+  extractPlaceholders,
+  extractTemplatePlaceholders,
+  hasPlaceholders,
+  renderTemplate
+} from './templateRenderer';
+import { computeNextRunAt, describeRecurrence, validateRecurrence } from './recurrence';
+import { SEQUENCE_MODES, generateSequence } from './sequenceEngine';
+import { summarizeContentDiff } from './contentDiff';
+import { createAdaptiveLimiter, findOrderedIndexes, runWithLimiter } from './adaptiveLimiter';
+import { buildPageSearchCql } from './pageSearch';
+import { inferTitlePattern, renderTitlePattern } from './titlePattern';
 
 const resolver = new Resolver();
 
@@ -38,9 +55,107 @@ const setCache = (key, data) => {
   cache.set(key, { data, timestamp: Date.now() });
 };
 
+// Scheduled runs have no signed-in user, so the page pipeline makes its Confluence calls as the app.
+// `runAs('app', fn)` switches every confluenceApi() call made while fn runs.
+const principalContext = new AsyncLocalStorage();
+const runAs = (principal, fn) => principalContext.run({ principal: principal || 'user' }, fn);
+
+// Rate limits (429) and server errors (5xx) are retried with exponential backoff, honouring
+// Retry-After. A POST is only retried on 429: after a 5xx the page may have been created
+// anyway, and posting again would fail on its title (callers look the page up instead).
+// All waits for one request add up to at most MAX_TOTAL_RETRY_DELAY_MS, so one request's
+// retries can't use up a resolver call's 25 s limit on their own.
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const MAX_REQUEST_ATTEMPTS = 4;
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 5 * 1000;
+const MAX_TOTAL_RETRY_DELAY_MS = 8 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// The concurrency limiter of the bulk run making the current call, told about every 429
+const rateLimitContext = new AsyncLocalStorage();
+
+// Retry-After is either a number of seconds or an HTTP date
+const getRetryDelayMs = (response, attempt) => {
+  const retryAfter = response.headers?.get?.('Retry-After');
+  let delay = BASE_RETRY_DELAY_MS * 2 ** (attempt - 1) + Math.floor(Math.random() * 250);
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    delay = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+  }
+  return Math.min(Math.max(delay, 0), MAX_RETRY_DELAY_MS);
+};
+
+const isRetryable = (response, options) => (String(options?.method || 'GET').toUpperCase() === 'POST'
+  ? response.status === 429
+  : RETRYABLE_STATUSES.includes(response.status));
+
+const withRetries = (client) => ({
+  requestConfluence: async (path, options) => {
+    let waited = 0;
+    for (let attempt = 1; ; attempt++) {
+      const response = await client.requestConfluence(path, options);
+      if (!isRetryable(response, options) || attempt >= MAX_REQUEST_ATTEMPTS || waited >= MAX_TOTAL_RETRY_DELAY_MS) {
+        return response;
+      }
+      const delay = Math.min(getRetryDelayMs(response, attempt), MAX_TOTAL_RETRY_DELAY_MS - waited);
+      waited += delay;
+      if (response.status === 429) {
+        rateLimitContext.getStore()?.recordRateLimit(delay);
+      }
+      console.log(`⏳ Confluence returned ${response.status}, retrying in ${delay} ms (attempt ${attempt + 1}/${MAX_REQUEST_ATTEMPTS})`);
+      await sleep(delay);
+    }
+  }
+});
+
+const confluenceApi = () => withRetries(principalContext.getStore()?.principal === 'app' ? api.asApp() : api.asUser());
+
+// Read every storage entry whose key starts with a prefix (queries return at most 20 per call)
+const queryAllByPrefix = async (prefix) => {
+  const results = [];
+  let cursor;
+
+  do {
+    let query = storage.query().where('key', startsWith(prefix)).limit(20);
+    if (cursor) {
+      query = query.cursor(cursor);
+    }
+    const page = await query.getMany();
+    results.push(...page.results);
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  return results;
+};
+
+// Display name for an Atlassian account, cached because history views repeat the same users
+const getUserDisplayName = async (accountId) => {
+  if (!accountId) {
+    return null;
+  }
+
+  const cacheKey = `user_${accountId}`;
+  const cached = getCached(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const response = await confluenceApi().requestConfluence(route`/wiki/rest/api/user?accountId=${accountId}`);
+  if (!response.ok) {
+    logError('User lookup error:', `${response.status}`);
+    return null;
+  }
+
+  const user = await response.json();
+  setCache(cacheKey, user.displayName);
+  return user.displayName;
+};
+
 // Utility function to eliminate duplicate space lookup code
 const getSpaceById = async (spaceKey) => {
-  const spaceResp = await api.asUser().requestConfluence(
+  const spaceResp = await confluenceApi().requestConfluence(
     route`/wiki/api/v2/spaces?keys=${spaceKey}&limit=1`
   );
   
@@ -58,6 +173,163 @@ const handleApiError = async (response, operation) => {
   throw new Error(`${operation} failed: ${response.status}`);
 };
 
+// Extract a readable message from a failed Confluence write response
+const parseApiErrorMessage = (errorText, status) => {
+  let errorMessage = `Failed to create page: ${status}`;
+
+  try {
+    const parsed = JSON.parse(errorText);
+    if (parsed?.message) {
+      errorMessage = parsed.message;
+    } else if (parsed?.errors?.length) {
+      errorMessage = parsed.errors.map(e => e.message || e.title || e).join('; ');
+    }
+  } catch (parseErr) {
+    // Non-JSON response; keep default message
+  }
+
+  return errorMessage;
+};
+
+// Create a single page and normalise the result so callers don't repeat response handling
+const createPage = async ({ spaceId, title, content, parentId }) => {
+  const pagePayload = {
+    spaceId,
+    status: 'current',
+    title,
+    body: {
+      representation: 'storage',
+      value: content
+    }
+  };
+
+  if (parentId) {
+    pagePayload.parentId = parentId;
+  }
+
+  const response = await confluenceApi().requestConfluence(route`/wiki/api/v2/pages`, {
+    method: 'POST',
+    headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' },
+    body: JSON.stringify(pagePayload)
+  });
+
+  if (response.ok) {
+    const pageData = await response.json();
+    return {
+      ok: true,
+      page: {
+        id: pageData.id,
+        title: pageData.title,
+        url: pageData._links?.base + pageData._links?.webui,
+        version: pageData.version?.number
+      }
+    };
+  }
+
+  const errorText = await response.text();
+  return {
+    ok: false,
+    status: response.status,
+    error: parseApiErrorMessage(errorText, response.status),
+    errorDetails: errorText
+  };
+};
+
+// Replace a page's body as a new version, returning the same shape as createPage
+const updatePage = async ({ pageId, title, content, message = 'Updated by Bulk Page Cloner' }) => {
+  const currentResp = await confluenceApi().requestConfluence(route`/wiki/api/v2/pages/${pageId}`);
+  if (!currentResp.ok) {
+    const errorText = await currentResp.text();
+    return { ok: false, status: currentResp.status, error: parseApiErrorMessage(errorText, currentResp.status), errorDetails: errorText };
+  }
+  const current = await currentResp.json();
+
+  const response = await confluenceApi().requestConfluence(route`/wiki/api/v2/pages/${pageId}`, {
+    method: 'PUT',
+    headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      id: pageId,
+      status: 'current',
+      title,
+      body: { representation: 'storage', value: content },
+      version: { number: current.version.number + 1, message }
+    })
+  });
+
+  if (response.ok) {
+    const pageData = await response.json();
+    return {
+      ok: true,
+      previousVersion: current.version.number,
+      page: {
+        id: pageData.id,
+        title: pageData.title,
+        url: pageData._links?.base + pageData._links?.webui,
+        version: pageData.version?.number
+      }
+    };
+  }
+
+  const errorText = await response.text();
+  return {
+    ok: false,
+    status: response.status,
+    error: parseApiErrorMessage(errorText, response.status),
+    errorDetails: errorText
+  };
+};
+
+// Move a page directly after (or before) a sibling so the tree keeps the requested order
+const movePage = async (page, sibling, position = 'after') => {
+  try {
+    const moveResp = await confluenceApi().requestConfluence(
+      route`/wiki/rest/api/content/${page.id}/move/${position}/${sibling.id}`,
+      {
+        method: 'POST',
+        headers: { 'Accept': 'application/json' }
+      }
+    );
+    if (!moveResp.ok) {
+      const moveErrorText = await moveResp.text();
+      console.error(`❌ Failed to order page ${page.title}: ${moveResp.status} - ${moveErrorText}`);
+    }
+  } catch (moveError) {
+    console.error(`❌ Failed to order page ${page.title}:`, moveError);
+  }
+};
+
+// Look up a page title, used to fill the {{parent.title}} placeholder
+const getPageTitle = async (pageId) => {
+  const response = await confluenceApi().requestConfluence(route`/wiki/api/v2/pages/${pageId}`);
+  if (!response.ok) {
+    return '';
+  }
+  const pageData = await response.json();
+  return pageData.title || '';
+};
+
+// Find a page by exact title in a space (titles are unique per space)
+const findPageByTitle = async (spaceId, title) => {
+  const response = await confluenceApi().requestConfluence(
+    route`/wiki/api/v2/pages?space-id=${spaceId}&title=${title}&limit=1`
+  );
+  if (!response.ok) {
+    return null;
+  }
+  const data = await response.json();
+  const pageData = data.results?.[0];
+  return pageData
+    ? { id: pageData.id, title: pageData.title, url: pageData._links?.base + pageData._links?.webui }
+    : null;
+};
+
+// Read the cursor out of a v2 `_links.next` URL
+const getNextCursor = (links) => {
+  if (!links?.next) return null;
+  const query = links.next.split('?')[1] || '';
+  return new URLSearchParams(query).get('cursor');
+};
+
 log('🚀 BULK PAGE CLONER - RESOLVER LOADING...');
 
 // ============================================================================
@@ -184,149 +456,54 @@ resolver.define('getSpacePages', async (req) => {
 });
 
 // ============================================================================
-// OPTIMIZED ALL PAGES LOADER - NEW EFFICIENT APPROACH
+// PAGE SEARCH - SERVER-SIDE CQL WITH CURSOR PAGINATION
 // ============================================================================
 
-// Get all pages from all spaces efficiently with unlimited pagination (BRG pattern)
-resolver.define('getAllPagesOptimized', async (req) => {
-  console.log('=== FETCHING ALL PAGES OPTIMIZED (BRG PATTERN) ===');
+const DEFAULT_SEARCH_PAGE_SIZE = 25;
+const MAX_SEARCH_PAGE_SIZE = 100;
+
+// Run a CQL content search, returning one page of raw results and the cursor for the next
+const searchContent = async (cql, { cursor, limit, expand }) => {
+  const pageSize = Math.min(Math.max(1, Number(limit) || DEFAULT_SEARCH_PAGE_SIZE), MAX_SEARCH_PAGE_SIZE);
+  log(`🔍 Searching pages: ${cql}`);
+
+  const response = cursor
+    ? await confluenceApi().requestConfluence(
+        route`/wiki/rest/api/content/search?cql=${cql}&limit=${pageSize}&expand=${expand}&cursor=${cursor}`
+      )
+    : await confluenceApi().requestConfluence(
+        route`/wiki/rest/api/content/search?cql=${cql}&limit=${pageSize}&expand=${expand}`
+      );
+
+  if (!response.ok) {
+    await handleApiError(response, 'Page search');
+  }
+
+  const data = await response.json();
+  return { results: data.results || [], nextCursor: getNextCursor(data._links) };
+};
+
+// One page of template-browser results filtered by title, space, label and last-modified date.
+// Pass the returned nextCursor back to get the following page (null when there are no more).
+resolver.define('searchPages', async (req) => {
   try {
-    // First get ALL spaces with unlimited pagination
-    let spaces = [];
-    let start = 0;
-    const limit = 250; // Maximum batch size for efficiency
-    let more = true;
-    let fetchCount = 0;
-    
-    console.log('📡 Fetching all spaces...');
-    while (more) {
-      const spacesResponse = await api.asUser().requestConfluence(route`/wiki/api/v2/spaces?limit=${limit}&start=${start}`);
-      
-      if (!spacesResponse.ok) {
-        const errorText = await spacesResponse.text();
-        console.error('Spaces API error:', spacesResponse.status, errorText);
-        throw new Error(`Spaces API failed: ${spacesResponse.status}`);
-      }
-      
-      const spacesData = await spacesResponse.json();
-      const newSpaces = (spacesData.results || []).map(space => ({
-        key: space.key,
-        name: space.name,
-        type: space.type,
-        status: space.status,
-        id: space.id
-      }));
-      
-      spaces = spaces.concat(newSpaces);
-      
-      // Continue pagination until no more spaces
-      if (spacesData._links && spacesData._links.next && newSpaces.length > 0) {
-        start += limit;
-        fetchCount++;
-      } else {
-        more = false;
-      }
-      
-      // Safety check: if we get an empty batch, stop
-      if (newSpaces.length === 0) {
-        more = false;
-      }
-    }
-    
-    console.log(`📊 Found ${spaces.length} spaces, loading pages...`);
-    
-    // Now get pages from ALL spaces with unlimited pagination (up to 5,000 pages)
-    const allPages = [];
-    const PAGE_LIMIT = 5000; // Limit to 5,000 pages for performance
-    
-    console.log('📄 Fetching pages from all spaces...');
-    for (const space of spaces) {
-      // Stop if we've reached the page limit
-      if (allPages.length >= PAGE_LIMIT) {
-        console.log(`⚠️ Reached page limit of ${PAGE_LIMIT}, stopping`);
-        break;
-      }
-      
-      try {
-        console.log(`📖 Fetching pages for space: ${space.name} (${space.key})`);
-        
-        let spacePages = [];
-        let pageStart = 0;
-        let pageMore = true;
-        let pageFetchCount = 0;
-        
-        while (pageMore) {
-          // Stop if we've reached the page limit
-          if (allPages.length >= PAGE_LIMIT) {
-            console.log(`⚠️ Reached page limit of ${PAGE_LIMIT}, stopping space pagination`);
-            break;
-          }
-          
-          console.log(`🔍 Fetching pages batch ${pageFetchCount + 1} for space ${space.key}, start: ${pageStart}`);
-          
-          const pagesResponse = await api.asUser().requestConfluence(
-            route`/wiki/api/v2/spaces/${space.id}/pages?limit=${limit}&start=${pageStart}&sort=modified-date&order=desc`
-          );
-          
-          if (!pagesResponse.ok) {
-            console.log(`Pages API error for space ${space.key}:`, pagesResponse.status);
-            break;
-          }
-          
-          const pagesData = await pagesResponse.json();
-          const newPages = (pagesData.results || [])
-            .filter(page => page.title !== space.name && page.title !== space.key) // Filter out space names
-            .map(page => ({
-              id: page.id,
-              title: page.title,
-              spaceKey: space.key,
-              spaceName: space.name,
-              lastModified: page.version?.when || page.createdAt || 'Unknown'
-            }));
-          
-          spacePages = spacePages.concat(newPages);
-          console.log(`✅ Got ${newPages.length} pages in batch ${pageFetchCount + 1} for space ${space.key} (space total: ${spacePages.length})`);
-          
-          // Continue pagination until no more pages
-          if (pagesData._links && pagesData._links.next && newPages.length > 0) {
-            pageStart += limit;
-            pageFetchCount++;
-          } else {
-            pageMore = false;
-          }
-          
-          // Safety check: if we get an empty batch, stop
-          if (newPages.length === 0) {
-            pageMore = false;
-          }
-        }
-        
-        allPages.push(...spacePages);
-        console.log(`✅ Completed space ${space.name}: ${spacePages.length} pages (running total: ${allPages.length})`);
-        
-      } catch (error) {
-        console.error(`❌ Error loading pages for space ${space.key}:`, error);
-        // Continue with next space
-      }
-    }
-    
-    console.log(`🎉 getAllPagesOptimized COMPLETE - ${allPages.length} pages from ${spaces.length} spaces`);
-    return { 
-      pages: allPages, 
-      spaces: spaces,
-      totalCount: allPages.length,
-      loadedSpaces: spaces.length
+    const { query, spaceKey, label, modifiedWithinDays, cursor, limit } = req.payload || {};
+    const cql = buildPageSearchCql({ query, spaceKey, label, modifiedWithinDays });
+    const { results, nextCursor } = await searchContent(cql, { cursor, limit, expand: 'space,version' });
+    return {
+      success: true,
+      pages: results.map(page => ({
+        id: page.id,
+        title: page.title,
+        spaceKey: page.space?.key,
+        spaceName: page.space?.name,
+        lastModified: page.version?.when || null
+      })),
+      nextCursor
     };
-    
   } catch (error) {
-    console.error('❌ getAllPagesOptimized error:', error);
-    return { 
-      pages: [], 
-      spaces: [], 
-      error: error.message,
-      totalCount: 0,
-      loadedSpaces: 0 
-    };
+    console.error('❌ searchPages error:', error);
+    return { success: false, error: error.message, pages: [], nextCursor: null };
   }
 });
 
@@ -602,159 +779,1276 @@ resolver.define('getParentPageOptions', async (req) => {
 });
 
 // ============================================================================
-// VERIFICATION FUNCTION
-// ============================================================================
-// UPLOAD TEMPLATE (from original app step 3b)
+// PARENT PAGE TREE - LAZY CHILDREN AND TYPE-AHEAD SEARCH
 // ============================================================================
 
-// Upload Template: fetch an existing Confluence page and store as a reusable template
-resolver.define('uploadTemplate', async (req) => {
+const TREE_PAGE_SIZE = 50;
+
+// One page of a space's page tree: its top-level pages when parentId is empty, otherwise
+// the children of parentId in sibling order. Pass nextCursor back for the next page.
+resolver.define('getPageTreeChildren', async (req) => {
   try {
-    const { url, pageId, name } = req.payload || {};
-    console.log('📤 uploadTemplate called with URL:', url, 'pageId:', pageId, 'name:', name);
+    const { spaceKey, parentId, cursor } = req.payload || {};
+    let response;
 
-    let finalPageId = pageId;
-    
-    // If pageId is provided directly, use it
-    if (pageId) {
-      finalPageId = pageId;
-    }
-    // Otherwise, extract from URL if provided
-    else if (url && typeof url === 'string' && url.trim()) {
-      // Extract pageId from common Confluence URL forms: /pages/{id} or /pages/edit-v2/{id}
-      const patterns = [
-        /\/pages\/(\d+)/,                    // Regular page: /pages/123456
-        /\/pages\/edit-v2\/(\d+)/,           // Editor: /pages/edit-v2/123456
-        /\/pages\/viewpage\.action\?pageId=(\d+)/, // Legacy: /pages/viewpage.action?pageId=123456
-        /[?&]pageId=(\d+)/                   // Query param: ?pageId=123456
-      ];
-      
-      for (const pattern of patterns) {
-        const match = url.match(pattern);
-        if (match) {
-          finalPageId = match[1];
-          break;
-        }
+    if (parentId) {
+      response = cursor
+        ? await confluenceApi().requestConfluence(
+            route`/wiki/api/v2/pages/${parentId}/children?limit=${TREE_PAGE_SIZE}&sort=child-position&cursor=${cursor}`
+          )
+        : await confluenceApi().requestConfluence(
+            route`/wiki/api/v2/pages/${parentId}/children?limit=${TREE_PAGE_SIZE}&sort=child-position`
+          );
+    } else {
+      if (!spaceKey) {
+        throw new Error('spaceKey or parentId is required');
       }
+      const space = await getSpaceById(spaceKey);
+      if (!space) {
+        throw new Error(`Space ${spaceKey} not found`);
+      }
+      response = cursor
+        ? await confluenceApi().requestConfluence(
+            route`/wiki/api/v2/spaces/${space.id}/pages?depth=root&limit=${TREE_PAGE_SIZE}&sort=title&cursor=${cursor}`
+          )
+        : await confluenceApi().requestConfluence(
+            route`/wiki/api/v2/spaces/${space.id}/pages?depth=root&limit=${TREE_PAGE_SIZE}&sort=title`
+          );
     }
 
-    if (!finalPageId) {
-      return { 
-        success: false, 
-        error: url ? 'Could not extract page ID from URL. Please use a direct Confluence page URL.' : 'Page ID or URL is required'
-      };
-    }
-
-    console.log('📏 Extracted page ID:', finalPageId);
-
-    // Fetch the page content using Confluence API v2
-    const response = await api.asUser().requestConfluence(
-      route`/wiki/api/v2/pages/${finalPageId}?body-format=storage`
-    );
-    
     if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Failed to fetch page content: ${response.status} - ${errorText}`);
+      await handleApiError(response, 'Page tree');
     }
-    
-    const pageData = await response.json();
-    console.log('✅ Page data fetched for cloning:', pageData.title);
-    console.log('📄 Original content length:', pageData.body.storage.value.length);
-    
-    // Use custom template name if provided, otherwise auto-generate from page title
-    const finalTemplateName = name && name.trim() 
-      ? name.trim() 
-      : pageData.title || 'Cloned Page';
-    console.log('📝 Final template name:', finalTemplateName);
-    
-    // Create template object - store raw content for direct cloning
-    const templateId = `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    const template = {
-      id: templateId,
-      name: finalTemplateName,
-      sourcePageId: finalPageId,
-      sourcePageTitle: pageData.title,
-      sourceSpaceKey: pageData.spaceId,
-      content: pageData.body.storage.value,
-      createdAt: new Date().toISOString(),
-      type: 'user_uploaded'
-    };
-    
-    // Store template in Forge storage
-    await storage.set(`template_${templateId}`, template);
-    
-    console.log('✅ Template created and stored:', templateId);
+
+    const data = await response.json();
     return {
       success: true,
-      template: {
-        id: template.id,
-        name: template.name,
-        sourcePageTitle: template.sourcePageTitle,
-        createdAt: template.createdAt
-      }
+      pages: (data.results || [])
+        .filter(page => !page.status || page.status === 'current')
+        .map(page => ({ id: page.id, title: page.title })),
+      nextCursor: getNextCursor(data._links)
     };
-    
   } catch (error) {
-    console.error('❌ uploadTemplate error:', error);
-    return { success: false, error: error.message };
+    console.error('❌ getPageTreeChildren error:', error);
+    return { success: false, error: error.message, pages: [], nextCursor: null };
   }
 });
 
-// Get all user uploaded templates
-resolver.define('getUserTemplates', async (req) => {
+// Type-ahead search over every page in a space, with each match's ancestor titles so
+// pages with the same name can be told apart
+resolver.define('searchParentPages', async (req) => {
   try {
-    console.log('📋 Getting user templates...');
-    
-    // Get all storage keys
-    const keys = await storage.query().where('key', 'startsWith', 'template_').getMany();
-    
-    const templates = keys.results.map(item => {
-      const template = item.value;
-      return {
-        id: template.id,
-        name: template.name,
-        sourcePageTitle: template.sourcePageTitle,
-        createdAt: template.createdAt
-      };
-    });
-    
-    console.log('✅ Found templates:', templates.length);
-    return { templates };
+    const { spaceKey, query, cursor } = req.payload || {};
+    if (!spaceKey) {
+      throw new Error('spaceKey is required');
+    }
+
+    const cql = buildPageSearchCql({ query, spaceKey });
+    const { results, nextCursor } = await searchContent(cql, { cursor, limit: TREE_PAGE_SIZE, expand: 'ancestors' });
+    return {
+      success: true,
+      pages: results.map(page => ({
+        id: page.id,
+        title: page.title,
+        path: (page.ancestors || []).map(ancestor => ancestor.title)
+      })),
+      nextCursor
+    };
   } catch (error) {
-    console.error('❌ getUserTemplates error:', error);
-    return { templates: [], error: error.message };
+    console.error('❌ searchParentPages error:', error);
+    return { success: false, error: error.message, pages: [], nextCursor: null };
   }
 });
 
 // ============================================================================
-// BULK GENERATE - Full implementation matching BRG functionality
+// VERIFICATION FUNCTION
+// ============================================================================
+// UPLOAD TEMPLATE (from original app step 3b)
 // ============================================================================
 
-// Create multiple pages from a template with support for single, numbered, weekly, monthly, quarterly modes
-// Enhanced bulk page generation with progress tracking and optimized performance
-resolver.define('bulkGeneratePagesWithProgress', async (req) => {
-  const {
-    templateId,
-    spaceKey,
-    spaceId,
-    pageTitle,
-    pageTitles,
-    generationMode = 'bulk',
-    numberedCount = 3,
-    numberedPrefix = 'Page',
-    weeklyStartDate,
-    weeklyCount,
-    monthlyStartMonth,
-    monthlyTargetYear,
-    monthlyCount,
-    quarterlyStartMonth,
-    quarterlyStartQuarter,
-    quarterlyTargetYear,
+// Limits for "clone with descendants" so capturing and recreating a tree stays within one resolver call
+const MAX_DESCENDANT_DEPTH = 5;
+const MAX_DESCENDANT_PAGES = 50;
+
+// Get the direct children of a page in sibling order
+const fetchChildPages = async (pageId) => {
+  const children = [];
+  let cursor = null;
+
+  do {
+    const response = cursor
+      ? await confluenceApi().requestConfluence(
+          route`/wiki/api/v2/pages/${pageId}/children?limit=250&sort=child-position&cursor=${cursor}`
+        )
+      : await confluenceApi().requestConfluence(
+          route`/wiki/api/v2/pages/${pageId}/children?limit=250&sort=child-position`
+        );
+
+    if (!response.ok) {
+      await handleApiError(response, 'Child pages');
+    }
+
+    const data = await response.json();
+    children.push(...(data.results || []));
+    cursor = getNextCursor(data._links);
+  } while (cursor);
+
+  // Keep sibling order even if the API ignores the sort parameter
+  return children.sort((a, b) => (a.childPosition ?? 0) - (b.childPosition ?? 0));
+};
+
+// Attachments are copied file by file to every generated page, so <ri:attachment> embeds
+// (which point at the page they are on) keep working without rewriting the content.
+const MAX_ATTACHMENT_BYTES = 20 * 1024 * 1024;
+const MAX_CACHED_ATTACHMENT_BYTES = 5 * 1024 * 1024; // Larger files are re-downloaded per page
+const MAX_ATTACHMENT_CACHE_BYTES = 20 * 1024 * 1024; // All cached files together; later ones are re-downloaded
+
+const cachedAttachmentBytes = (cache) => [...cache.values()].reduce((total, data) => total + data.length, 0);
+
+// List a page's attachments (metadata only)
+const fetchAttachments = async (pageId) => {
+  const attachments = [];
+  let cursor = null;
+
+  do {
+    const response = cursor
+      ? await confluenceApi().requestConfluence(route`/wiki/api/v2/pages/${pageId}/attachments?limit=250&cursor=${cursor}`)
+      : await confluenceApi().requestConfluence(route`/wiki/api/v2/pages/${pageId}/attachments?limit=250`);
+
+    if (!response.ok) {
+      await handleApiError(response, 'Attachments');
+    }
+
+    const data = await response.json();
+    attachments.push(...(data.results || []).map(attachment => ({
+      id: attachment.id,
+      title: attachment.title,
+      mediaType: attachment.mediaType,
+      fileSize: attachment.fileSize,
+      comment: attachment.comment || ''
+    })));
+    cursor = getNextCursor(data._links);
+  } while (cursor);
+
+  return attachments;
+};
+
+const downloadAttachment = async (pageId, attachment) => {
+  const response = await confluenceApi().requestConfluence(
+    route`/wiki/rest/api/content/${pageId}/child/attachment/${attachment.id}/download`
+  );
+  if (!response.ok) {
+    throw new Error(`Download failed: ${response.status}`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+};
+
+// Create or update (by filename) an attachment on a page, so re-running never duplicates it
+const uploadAttachment = async (pageId, attachment, data) => {
+  const form = new FormData();
+  form.append('file', new Blob([data], { type: attachment.mediaType || 'application/octet-stream' }), attachment.title);
+  form.append('minorEdit', 'true');
+  if (attachment.comment) {
+    form.append('comment', attachment.comment);
+  }
+
+  const response = await confluenceApi().requestConfluence(route`/wiki/rest/api/content/${pageId}/child/attachment`, {
+    method: 'PUT',
+    headers: { 'Accept': 'application/json', 'X-Atlassian-Token': 'no-check' },
+    body: form
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(parseApiErrorMessage(errorText, response.status));
+  }
+};
+
+// Copy a source page's attachments to a generated page. Never throws; returns per-file results.
+// Files in `copiedIds` are already on the page. When the deadline passes it stops between files
+// and returns `interrupted`, so a resumed attempt can carry on from `copiedIds`.
+const copyAttachments = async ({ sourcePageId, attachments = [], targetPageId, cache = new Map(), deadline = Infinity, copiedIds = [] }) => {
+  const result = { total: attachments.length, copied: 0, copiedIds: [], failed: [], interrupted: false };
+
+  for (const attachment of attachments) {
+    if (copiedIds.includes(attachment.id)) {
+      result.copied++;
+      result.copiedIds.push(attachment.id);
+      continue;
+    }
+    if (Date.now() >= deadline) {
+      result.interrupted = true;
+      break;
+    }
+
+    try {
+      if (attachment.fileSize > MAX_ATTACHMENT_BYTES) {
+        throw new Error(`Larger than ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB`);
+      }
+
+      let data = cache.get(attachment.id);
+      if (!data) {
+        data = await downloadAttachment(sourcePageId, attachment);
+        if (data.length <= MAX_CACHED_ATTACHMENT_BYTES &&
+          cachedAttachmentBytes(cache) + data.length <= MAX_ATTACHMENT_CACHE_BYTES) {
+          cache.set(attachment.id, data);
+        }
+      }
+
+      await uploadAttachment(targetPageId, attachment, data);
+      result.copied++;
+      result.copiedIds.push(attachment.id);
+    } catch (error) {
+      console.log(`❌ Failed to copy attachment ${attachment.title} to ${targetPageId}: ${error.message}`);
+      result.failed.push({ filename: attachment.title, error: error.message });
+    }
+  }
+
+  return result;
+};
+
+// Labels, content properties and restrictions are captured with every template and
+// carried over to generated pages only when the template's `carryOver` setting allows it.
+const DEFAULT_CARRY_OVER = { labels: false, properties: false, restrictions: false };
+const RESTRICTION_OPERATIONS = ['read', 'update'];
+
+// Confluence label rules: lowercase, no spaces, none of :;,.?&[]()#^*@!
+const normalizeLabel = (label) => String(label).trim().toLowerCase().replace(/\s+/g, '-');
+const INVALID_LABEL_PATTERN = /[:;,.?&[\]()#^*@!]/;
+
+// Validate and normalise the extra labels requested for a run
+const normalizeExtraLabels = (labels = []) => {
+  const normalized = [...new Set((Array.isArray(labels) ? labels : String(labels).split(','))
+    .map(normalizeLabel)
+    .filter(Boolean))];
+  const invalid = normalized.filter(label => INVALID_LABEL_PATTERN.test(label) || label.length > 255);
+  if (invalid.length > 0) {
+    throw new Error(`Invalid labels: ${invalid.join(', ')}`);
+  }
+  return normalized;
+};
+
+const fetchPageLabels = async (pageId) => {
+  const response = await confluenceApi().requestConfluence(route`/wiki/api/v2/pages/${pageId}/labels?limit=250`);
+  if (!response.ok) {
+    await handleApiError(response, 'Labels');
+  }
+  const data = await response.json();
+  return (data.results || []).map(label => label.name);
+};
+
+const fetchPageProperties = async (pageId) => {
+  const response = await confluenceApi().requestConfluence(route`/wiki/api/v2/pages/${pageId}/properties?limit=250`);
+  if (!response.ok) {
+    await handleApiError(response, 'Content properties');
+  }
+  const data = await response.json();
+  return (data.results || []).map(property => ({ key: property.key, value: property.value }));
+};
+
+// Read and edit restrictions as lists of account IDs and group names per operation
+const fetchPageRestrictions = async (pageId) => {
+  const response = await confluenceApi().requestConfluence(
+    route`/wiki/rest/api/content/${pageId}/restriction?expand=restrictions.user,restrictions.group`
+  );
+  if (!response.ok) {
+    await handleApiError(response, 'Restrictions');
+  }
+  const data = await response.json();
+  return (data.results || [])
+    .filter(entry => RESTRICTION_OPERATIONS.includes(entry.operation))
+    .map(entry => ({
+      operation: entry.operation,
+      users: (entry.restrictions?.user?.results || []).map(user => user.accountId),
+      groups: (entry.restrictions?.group?.results || []).map(group => group.name)
+    }))
+    .filter(entry => entry.users.length > 0 || entry.groups.length > 0);
+};
+
+// Read each kind of metadata on its own; a part the user can't read (e.g. restrictions
+// need extra permission) is left empty and listed in `unreadable` instead of failing the upload
+const fetchPageMetadata = async (pageId) => {
+  const metadata = { labels: [], properties: [], restrictions: [], unreadable: [] };
+  const readers = { labels: fetchPageLabels, properties: fetchPageProperties, restrictions: fetchPageRestrictions };
+
+  for (const [kind, read] of Object.entries(readers)) {
+    try {
+      metadata[kind] = await read(pageId);
+    } catch (error) {
+      console.log(`⚠️ Could not read ${kind} of page ${pageId}: ${error.message}`);
+      metadata.unreadable.push(kind);
+    }
+  }
+
+  return metadata;
+};
+
+const addPageLabels = async (pageId, labels) => {
+  const response = await confluenceApi().requestConfluence(route`/wiki/rest/api/content/${pageId}/label`, {
+    method: 'POST',
+    headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' },
+    body: JSON.stringify(labels.map(name => ({ prefix: 'global', name })))
+  });
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(parseApiErrorMessage(errorText, response.status));
+  }
+};
+
+// Create a content property; one that already exists (resumed or overwritten page) is left as is
+const addPageProperty = async (pageId, property) => {
+  const response = await confluenceApi().requestConfluence(route`/wiki/api/v2/pages/${pageId}/properties`, {
+    method: 'POST',
+    headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' },
+    body: JSON.stringify(property)
+  });
+  if (!response.ok && response.status !== 409) {
+    const errorText = await response.text();
+    throw new Error(parseApiErrorMessage(errorText, response.status));
+  }
+};
+
+const setPageRestrictions = async (pageId, restrictions) => {
+  const response = await confluenceApi().requestConfluence(route`/wiki/rest/api/content/${pageId}/restriction`, {
+    method: 'PUT',
+    headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' },
+    body: JSON.stringify(restrictions.map(entry => ({
+      operation: entry.operation,
+      restrictions: {
+        user: entry.users.map(accountId => ({ type: 'known', accountId })),
+        group: entry.groups.map(name => ({ type: 'group', name }))
+      }
+    })))
+  });
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(parseApiErrorMessage(errorText, response.status));
+  }
+};
+
+// Apply the template's carried-over metadata plus the run's extra labels to one generated page.
+// Restrictions go last because they can lock the creator out of further edits. Never throws.
+const applyPageMetadata = async ({ pageId, metadata = {}, carryOver = DEFAULT_CARRY_OVER, extraLabels = [] }) => {
+  const result = { labels: [], properties: 0, restrictions: false, failed: [] };
+  const labels = [...new Set([...(carryOver.labels ? metadata.labels || [] : []), ...extraLabels])];
+
+  if (labels.length > 0) {
+    try {
+      await addPageLabels(pageId, labels);
+      result.labels = labels;
+    } catch (error) {
+      result.failed.push({ kind: 'labels', error: error.message });
+    }
+  }
+
+  if (carryOver.properties) {
+    for (const property of metadata.properties || []) {
+      try {
+        await addPageProperty(pageId, property);
+        result.properties++;
+      } catch (error) {
+        result.failed.push({ kind: `property "${property.key}"`, error: error.message });
+      }
+    }
+  }
+
+  if (carryOver.restrictions && metadata.restrictions?.length) {
+    try {
+      await setPageRestrictions(pageId, metadata.restrictions);
+      result.restrictions = true;
+    } catch (error) {
+      result.failed.push({ kind: 'restrictions', error: error.message });
+    }
+  }
+
+  return result;
+};
+
+// Capture the full child tree of a template page, including each page's storage body
+const captureDescendants = async (pageId, depth = 1, counter = { count: 0 }) => {
+  if (depth > MAX_DESCENDANT_DEPTH) {
+    return [];
+  }
+
+  const children = await fetchChildPages(pageId);
+  const descendants = [];
+
+  for (const child of children) {
+    if (counter.count >= MAX_DESCENDANT_PAGES) {
+      throw new Error(`Template has more than ${MAX_DESCENDANT_PAGES} descendant pages`);
+    }
+    counter.count++;
+
+    const response = await confluenceApi().requestConfluence(
+      route`/wiki/api/v2/pages/${child.id}?body-format=storage`
+    );
+
+    if (!response.ok) {
+      await handleApiError(response, 'Descendant page');
+    }
+
+    const childData = await response.json();
+    descendants.push({
+      sourcePageId: childData.id,
+      title: childData.title,
+      content: childData.body?.storage?.value || '',
+      attachments: await fetchAttachments(childData.id),
+      children: await captureDescendants(childData.id, depth + 1, counter)
+    });
+  }
+
+  return descendants;
+};
+
+// Count every page in a captured descendant tree
+const countDescendants = (descendants = []) =>
+  descendants.reduce((total, node) => total + 1 + countDescendants(node.children), 0);
+
+// Recreate a captured descendant tree under a newly generated page, keeping sibling order.
+// Titles without placeholders are prefixed with the generated page title because
+// titles must be unique per space. When resuming, pages that already exist are reused.
+const createDescendantTree = async ({ spaceId, parentPage, descendants, rootTitle, variables = {}, resume = false, attachmentCache, deadline = Infinity }) => {
+  const created = [];
+  const errors = [];
+  let previousSibling = null;
+
+  for (const node of descendants) {
+    const title = hasPlaceholders(node.title)
+      ? renderTemplate(node.title, variables, { escape: false })
+      : `${rootTitle} - ${node.title}`;
+    const existing = resume ? await findPageByTitle(spaceId, title) : null;
+    const result = existing
+      ? { ok: true, page: existing }
+      : await createPage({
+          spaceId,
+          title,
+          content: renderTemplate(node.content, variables),
+          parentId: parentPage.id
+        });
+
+    if (!result.ok) {
+      console.log(`❌ Failed to create descendant page ${title}: ${result.status} - ${result.errorDetails}`);
+      errors.push({ title, parentTitle: parentPage.title, status: result.status, error: result.error });
+      continue;
+    }
+
+    // Record the parent and whether the page pre-existed so a rollback can trash children first
+    created.push({ ...result.page, parentId: parentPage.id, reused: !!existing });
+    if (previousSibling && !existing) {
+      await movePage(result.page, previousSibling);
+    }
+    previousSibling = result.page;
+
+    if (node.attachments?.length) {
+      const copy = await copyAttachments({
+        sourcePageId: node.sourcePageId,
+        attachments: node.attachments,
+        targetPageId: result.page.id,
+        cache: attachmentCache,
+        deadline
+      });
+      // Out of time: the caller resumes the whole tree, finding the pages created so far
+      if (copy.interrupted) {
+        return { created, errors, interrupted: true };
+      }
+      copy.failed.forEach(failure => errors.push({
+        title,
+        parentTitle: parentPage.title,
+        status: null,
+        error: `Attachment "${failure.filename}" was not copied: ${failure.error}`
+      }));
+    }
+
+    if (node.children?.length) {
+      const nested = await createDescendantTree({
+        spaceId,
+        parentPage: result.page,
+        descendants: node.children,
+        rootTitle,
+        variables,
+        resume,
+        attachmentCache,
+        deadline
+      });
+      created.push(...nested.created);
+      errors.push(...nested.errors);
+      if (nested.interrupted) {
+        return { created, errors, interrupted: true };
+      }
+    }
+  }
+
+  return { created, errors };
+};
+
+const templateKey = (templateId) => `template_${templateId}`;
+
+// Captured child page bodies are stored one per key rather than in the template value,
+// which keeps only the tree, so a deep tree doesn't push the template past the storage value limit
+const templatePageKey = (templateId, sourcePageId) => `templatepage_${templateId}_${sourcePageId}`;
+const MAX_STORED_VALUE_BYTES = 240 * 1024;
+
+const storedSize = (value) => Buffer.byteLength(JSON.stringify(value), 'utf8');
+
+// Store each descendant's body under its own key and return the tree without them.
+// Bodies left from an earlier capture of pages that are no longer in the tree are deleted.
+const storeTemplateDescendants = async (templateId, descendants = []) => {
+  const storedKeys = new Set();
+  const store = async (nodes = []) => {
+    const stripped = [];
+    for (const { content, children, ...node } of nodes) {
+      if (storedSize(content || '') > MAX_STORED_VALUE_BYTES) {
+        throw new Error(`Child page "${node.title}" is too large to store with the template`);
+      }
+      const key = templatePageKey(templateId, node.sourcePageId);
+      await storage.set(key, content || '');
+      storedKeys.add(key);
+      stripped.push({ ...node, children: await store(children) });
+    }
+    return stripped;
+  };
+
+  const stripped = await store(descendants);
+  for (const entry of await queryAllByPrefix(`templatepage_${templateId}_`)) {
+    if (!storedKeys.has(entry.key)) {
+      await storage.delete(entry.key);
+    }
+  }
+  return stripped;
+};
+
+// Put each descendant's stored body back on the tree. Trees saved before bodies
+// moved to their own keys still carry them inline and are used as they are.
+const loadTemplateDescendants = async (templateId, descendants = []) => {
+  const loaded = [];
+  for (const node of descendants) {
+    const content = node.content ?? (await storage.get(templatePageKey(templateId, node.sourcePageId))) ?? '';
+    loaded.push({ ...node, content, children: await loadTemplateDescendants(templateId, node.children) });
+  }
+  return loaded;
+};
+
+// Save a template whose descendants still carry their bodies, checking the value fits first
+const saveTemplateWithDescendants = async (template) => {
+  const { descendants, ...rest } = template;
+  if (storedSize(rest) > MAX_STORED_VALUE_BYTES) {
+    throw new Error('The template page is too large to store (the limit is 240 KB including attachments and metadata)');
+  }
+  template.descendants = await storeTemplateDescendants(template.id, descendants);
+  if (storedSize(template) > MAX_STORED_VALUE_BYTES) {
+    throw new Error('The template\'s child page tree is too large to store');
+  }
+  await storage.set(templateKey(template.id), template);
+};
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+// Trim, de-duplicate and cap tags so the library filter stays usable
+const normalizeTags = (tags) => [...new Set(
+  (Array.isArray(tags) ? tags : String(tags).split(','))
+    .map(tag => String(tag).trim().slice(0, MAX_TAG_LENGTH))
+    .filter(Boolean)
+)].slice(0, MAX_TAGS);
+
+// The template fields the UI needs, without the stored page bodies
+const toTemplateSummary = (template) => ({
+  id: template.id,
+  name: template.name,
+  sourcePageId: template.sourcePageId,
+  sourcePageTitle: template.sourcePageTitle,
+  descendantCount: template.descendantCount || 0,
+  attachmentCount: (template.attachments || []).length,
+  metadata: {
+    labels: template.metadata?.labels || [],
+    propertyCount: (template.metadata?.properties || []).length,
+    restricted: (template.metadata?.restrictions || []).length > 0,
+    unreadable: template.metadata?.unreadable || []
+  },
+  carryOver: { ...DEFAULT_CARRY_OVER, ...template.carryOver },
+  placeholders: template.placeholders || [],
+  customPlaceholders: (template.placeholders || []).filter(key => !BUILT_IN_PLACEHOLDERS.includes(key)),
+  tags: template.tags || [],
+  createdAt: template.createdAt,
+  updatedAt: template.updatedAt || template.createdAt,
+  lastSyncedAt: template.lastSyncedAt || template.createdAt
+});
+
+const getTemplate = async (templateId) => {
+  const template = templateId ? await storage.get(templateKey(templateId)) : null;
+  if (!template) {
+    throw new Error(`Template ${templateId} not found`);
+  }
+  return template;
+};
+
+// Every stored template, most recently updated first
+const listTemplates = async () => (await queryAllByPrefix('template_'))
+  .map(entry => entry.value)
+  .sort((a, b) => Date.parse(b.updatedAt || b.createdAt) - Date.parse(a.updatedAt || a.createdAt));
+
+const findTemplateBySourcePage = async (sourcePageId) =>
+  (await listTemplates()).find(template => String(template.sourcePageId) === String(sourcePageId)) || null;
+
+// Fetch a page's storage body (and optionally its child tree) for use as a template
+const fetchTemplateSource = async (pageId, includeDescendants) => {
+  const response = await confluenceApi().requestConfluence(
+    route`/wiki/api/v2/pages/${pageId}?body-format=storage`
+  );
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Failed to fetch page content: ${response.status} - ${errorText}`);
+  }
+
+  const pageData = await response.json();
+  console.log('✅ Page data fetched for cloning:', pageData.title);
+  console.log('📄 Original content length:', pageData.body.storage.value.length);
+
+  // Capture the child tree when cloning with descendants
+  const descendants = includeDescendants ? await captureDescendants(pageId) : [];
+  const descendantCount = countDescendants(descendants);
+  if (includeDescendants) {
+    console.log('🌳 Captured descendant pages:', descendantCount);
+  }
+
+  const attachments = await fetchAttachments(pageId);
+  if (attachments.length > 0) {
+    console.log('📎 Captured attachments:', attachments.length);
+  }
+
+  const metadata = await fetchPageMetadata(pageId);
+  console.log('🏷️ Captured metadata:', {
+    labels: metadata.labels.length,
+    properties: metadata.properties.length,
+    restrictions: metadata.restrictions.length,
+    unreadable: metadata.unreadable
+  });
+
+  return {
+    title: pageData.title,
+    spaceId: pageData.spaceId,
+    content: pageData.body.storage.value,
+    attachments,
+    metadata,
+    descendants,
+    descendantCount
+  };
+};
+
+// Whether a queued or running job still reads this template. Such a template isn't
+// re-captured, so the run's remaining pages match the ones it has already created.
+const hasUnfinishedRun = async (templateId) => (await queryAllByPrefix('runsummary_'))
+  .some(entry => entry.value.template.id === templateId && !isJobFinished(entry.value));
+
+// Re-read a template's source page into the stored template, keeping its name and tags
+const refreshTemplateFromSource = async (template, { includeDescendants = template.includeDescendants } = {}) => {
+  const source = await fetchTemplateSource(template.sourcePageId, includeDescendants);
+  const now = new Date().toISOString();
+
+  Object.assign(template, {
+    sourcePageTitle: source.title,
+    sourceSpaceKey: source.spaceId,
+    content: source.content,
+    attachments: source.attachments,
+    metadata: source.metadata,
+    includeDescendants: source.descendantCount > 0,
+    descendants: source.descendants,
+    descendantCount: source.descendantCount,
+    updatedAt: now,
+    lastSyncedAt: now
+  });
+  template.placeholders = extractTemplatePlaceholders(template);
+
+  await saveTemplateWithDescendants(template);
+  return template;
+};
+
+// Upload Template: fetch an existing Confluence page and store as a reusable template
+resolver.define('uploadTemplate', async (req) => {
+  try {
+    // includeDescendants is left unset unless the user ticked or cleared the box, so picking
+    // an existing template's page again keeps the child tree it was captured with
+    const { url, pageId, name, includeDescendants = null } = req.payload || {};
+    console.log('📤 uploadTemplate called with URL:', url, 'pageId:', pageId, 'name:', name, 'includeDescendants:', includeDescendants);
+
+    let finalPageId = pageId;
+    
+    // If pageId is provided directly, use it
+    if (pageId) {
+      finalPageId = pageId;
+    }
+    // Otherwise, extract from URL if provided
+    else if (url && typeof url === 'string' && url.trim()) {
+      // Extract pageId from common Confluence URL forms: /pages/{id} or /pages/edit-v2/{id}
+      const patterns = [
+        /\/pages\/(\d+)/,                    // Regular page: /pages/123456
+        /\/pages\/edit-v2\/(\d+)/,           // Editor: /pages/edit-v2/123456
+        /\/pages\/viewpage\.action\?pageId=(\d+)/, // Legacy: /pages/viewpage.action?pageId=123456
+        /[?&]pageId=(\d+)/                   // Query param: ?pageId=123456
+      ];
+      
+      for (const pattern of patterns) {
+        const match = url.match(pattern);
+        if (match) {
+          finalPageId = match[1];
+          break;
+        }
+      }
+    }
+
+    if (!finalPageId) {
+      return { 
+        success: false, 
+        error: url ? 'Could not extract page ID from URL. Please use a direct Confluence page URL.' : 'Page ID or URL is required'
+      };
+    }
+
+    console.log('📏 Extracted page ID:', finalPageId);
+
+    // Selecting the same source page again refreshes its existing template instead of adding another
+    const existing = await findTemplateBySourcePage(finalPageId);
+    if (existing) {
+      if (await hasUnfinishedRun(existing.id)) {
+        console.log('♻️ Template already exists for source page and is in use by a run, reusing it as is:', existing.id);
+        return { success: true, deduplicated: true, template: toTemplateSummary(existing) };
+      }
+      console.log('♻️ Template already exists for source page, refreshing:', existing.id);
+      const refreshed = await refreshTemplateFromSource(existing, {
+        includeDescendants: includeDescendants ?? existing.includeDescendants
+      });
+      return { success: true, deduplicated: true, template: toTemplateSummary(refreshed) };
+    }
+
+    const source = await fetchTemplateSource(finalPageId, includeDescendants === true);
+
+    // Use custom template name if provided, otherwise auto-generate from page title
+    const finalTemplateName = name && name.trim() 
+      ? name.trim() 
+      : source.title || 'Cloned Page';
+    console.log('📝 Final template name:', finalTemplateName);
+
+    // Create template object - store raw content for direct cloning
+    const templateId = `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const now = new Date().toISOString();
+    const template = {
+      id: templateId,
+      name: finalTemplateName,
+      sourcePageId: finalPageId,
+      sourcePageTitle: source.title,
+      sourceSpaceKey: source.spaceId,
+      content: source.content,
+      attachments: source.attachments,
+      metadata: source.metadata,
+      carryOver: { ...DEFAULT_CARRY_OVER },
+      includeDescendants: source.descendantCount > 0,
+      descendants: source.descendants,
+      descendantCount: source.descendantCount,
+      tags: [],
+      createdAt: now,
+      updatedAt: now,
+      lastSyncedAt: now,
+      type: 'user_uploaded'
+    };
+    template.placeholders = extractTemplatePlaceholders(template);
+
+    // Store template in Forge storage, with child page bodies under their own keys
+    await saveTemplateWithDescendants(template);
+
+    console.log('✅ Template created and stored:', templateId);
+    return {
+      success: true,
+      template: toTemplateSummary(template)
+    };
+    
+  } catch (error) {
+    console.error('❌ uploadTemplate error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Get all user uploaded templates, optionally narrowed by a search term and/or tag
+resolver.define('getUserTemplates', async (req) => {
+  try {
+    const { search = '', tag = '' } = req.payload || {};
+    console.log('📋 Getting user templates...', { search, tag });
+
+    const term = search.trim().toLowerCase();
+    const templates = (await listTemplates())
+      .filter(template => !tag || (template.tags || []).includes(tag))
+      .filter(template => !term || [template.name, template.sourcePageTitle, ...(template.tags || [])]
+        .some(value => value && value.toLowerCase().includes(term)))
+      .map(toTemplateSummary);
+
+    console.log('✅ Found templates:', templates.length);
+    return { templates };
+  } catch (error) {
+    console.error('❌ getUserTemplates error:', error);
+    return { templates: [], error: error.message };
+  }
+});
+
+// ============================================================================
+// TEMPLATE LIBRARY
+// ============================================================================
+
+// Rename a stored template (the source page is untouched)
+resolver.define('renameTemplate', async (req) => {
+  try {
+    const { templateId, name } = req.payload || {};
+    if (!name || !name.trim()) {
+      return { success: false, error: 'Template name is required' };
+    }
+
+    const template = await getTemplate(templateId);
+    template.name = name.trim();
+    template.updatedAt = new Date().toISOString();
+    await storage.set(templateKey(templateId), template);
+
+    console.log('✏️ Template renamed:', templateId, template.name);
+    return { success: true, template: toTemplateSummary(template) };
+  } catch (error) {
+    console.error('❌ renameTemplate error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Replace a template's tags
+resolver.define('setTemplateTags', async (req) => {
+  try {
+    const { templateId, tags = [] } = req.payload || {};
+    const template = await getTemplate(templateId);
+    template.tags = normalizeTags(tags);
+    template.updatedAt = new Date().toISOString();
+    await storage.set(templateKey(templateId), template);
+
+    console.log('🏷️ Template tags updated:', templateId, template.tags);
+    return { success: true, template: toTemplateSummary(template) };
+  } catch (error) {
+    console.error('❌ setTemplateTags error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Choose which of the source page's labels, properties and restrictions generated pages inherit
+resolver.define('setTemplateCarryOver', async (req) => {
+  try {
+    const { templateId, carryOver = {} } = req.payload || {};
+    const template = await getTemplate(templateId);
+    template.carryOver = Object.keys(DEFAULT_CARRY_OVER).reduce((settings, key) => {
+      settings[key] = carryOver[key] === undefined ? !!template.carryOver?.[key] : !!carryOver[key];
+      return settings;
+    }, {});
+    template.updatedAt = new Date().toISOString();
+    await storage.set(templateKey(templateId), template);
+
+    console.log('🏷️ Template carry-over updated:', templateId, template.carryOver);
+    return { success: true, template: toTemplateSummary(template) };
+  } catch (error) {
+    console.error('❌ setTemplateCarryOver error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Re-fetch the source page (and its descendants, if captured) into the stored template
+resolver.define('resyncTemplate', async (req) => {
+  try {
+    const { templateId } = req.payload || {};
+    const template = await getTemplate(templateId);
+    if (await hasUnfinishedRun(templateId)) {
+      return { success: false, error: 'This template is used by a run that has not finished yet' };
+    }
+    const refreshed = await refreshTemplateFromSource(template);
+
+    console.log('🔄 Template re-synced from source page:', templateId);
+    return { success: true, template: toTemplateSummary(refreshed) };
+  } catch (error) {
+    console.error('❌ resyncTemplate error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Delete a stored template; past runs keep their own snapshot of its name
+resolver.define('deleteTemplate', async (req) => {
+  try {
+    const { templateId } = req.payload || {};
+    await getTemplate(templateId);
+
+    // A queued or running job still needs the template to create its remaining pages
+    if (await hasUnfinishedRun(templateId)) {
+      return { success: false, error: 'This template is used by a run that has not finished yet' };
+    }
+
+    const schedules = (await queryAllByPrefix('schedule_'))
+      .filter(entry => entry.value.templateId === templateId);
+    if (schedules.length > 0) {
+      return { success: false, error: `This template is used by the schedule "${schedules[0].value.name}"` };
+    }
+
+    const recipes = (await queryAllByPrefix('recipe_'))
+      .filter(entry => entry.value.templateId === templateId);
+    if (recipes.length > 0) {
+      return { success: false, error: `This template is used by the recipe "${recipes[0].value.name}"` };
+    }
+
+    await storage.delete(templateKey(templateId));
+    for (const entry of await queryAllByPrefix(`templatepage_${templateId}_`)) {
+      await storage.delete(entry.key);
+    }
+    for (const link of await listTemplateClones(templateId)) {
+      await storage.delete(cloneKey(templateId, link.pageId));
+    }
+
+    console.log('🗑️ Template deleted:', templateId);
+    return { success: true, templateId };
+  } catch (error) {
+    console.error('❌ deleteTemplate error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// ============================================================================
+// TITLE PATTERNS
+// ============================================================================
+
+// Pick the pattern and its options out of a request, or null when there is no pattern
+const toTitlePatternFields = (titlePattern) => (titlePattern?.pattern?.trim()
+  ? {
+      pattern: titlePattern.pattern.trim(),
+      start: titlePattern.start ?? 1,
+      step: titlePattern.step ?? 1,
+      startDate: titlePattern.startDate || null,
+      every: titlePattern.every || null,
+      fiscalYearStartMonth: titlePattern.fiscalYearStartMonth || 1
+    }
+  : null);
+
+// Step 2 live preview: every title the pattern gives for the page count
+resolver.define('previewTitlePattern', async (req) => {
+  try {
+    const { titlePattern, count } = req.payload || {};
+    const fields = toTitlePatternFields(titlePattern);
+    if (!fields) {
+      return { success: false, error: 'Enter a title pattern', titles: [] };
+    }
+    return { success: true, titles: renderTitlePattern(fields.pattern, { ...fields, count }) };
+  } catch (error) {
+    return { success: false, error: error.message, titles: [] };
+  }
+});
+
+// ============================================================================
+// BULK GENERATE - Full implementation matching BRG functionality
+// ============================================================================
+
+// Runs are stored as jobs (`job_<id>`) with per-page state, so progress survives
+// invocation timeouts and a resumed job never creates the same page twice. Items are kept
+// in chunks (`jobitems_<id>_<n>`) so a large run stays under the storage value size limit,
+// and a small `runsummary_<id>` record serves the lists that scan every run.
+const bulkJobQueue = new Queue({ key: 'bulk-generation-jobs' });
+const JOB_TIME_BUDGET_MS = 45 * 1000; // Async consumers get ~55s per invocation
+const INLINE_TIME_BUDGET_MS = 20 * 1000; // Resolver calls from the UI get ~25s
+const JOB_STALL_MS = 90 * 1000; // A running job with no update for this long has died
+const MAX_ERROR_DETAILS_LENGTH = 500;
+
+const JOB_ITEMS_PER_CHUNK = 10;
+
+const jobKey = (jobId) => `job_${jobId}`;
+const jobItemsKey = (jobId, chunk) => `jobitems_${jobId}_${chunk}`;
+const runSummaryKey = (jobId) => `runsummary_${jobId}`;
+
+// What was last read or written for each stored part of a job, so a save only writes the parts that changed
+const storedJobParts = new Map();
+
+const rememberJobPart = (jobId, key, value) => {
+  if (!storedJobParts.has(jobId)) {
+    storedJobParts.set(jobId, new Map());
+  }
+  storedJobParts.get(jobId).set(key, JSON.stringify(value));
+};
+
+// Read a job and its item chunks back into one object
+const loadJob = async (jobId) => {
+  const record = await storage.get(jobKey(jobId));
+  if (!record) {
+    return null;
+  }
+
+  const { itemChunkCount = 0, ...job } = record;
+  const items = [];
+  for (let chunk = 0; chunk < itemChunkCount; chunk++) {
+    const chunkItems = await storage.get(jobItemsKey(jobId, chunk)) || [];
+    rememberJobPart(jobId, jobItemsKey(jobId, chunk), chunkItems);
+    items.push(...chunkItems);
+  }
+  return { ...job, items };
+};
+
+const writeJob = async (job) => {
+  const { items, ...record } = job;
+  const chunks = [];
+  for (let start = 0; start < items.length; start += JOB_ITEMS_PER_CHUNK) {
+    chunks.push(items.slice(start, start + JOB_ITEMS_PER_CHUNK));
+  }
+
+  const parts = [
+    [runSummaryKey(job.id), toRunSummary(job)],
+    ...chunks.map((chunk, n) => [jobItemsKey(job.id, n), chunk]),
+    [jobKey(job.id), { ...record, itemChunkCount: chunks.length }]
+  ];
+  const stored = storedJobParts.get(job.id);
+  for (const [key, value] of parts) {
+    if (stored?.get(key) !== JSON.stringify(value)) {
+      await storage.set(key, value);
+      rememberJobPart(job.id, key, value);
+    }
+  }
+  if (isJobFinished(job)) {
+    storedJobParts.delete(job.id);
+  }
+};
+
+const isJobFinished = (job) => job.status === 'completed' || job.status === 'failed';
+
+const isJobStalled = (job) =>
+  job.status === 'running' && Date.now() - Date.parse(job.updatedAt) > JOB_STALL_MS;
+
+// Pages are created side by side, so saves of one job are chained to keep an older
+// snapshot from landing after a newer one
+const pendingJobSaves = new Map();
+
+const saveJob = (job) => {
+  const save = (pendingJobSaves.get(job.id) || Promise.resolve())
+    .catch(() => {})
+    .then(() => {
+      job.updatedAt = new Date().toISOString();
+      return writeJob(job);
+    });
+  pendingJobSaves.set(job.id, save);
+  save.finally(() => {
+    if (pendingJobSaves.get(job.id) === save) {
+      pendingJobSaves.delete(job.id);
+    }
+  }).catch(() => {});
+  return save;
+};
+
+// Hand a job to the async queue; the consumer picks it up where it stopped
+const enqueueBulkJob = async (job) => {
+  job.status = 'queued';
+  job.lockedUntil = null;
+  await saveJob(job);
+  await bulkJobQueue.push({ body: { jobId: job.id } });
+  console.log(`📬 Job ${job.id} queued`);
+};
+
+// What to do when a title already exists in the destination space
+const CONFLICT_POLICIES = ['skip', 'suffix', 'overwrite', 'abort'];
+const DEFAULT_CONFLICT_POLICY = 'suffix';
+
+// Per-page parents: each row names an existing parent page by ID, or a parent title that is
+// reused when a page with that title exists in the space and created otherwise
+const PER_PAGE_PARENT = 'per-page-parent';
+
+// Collapse the rows' parent references into one entry per distinct parent, so twelve rows
+// naming the same new parent create it once. Items point at their entry by index.
+const buildMappedParents = (items) => {
+  const parents = [];
+  const missingRows = [];
+  items.forEach((item, index) => {
+    const parentPageId = String(item.parent?.parentPageId || '').trim();
+    const parentTitle = String(item.parent?.parentTitle || '').trim();
+    if (!parentPageId && !parentTitle) {
+      missingRows.push(index + 1);
+      return;
+    }
+    // Given both, the ID is tried first and the title is used when no page has that ID
+    const eitherWay = parentPageId && parentTitle;
+    const key = eitherWay ? `id-or-title:${parentPageId}:${parentTitle}` : parentPageId ? `id:${parentPageId}` : `title:${parentTitle}`;
+    let parentIndex = parents.findIndex(parent => parent.key === key);
+    if (parentIndex === -1) {
+      parents.push({
+        key,
+        id: parentPageId || null,
+        title: parentPageId ? '' : parentTitle,
+        fallbackTitle: eitherWay ? parentTitle : null,
+        outcome: parentPageId && !eitherWay ? 'existing' : null,
+        creating: false,
+        page: null,
+        error: null
+      });
+      parentIndex = parents.length - 1;
+    }
+    item.parentIndex = parentIndex;
+  });
+  if (missingRows.length > 0) {
+    throw new Error(`Every page needs a parent page ID or parent title (missing on rows ${missingRows.join(', ')})`);
+  }
+  return parents;
+};
+
+// The parent a job item is created under, whichever organization mode the job uses
+const getItemParent = (job, item) => (
+  job.pageOrganization === PER_PAGE_PARENT
+    ? job.mappedParents[item.parentIndex]
+    : { id: job.parentPageId, title: job.parentTitle, error: null }
+);
+
+// Parent pages this run created itself, which a rollback may remove again
+const listCreatedParents = (job) => [
+  ...(job.createdParent ? [job.createdParent] : []),
+  ...(job.mappedParents || []).filter(parent => parent.outcome === 'created' && parent.page).map(parent => parent.page)
+];
+
+// Find the first "Title (n)" that is free both in the space and in this batch
+const findFreeTitle = async (spaceId, title, takenTitles) => {
+  for (let n = 1; n < 100; n++) {
+    const candidate = `${title} (${n})`;
+    if (!takenTitles.has(candidate) && !(await findPageByTitle(spaceId, candidate))) {
+      return candidate;
+    }
+  }
+  throw new Error(`Could not find a free title for "${title}"`);
+};
+
+// Check a "create parent" title against the destination space before the run is queued; it is a
+// single lookup, unlike the page titles, which are resolved one by one as they are created
+const resolveParentConflict = async (job) => {
+  if (job.pageOrganization !== 'create-parent' || !job.newParentTitle) {
+    return null;
+  }
+
+  const existingParent = await findPageByTitle(job.spaceId, job.newParentTitle);
+  if (!existingParent) {
+    return null;
+  }
+
+  if (job.conflictPolicy === 'suffix') {
+    job.newParentTitle = await findFreeTitle(job.spaceId, job.newParentTitle, new Set(job.items.map(item => item.title)));
+    job.parentOutcome = 'renamed';
+  } else if (job.conflictPolicy !== 'abort') {
+    // Skip / overwrite reuse the existing page as the parent instead of creating another one
+    job.pageOrganization = 'create-child';
+    job.parentPageId = existingParent.id;
+    job.newParentTitle = null;
+    job.parentOutcome = 'reused';
+  }
+  return { title: existingParent.title, page: existingParent, parent: true };
+};
+
+// Named parents that already exist are used as they are; only missing ones get created
+const lookUpMappedParents = async (job) => {
+  for (const parent of job.mappedParents || []) {
+    if (parent.id && !parent.outcome) {
+      const title = await getPageTitle(parent.id);
+      if (title) {
+        parent.title = title;
+        parent.outcome = 'existing';
+        continue;
+      }
+      parent.id = null;
+      parent.title = parent.fallbackTitle;
+    }
+    if (!parent.id && !parent.outcome) {
+      const existingParent = await findPageByTitle(job.spaceId, parent.title);
+      parent.id = existingParent?.id || null;
+      parent.outcome = existingParent ? 'reused' : 'created';
+    }
+  }
+};
+
+// Rename an item to the first "Title (n)" that is free in the space and in this batch. The item
+// holds each candidate while it is looked up, so items resolved side by side can't take the same one.
+const renameConflictingItem = async (job, item) => {
+  for (let n = 1; n < 100; n++) {
+    const candidate = `${item.originalTitle} (${n})`;
+    if (job.items.some(other => other !== item && other.title === candidate)) {
+      continue;
+    }
+    item.title = candidate;
+    if (!(await findPageByTitle(job.spaceId, candidate))) {
+      return;
+    }
+  }
+  item.title = item.originalTitle;
+  throw new Error(`Could not find a free title for "${item.originalTitle}"`);
+};
+
+// Check one item's title against the destination space and apply the run's policy. The item
+// records the existing page and the outcome so both dry runs and Step 4 can report it.
+const resolveItemConflict = async (job, item) => {
+  const existing = await findPageByTitle(job.spaceId, item.title);
+  if (!existing) {
+    return null;
+  }
+
+  item.conflict = existing;
+  if (job.conflictPolicy === 'skip') {
+    item.state = 'skipped';
+    item.outcome = 'skipped';
+  } else if (job.conflictPolicy === 'suffix') {
+    item.originalTitle = item.title;
+    await renameConflictingItem(job, item);
+    item.outcome = 'renamed';
+  } else if (job.conflictPolicy === 'overwrite') {
+    item.outcome = 'overwritten';
+  } else {
+    item.outcome = 'abort';
+  }
+  return existing;
+};
+
+// Under 'abort' every title is checked in the background before anything is written. The check
+// resumes where it stopped when the invocation runs out of time; returns false in that case.
+const checkTitlesBeforeRun = async (job, deadline) => {
+  job.titlesChecked = job.titlesChecked || 0;
+  job.abortConflicts = job.abortConflicts || [];
+
+  for (; job.titlesChecked < job.items.length; job.titlesChecked++) {
+    if (Date.now() >= deadline) {
+      await saveJob(job);
+      return false;
+    }
+    const item = job.items[job.titlesChecked];
+    if (await findPageByTitle(job.spaceId, item.title)) {
+      job.abortConflicts.push(item.title);
+    }
+  }
+  return true;
+};
+
+// Validate a generation request and turn it into a stored job with one item per page
+const prepareBulkJob = async (payload, context = {}) => {
+  const {
+    templateId,
+    spaceKey,
+    spaceId,
+    pageTitle,
+    pageTitles,
+    generationMode = 'bulk',
+    numberedCount = 3,
+    numberedPrefix = 'Page',
+    numberedStart = 1,
+    weeklyStartDate,
+    weeklyCount,
+    monthlyStartMonth,
+    monthlyTargetYear,
+    monthlyCount,
+    quarterlyStartMonth,
+    quarterlyStartQuarter,
+    quarterlyTargetYear,
     quarterlyCount,
     pageOrganization = 'create-child',
-    newParentTitle
-  } = req.payload || {};
-  
+    parentPageId,
+    newParentTitle,
+    templateVariables = {},
+    pageVariables = [],
+    pageParents = [],
+    conflictPolicy = DEFAULT_CONFLICT_POLICY,
+    extraLabels = [],
+    dryRun = false
+  } = payload;
+
   console.log('🏭 bulkGeneratePagesWithProgress called with:', {
     templateId,
     spaceKey,
@@ -764,202 +2058,2251 @@ resolver.define('bulkGeneratePagesWithProgress', async (req) => {
     pageOrganization,
     totalPages: pageTitles?.length || 1
   });
-  
-  if (!templateId || !spaceKey) {
-    throw new Error('templateId and spaceKey are required');
+
+  if (!templateId || !spaceKey) {
+    throw new Error('templateId and spaceKey are required');
+  }
+
+  if (!CONFLICT_POLICIES.includes(conflictPolicy)) {
+    throw new Error(`Unknown conflict policy: ${conflictPolicy}`);
+  }
+
+  const runLabels = normalizeExtraLabels(extraLabels);
+
+  // Determine what titles to use, keeping each title's per-page placeholder values alongside it.
+  // Explicit titles always win; otherwise numbered/weekly/monthly/quarterly modes compute them here.
+  let itemsToCreate = [];
+  if (SEQUENCE_MODES.includes(generationMode) && !(Array.isArray(pageTitles) && pageTitles.length > 0)) {
+    const sequenceOptions = {
+      numbered: { count: numberedCount, prefix: numberedPrefix, start: numberedStart },
+      weekly: { count: weeklyCount, startDate: weeklyStartDate },
+      monthly: { count: monthlyCount, startMonth: monthlyStartMonth, year: monthlyTargetYear },
+      // quarterlyStartMonth is the fiscal year's first month (1 = calendar quarters)
+      quarterly: {
+        count: quarterlyCount,
+        startQuarter: quarterlyStartQuarter,
+        year: quarterlyTargetYear,
+        fiscalYearStartMonth: quarterlyStartMonth || 1
+      }
+    };
+    const sequence = generateSequence(generationMode, { baseTitle: pageTitle, ...sequenceOptions[generationMode] });
+    itemsToCreate = sequence.map((entry, i) => ({
+      title: entry.title,
+      variables: { ...entry.variables, ...(pageVariables[i] || {}) },
+      parent: pageParents[i]
+    }));
+    console.log(`📝 Computed ${itemsToCreate.length} ${generationMode} titles:`, itemsToCreate.map(item => item.title));
+  } else if (pageTitles && Array.isArray(pageTitles) && pageTitles.length > 0) {
+    itemsToCreate = pageTitles
+      .map((title, i) => ({ title, variables: pageVariables[i] || {}, parent: pageParents[i] }))
+      .filter(item => item.title && item.title.trim());
+    console.log('📝 Using individual page titles:', itemsToCreate.map(item => item.title));
+  } else if (pageTitle) {
+    itemsToCreate = [{ title: pageTitle, variables: pageVariables[0] || {}, parent: pageParents[0] }];
+    console.log('📝 Using single page title:', pageTitle);
+  } else {
+    throw new Error('Either pageTitle or pageTitles array is required');
+  }
+
+  if (itemsToCreate.length === 0) {
+    throw new Error('No valid page titles provided');
+  }
+
+  const mappedParents = pageOrganization === PER_PAGE_PARENT ? buildMappedParents(itemsToCreate) : null;
+
+  // Make sure the template exists before queuing anything
+  const templateData = await storage.get(templateKey(templateId));
+  if (!templateData) {
+    throw new Error(`Template ${templateId} not found`);
+  }
+
+  console.log('📄 Using template:', templateData.name);
+
+  // Resolve the space for its numeric ID (if not provided) and its name for the run history
+  let space = null;
+  try {
+    space = await getSpaceById(spaceKey);
+  } catch (err) {
+    console.error('Error getting space ID:', err);
+  }
+  const numericSpaceId = spaceId || space?.id;
+
+  if (!numericSpaceId) {
+    throw new Error(`Could not resolve numeric space ID for space: ${spaceKey}`);
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    id: `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    status: 'queued',
+    templateId,
+    // Snapshot of the template and user so the history stays readable after templates change
+    templateName: templateData.name,
+    sourcePageId: templateData.sourcePageId || null,
+    sourcePageTitle: templateData.sourcePageTitle || null,
+    createdBy: {
+      accountId: context.accountId || null,
+      displayName: context.displayName || (dryRun ? null : await getUserDisplayName(context.accountId).catch(() => null))
+    },
+    runAs: context.runAs || 'user',
+    scheduleId: context.scheduleId || null,
+    spaceKey,
+    spaceId: numericSpaceId,
+    spaceName: space?.name || spaceKey,
+    pageOrganization,
+    parentPageId: pageOrganization === 'create-child' ? parentPageId || null : null,
+    newParentTitle: pageOrganization === 'create-parent' ? newParentTitle || null : null,
+    parentResolved: false,
+    parentCreating: false,
+    parentTitle: '',
+    parentOutcome: null,
+    createdParent: null,
+    mappedParents,
+    fanOutId: null,
+    orderedParents: [],
+    rollback: null,
+    conflictPolicy,
+    // Snapshot of the template's carry-over setting so a run isn't changed by later edits
+    carryOver: { ...DEFAULT_CARRY_OVER, ...templateData.carryOver },
+    extraLabels: runLabels,
+    templateVariables,
+    generatedAt: now,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    completedAt: null,
+    lockedUntil: null,
+    error: null,
+    items: itemsToCreate.map((item, index) => ({
+      index,
+      title: item.title,
+      variables: item.variables,
+      parentIndex: item.parentIndex ?? null,
+      state: 'pending',
+      outcome: null,
+      conflict: null,
+      attempts: 0,
+      page: null,
+      descendantCount: 0,
+      descendantPages: [],
+      status: null,
+      error: null,
+      errorDetails: null
+    })),
+    descendantErrors: []
+  };
+
+  // Page titles are checked as each page is created; only the new parent's title is checked here
+  const parentConflict = await resolveParentConflict(job);
+  if (parentConflict) {
+    console.log(`⚠️ Parent title "${parentConflict.title}" already exists, policy: ${conflictPolicy}`);
+  }
+  if (conflictPolicy === 'abort' && parentConflict && !dryRun) {
+    throw new Error(`Run aborted: the parent page "${parentConflict.title}" already exists in this space`);
+  }
+
+  return job;
+};
+
+// Resolve (or create, exactly once) the parent page for a job
+const resolveJobParent = async (job) => {
+  if (job.parentResolved) {
+    return;
+  }
+
+  if (job.pageOrganization === 'create-parent' && job.newParentTitle) {
+    // A previous attempt may have created the parent before timing out
+    let parentPage = job.parentCreating ? await findPageByTitle(job.spaceId, job.newParentTitle) : null;
+
+    if (!parentPage) {
+      console.log('🏗️  Creating new parent page:', job.newParentTitle);
+      job.parentCreating = true;
+      await saveJob(job);
+      const result = await createPage({ spaceId: job.spaceId, title: job.newParentTitle, content: '' });
+      if (!result.ok) {
+        throw new Error('Failed to create parent page');
+      }
+      parentPage = result.page;
+      console.log('✅ Parent page created:', parentPage.id);
+    }
+
+    job.createdParent = parentPage;
+    job.parentPageId = parentPage.id;
+    job.parentTitle = parentPage.title;
+  } else if (job.pageOrganization === 'create-child' && job.parentPageId) {
+    job.parentTitle = await getPageTitle(job.parentPageId);
+  } else if (job.pageOrganization === PER_PAGE_PARENT) {
+    await lookUpMappedParents(job);
+    // One failed parent only fails the rows under it; the other branches still get filled
+    for (const parent of job.mappedParents) {
+      if (parent.outcome !== 'created') {
+        parent.title = parent.title || await getPageTitle(parent.id);
+        if (!parent.title) {
+          parent.error = `Parent page ${parent.id} was not found`;
+        }
+        continue;
+      }
+      if (parent.page) {
+        continue;
+      }
+
+      let parentPage = parent.creating ? await findPageByTitle(job.spaceId, parent.title) : null;
+      if (!parentPage) {
+        console.log('🏗️  Creating mapped parent page:', parent.title);
+        parent.creating = true;
+        await saveJob(job);
+        const result = await createPage({ spaceId: job.spaceId, title: parent.title, content: '' });
+        if (!result.ok) {
+          parent.error = `Failed to create parent page "${parent.title}": ${result.error}`;
+          await saveJob(job);
+          continue;
+        }
+        parentPage = result.page;
+      }
+      parent.page = parentPage;
+      parent.id = parentPage.id;
+      await saveJob(job);
+    }
+  }
+  // Note: create-as-parent mode doesn't set a parent, so pages become top-level
+
+  job.parentResolved = true;
+  await saveJob(job);
+};
+
+// Create one job item (and its descendant tree), recording the outcome on the item.
+// An item that runs out of time while copying attachments stays 'creating' and resumes in the
+// next invocation, which finds its page instead of creating it again.
+const processJobItem = async (job, item, templateData, attachmentCache = new Map(), deadline = Infinity) => {
+  const total = job.items.length;
+  const resuming = item.state === 'creating';
+
+  item.state = 'creating';
+  item.attempts += 1;
+  item.startedAt = new Date().toISOString();
+  await saveJob(job);
+
+  console.log(`📝 Creating page ${item.index + 1}/${total}: ${item.title}${resuming ? ' (resumed)' : ''}`);
+
+  const parent = getItemParent(job, item);
+  if (parent.error) {
+    item.state = 'failed';
+    item.error = parent.error;
+    return;
+  }
+
+  // Resolved once, before the first attempt writes anything: on a resumed attempt the page
+  // found under this title may be the one this run created
+  if (!item.conflictChecked) {
+    try {
+      await resolveItemConflict(job, item);
+    } catch (error) {
+      item.state = 'failed';
+      item.error = error.message;
+      return;
+    }
+    if (item.outcome === 'abort') {
+      item.state = 'failed';
+      item.error = `A page titled "${item.title}" already exists in this space`;
+      return;
+    }
+    item.conflictChecked = true;
+    await saveJob(job);
+    if (item.state === 'skipped') {
+      console.log(`⏭️ Skipped ${item.title}: the title already exists`);
+      return;
+    }
+  }
+
+  const variables = buildPageVariables({
+    title: item.title,
+    index: item.index,
+    total,
+    parentTitle: parent.title,
+    spaceKey: job.spaceKey,
+    customVariables: job.templateVariables,
+    pageVariables: item.variables,
+    date: new Date(job.generatedAt)
+  });
+
+  try {
+    const content = renderTemplate(templateData.content, variables);
+    const overwrite = item.outcome === 'overwritten';
+
+    // An interrupted attempt, or one that ended in a server error, may already have created the page
+    const mayExist = resuming || item.createUncertain;
+    const existing = mayExist && !overwrite ? await findPageByTitle(job.spaceId, item.title) : null;
+    let result;
+    if (overwrite) {
+      result = await updatePage({ pageId: item.conflict.id, title: item.title, content });
+      item.previousVersion = result.previousVersion ?? null;
+    } else if (existing) {
+      result = { ok: true, page: existing };
+    } else {
+      result = await createPage({
+        spaceId: job.spaceId,
+        title: item.title,
+        content,
+        parentId: parent.id
+      });
+    }
+
+    if (!result.ok) {
+      console.log(`❌ Failed to create page ${item.title}: ${result.status} - ${result.errorDetails}`);
+      item.createUncertain = !overwrite && result.status >= 500;
+      item.state = 'failed';
+      item.status = result.status;
+      item.error = result.error;
+      item.errorDetails = (result.errorDetails || '').slice(0, MAX_ERROR_DETAILS_LENGTH);
+      return;
+    }
+
+    item.page = result.page;
+    item.createUncertain = false;
+    item.outcome = item.outcome || 'created';
+    console.log(`✅ Page ${overwrite ? 'overwritten' : existing ? 'found' : 'created'}: ${item.page.title} (ID: ${item.page.id})`);
+
+    // Remember how the page was rendered so later template changes can be pushed to it
+    await linkGeneratedPage(job, item, variables, content);
+
+    // Copy the source page's attachments so embedded images and files resolve on the new page
+    if (templateData.attachments?.length) {
+      item.attachments = await copyAttachments({
+        sourcePageId: templateData.sourcePageId,
+        attachments: templateData.attachments,
+        targetPageId: item.page.id,
+        cache: attachmentCache,
+        deadline,
+        copiedIds: item.attachments?.copiedIds
+      });
+      console.log(`📎 Copied ${item.attachments.copied}/${item.attachments.total} attachments to ${item.page.title}`);
+      await saveJob(job);
+      if (item.attachments.interrupted) {
+        console.log(`⏱️ Out of time copying attachments to ${item.page.title}, resuming later`);
+        return;
+      }
+    }
+
+    // Recreate the template's child tree under the new page
+    if (templateData.descendants?.length) {
+      const tree = await createDescendantTree({
+        spaceId: job.spaceId,
+        parentPage: item.page,
+        descendants: templateData.descendants,
+        rootTitle: item.page.title,
+        variables,
+        resume: resuming || overwrite,
+        attachmentCache,
+        deadline
+      });
+      if (tree.interrupted) {
+        console.log(`⏱️ Out of time creating child pages of ${item.page.title}, resuming later`);
+        return;
+      }
+      item.descendantCount = tree.created.length;
+      // Pages found under an overwritten page existed before this run and are not ours to roll back
+      item.descendantPages = tree.created
+        .filter(page => !(overwrite && page.reused))
+        .map(({ id, title, version, parentId }) => ({ id, title, version, parentId }));
+      job.descendantErrors.push(...tree.errors);
+      console.log(`🌳 Created ${tree.created.length} descendant pages under ${item.page.title}`);
+    }
+
+    // Labels, content properties and restrictions apply to the generated page itself, not its children.
+    // They go after the child tree so copied restrictions can't lock the app out of creating it.
+    const carryOver = job.carryOver || DEFAULT_CARRY_OVER;
+    if (job.extraLabels?.length || Object.values(carryOver).some(Boolean)) {
+      item.metadata = await applyPageMetadata({
+        pageId: item.page.id,
+        metadata: templateData.metadata,
+        carryOver,
+        extraLabels: job.extraLabels || []
+      });
+      console.log(`🏷️ Applied metadata to ${item.page.title}:`, item.metadata);
+      await saveJob(job);
+    }
+
+    item.state = 'created';
+  } catch (error) {
+    console.error(`❌ Error creating page ${item.title}:`, error);
+    item.state = 'failed';
+    item.error = error.message;
+  }
+};
+
+// Pages are created a few at a time; the limiter adapts between these bounds
+const CREATE_CONCURRENCY = 3;
+const MAX_CREATE_CONCURRENCY = 6;
+
+// Put one parent's new pages in the requested order. Pages outside the longest run that is
+// already in order are moved: those before its first page are each placed in front of their
+// successor (working backwards), the rest after their predecessor.
+const orderSiblingPages = async (parentId, items) => {
+  let kept = new Set([0]);
+  if (parentId) {
+    const children = await fetchChildPages(parentId).catch(() => null);
+    if (children) {
+      const requestedIndex = new Map(items.map((item, i) => [item.page.id, i]));
+      const currentOrder = children.map(child => requestedIndex.get(child.id)).filter(i => i !== undefined);
+      const ordered = [...findOrderedIndexes(currentOrder)].map(position => currentOrder[position]);
+      if (ordered.length > 0) {
+        kept = new Set(ordered);
+      }
+    }
+  }
+
+  let moves = 0;
+  const firstKept = Math.min(...kept);
+  for (let i = firstKept - 1; i >= 0; i--) {
+    await movePage(items[i].page, items[i + 1].page, 'before');
+    moves++;
+  }
+  for (let i = firstKept + 1; i < items.length; i++) {
+    if (!kept.has(i)) {
+      await movePage(items[i].page, items[i - 1].page);
+      moves++;
+    }
+  }
+  return moves;
+};
+
+// Final ordering pass over every parent the run created pages under (overwritten pages stay
+// where they are). Returns false when it ran out of time; finished parents aren't redone.
+const orderJobPages = async (job, deadline) => {
+  const groups = new Map();
+  for (const item of job.items) {
+    if (item.state !== 'created' || item.outcome === 'overwritten') {
+      continue;
+    }
+    const parentId = getItemParent(job, item).id || null;
+    const key = parentId || 'top-level';
+    if (!groups.has(key)) {
+      groups.set(key, { parentId, items: [] });
+    }
+    groups.get(key).items.push(item);
+  }
+
+  job.orderedParents = job.orderedParents || [];
+  for (const [key, group] of groups) {
+    if (job.orderedParents.includes(key)) {
+      continue;
+    }
+    if (Date.now() >= deadline) {
+      return false;
+    }
+    if (group.items.length > 1) {
+      const moves = await orderSiblingPages(group.parentId, group.items);
+      console.log(`↕️ Ordered ${group.items.length} pages under ${key} with ${moves} moves`);
+    }
+    job.orderedParents.push(key);
+    await saveJob(job);
+  }
+  return true;
+};
+
+// Work through a job's pending items until done or out of time.
+// Returns the job; callers re-queue it when it is not finished.
+const processBulkJob = async (jobId, timeBudgetMs = JOB_TIME_BUDGET_MS) => {
+  const deadline = Date.now() + timeBudgetMs;
+  const job = await loadJob(jobId);
+
+  if (!job) {
+    throw new Error(`Job ${jobId} not found`);
+  }
+
+  if (isJobFinished(job)) {
+    return job;
+  }
+
+  // Another invocation is still working on this job
+  if (job.lockedUntil && Date.parse(job.lockedUntil) > Date.now()) {
+    log(`⏳ Job ${jobId} is locked until ${job.lockedUntil}, skipping`);
+    return job;
+  }
+
+  const templateData = await storage.get(templateKey(job.templateId));
+  if (!templateData) {
+    job.status = 'failed';
+    job.error = `Template ${job.templateId} not found`;
+    await saveJob(job);
+    return job;
+  }
+  if (templateData.descendants?.length) {
+    templateData.descendants = await loadTemplateDescendants(job.templateId, templateData.descendants);
+  }
+
+  job.status = 'running';
+  job.startedAt = job.startedAt || new Date().toISOString();
+  job.lockedUntil = new Date(deadline + 15 * 1000).toISOString();
+  await saveJob(job);
+
+  if (job.conflictPolicy === 'abort' && !job.titleCheckPassed) {
+    if (!(await checkTitlesBeforeRun(job, deadline))) {
+      console.log(`⏱️ Job ${jobId} out of time while checking titles (${job.titlesChecked}/${job.items.length})`);
+      job.lockedUntil = null;
+      await saveJob(job);
+      return job;
+    }
+    if (job.abortConflicts.length > 0) {
+      const titles = job.abortConflicts.map(title => `"${title}"`).join(', ');
+      job.status = 'failed';
+      job.error = `Run aborted: ${job.abortConflicts.length} titles already exist in this space (${titles})`;
+      job.completedAt = new Date().toISOString();
+      job.lockedUntil = null;
+      await saveJob(job);
+      return job;
+    }
+    job.titleCheckPassed = true;
+  }
+
+  try {
+    await resolveJobParent(job);
+  } catch (error) {
+    console.error(`❌ Job ${jobId} parent error:`, error);
+    job.status = 'failed';
+    job.error = error.message;
+    job.lockedUntil = null;
+    await saveJob(job);
+    return job;
+  }
+
+  // Downloaded attachments are reused for every page created in this invocation
+  const attachmentCache = new Map();
+
+  // Create pages side by side; a 429 halves the concurrency and pauses new work
+  const remainingItems = job.items.filter(item => item.state === 'pending' || item.state === 'creating');
+  const limiter = createAdaptiveLimiter({ initial: CREATE_CONCURRENCY, max: MAX_CREATE_CONCURRENCY });
+  await rateLimitContext.run(limiter, () => runWithLimiter(limiter, remainingItems, async (item) => {
+    await processJobItem(job, item, templateData, attachmentCache, deadline);
+    if (item.state !== 'creating') {
+      item.finishedAt = new Date().toISOString();
+    }
+    job.concurrency = limiter.limit;
+    if (item.state === 'created') {
+      limiter.recordSuccess();
+    }
+    await saveJob(job);
+  }, () => Date.now() < deadline));
+
+  // Items still 'creating' ran out of time part way and resume in the next invocation
+  const pendingCount = job.items.filter(item => item.state === 'pending' || item.state === 'creating').length;
+  if (pendingCount > 0 || !(await orderJobPages(job, deadline))) {
+    console.log(`⏱️ Job ${jobId} out of time, ${pendingCount} pages left`);
+    job.lockedUntil = null;
+    await saveJob(job);
+    return job;
+  }
+
+  job.status = 'completed';
+  job.completedAt = new Date().toISOString();
+  job.lockedUntil = null;
+  await saveJob(job);
+
+  if (job.recipeId) {
+    await recordRecipeRun(job);
+  }
+
+  const createdCount = job.items.filter(item => item.state === 'created').length;
+  console.log(`🎉 Bulk generation completed: ${createdCount}/${job.items.length} pages created successfully`);
+  return job;
+};
+
+// Estimated seconds left, from the average time the pages finished so far took (queue waits
+// between invocations don't count) spread over the pages running side by side.
+// Null until at least one page has finished.
+const estimateSecondsLeft = (job) => {
+  const durations = job.items
+    .filter(item => item.startedAt && item.finishedAt)
+    .map(item => Date.parse(item.finishedAt) - Date.parse(item.startedAt));
+  if (durations.length === 0) {
+    return null;
+  }
+  const average = durations.reduce((sum, ms) => sum + ms, 0) / durations.length;
+  const remaining = job.items.filter(item => item.state === 'pending' || item.state === 'creating').length;
+  return Math.round((average * remaining) / (job.concurrency || 1) / 1000);
+};
+
+// Shape a job for the UI: live progress plus the result structure Step 4 expects
+const summarizeBulkJob = (job) => {
+  const createdItems = job.items.filter(item => item.state === 'created');
+  const failedItems = job.items.filter(item => item.state === 'failed');
+  const skippedItems = job.items.filter(item => item.state === 'skipped');
+  const total = job.items.length;
+  const processed = createdItems.length + failedItems.length + skippedItems.length;
+
+  return {
+    jobId: job.id,
+    status: job.status,
+    stalled: isJobStalled(job),
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    rollback: job.rollback || null,
+    progress: {
+      total,
+      processed,
+      createdCount: createdItems.length,
+      errorCount: failedItems.length,
+      skippedCount: skippedItems.length,
+      currentTitle: job.items.find(item => item.state === 'creating')?.title || null,
+      secondsLeft: isJobFinished(job) ? 0 : estimateSecondsLeft(job),
+      percentage: total > 0 ? Math.round((processed / total) * 100) : 0
+    },
+    data: {
+      createdCount: createdItems.length,
+      errorCount: failedItems.length,
+      skippedCount: skippedItems.length,
+      renamedCount: createdItems.filter(item => item.outcome === 'renamed').length,
+      overwrittenCount: createdItems.filter(item => item.outcome === 'overwritten').length,
+      conflictPolicy: job.conflictPolicy || DEFAULT_CONFLICT_POLICY,
+      pages: createdItems.map(item => ({
+        ...item.page,
+        descendantCount: item.descendantCount,
+        attachments: item.attachments || null,
+        metadata: item.metadata || null,
+        outcome: item.outcome,
+        originalTitle: item.originalTitle || null,
+        parentTitle: job.pageOrganization === PER_PAGE_PARENT ? getItemParent(job, item).title : null
+      })),
+      skipped: skippedItems.map(item => ({ index: item.index, title: item.title, existingPage: item.conflict })),
+      errors: failedItems.map(item => ({
+        index: item.index,
+        success: false,
+        status: item.status,
+        error: item.error,
+        errorDetails: item.errorDetails,
+        title: item.title
+      })),
+      descendantErrors: job.descendantErrors,
+      attachmentErrors: createdItems.flatMap(item => (item.attachments?.failed || []).map(failure => ({
+        title: item.page.title,
+        filename: failure.filename,
+        error: failure.error
+      }))),
+      metadataErrors: createdItems.flatMap(item => (item.metadata?.failed || []).map(failure => ({
+        title: item.page.title,
+        kind: failure.kind,
+        error: failure.error
+      }))),
+      parentPage: job.createdParent,
+      parentOutcome: job.parentOutcome || null,
+      mappedParents: (job.mappedParents || []).map(({ id, title, outcome, error }) => ({ id, title, outcome, error })),
+      totalRequested: total
+    }
+  };
+};
+
+// Plain-text excerpt of rendered storage content for the dry-run table
+const PLAN_EXCERPT_LENGTH = 160;
+const toPlainExcerpt = (content = '') => content
+  .replace(/<[^>]+>/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .slice(0, PLAN_EXCERPT_LENGTH);
+
+// List the rendered titles of a descendant tree in creation order
+const planDescendantTitles = (descendants = [], rootTitle, variables) => descendants.flatMap(node => [
+  hasPlaceholders(node.title)
+    ? renderTemplate(node.title, variables, { escape: false })
+    : `${rootTitle} - ${node.title}`,
+  ...planDescendantTitles(node.children, rootTitle, variables)
+]);
+
+// Titles a dry run checks for conflicts; the rest are checked as each page is created,
+// so a large run's preview still fits in one resolver call
+const PLAN_CONFLICT_CHECK_LIMIT = 50;
+
+// Dry run: resolve the space and parent, report title collisions and render substitutions without writing
+const buildBulkJobPlan = async (job) => {
+  const templateData = await storage.get(templateKey(job.templateId));
+  const space = await getSpaceById(job.spaceKey);
+  await lookUpMappedParents(job);
+  for (const item of job.items.slice(0, PLAN_CONFLICT_CHECK_LIMIT)) {
+    await resolveItemConflict(job, item);
+  }
+
+  let parent = { mode: job.pageOrganization, id: null, title: '', willCreate: false, exists: false, outcome: job.parentOutcome };
+  if (job.pageOrganization === 'create-parent' && job.newParentTitle) {
+    // After a suffix rename the new title is free; under 'abort' the conflict is still there
+    const exists = job.conflictPolicy === 'abort' && !!(await findPageByTitle(job.spaceId, job.newParentTitle));
+    parent = { ...parent, title: job.newParentTitle, willCreate: true, exists };
+  } else if (job.pageOrganization === 'create-child' && job.parentPageId) {
+    parent = { ...parent, id: job.parentPageId, title: await getPageTitle(job.parentPageId) };
+  } else if (job.pageOrganization === PER_PAGE_PARENT) {
+    const mapped = [];
+    for (const mappedParent of job.mappedParents) {
+      const title = mappedParent.title || await getPageTitle(mappedParent.id);
+      mapped.push({
+        id: mappedParent.id,
+        title: title || mappedParent.id,
+        willCreate: mappedParent.outcome === 'created',
+        missing: !title
+      });
+    }
+    parent = { ...parent, mapped };
+  }
+
+  const total = job.items.length;
+  const items = [];
+  for (const item of job.items) {
+    const itemParentTitle = parent.mapped ? parent.mapped[item.parentIndex].title : parent.title;
+    const variables = buildPageVariables({
+      title: item.title,
+      index: item.index,
+      total,
+      parentTitle: itemParentTitle,
+      spaceKey: job.spaceKey,
+      customVariables: job.templateVariables,
+      pageVariables: item.variables,
+      date: new Date(job.generatedAt)
+    });
+    const rendered = renderTemplate(templateData.content, variables);
+    const descendantTitles = planDescendantTitles(templateData.descendants, item.title, variables);
+
+    items.push({
+      index: item.index,
+      title: item.title,
+      originalTitle: item.originalTitle || null,
+      conflict: item.conflict,
+      outcome: item.outcome || 'created',
+      parentTitle: parent.mapped ? itemParentTitle : null,
+      descendantTitles,
+      unresolvedPlaceholders: extractPlaceholders(rendered),
+      excerpt: toPlainExcerpt(rendered)
+    });
+  }
+
+  return {
+    template: {
+      id: templateData.id,
+      name: templateData.name,
+      descendantCount: templateData.descendantCount || 0,
+      attachmentCount: (templateData.attachments || []).length
+    },
+    // What each generated page will receive on top of its content
+    metadata: {
+      labels: [...new Set([...(job.carryOver?.labels ? templateData.metadata?.labels || [] : []), ...(job.extraLabels || [])])],
+      propertyCount: job.carryOver?.properties ? (templateData.metadata?.properties || []).length : 0,
+      restricted: !!job.carryOver?.restrictions && (templateData.metadata?.restrictions || []).length > 0
+    },
+    space: { id: job.spaceId, key: job.spaceKey, name: space?.name || job.spaceKey },
+    parent,
+    items,
+    totalPages: items.filter(item => item.outcome !== 'skipped').length +
+      items.reduce((sum, item) => sum + (item.outcome === 'skipped' ? 0 : item.descendantTitles.length), 0) +
+      (parent.willCreate ? 1 : 0) +
+      (parent.mapped || []).filter(mappedParent => mappedParent.willCreate).length,
+    conflictCount: items.filter(item => item.conflict).length + (parent.exists || parent.outcome ? 1 : 0),
+    uncheckedCount: Math.max(0, items.length - PLAN_CONFLICT_CHECK_LIMIT),
+    conflictPolicy: job.conflictPolicy,
+    willAbort: job.conflictPolicy === 'abort' && (parent.exists || items.some(item => item.conflict))
+  };
+};
+
+// Create multiple pages from a template with support for single, numbered, weekly, monthly, quarterly modes.
+// With `dryRun` nothing is written and the exact plan is returned. With `runInBackground` the run is
+// queued and the UI polls getBulkJobStatus; otherwise pages are created inline and anything left when
+// the time budget runs out continues in the background.
+resolver.define('bulkGeneratePagesWithProgress', async (req) => {
+  let savedJobId = null;
+  try {
+    const payload = req.payload || {};
+    const job = await prepareBulkJob(payload, req.context);
+
+    if (payload.dryRun) {
+      console.log(`🔎 Dry run for ${job.items.length} pages`);
+      return { success: true, dryRun: true, plan: await buildBulkJobPlan(job) };
+    }
+
+    // The recipe is updated when the run finishes, with the pages it actually created
+    job.recipeId = payload.recipeId || null;
+    await saveJob(job);
+    savedJobId = job.id;
+
+    if (payload.runInBackground) {
+      await enqueueBulkJob(job);
+      return { success: true, queued: true, message: `Queued ${job.items.length} pages`, ...summarizeBulkJob(job) };
+    }
+
+    console.log(`🚀 Creating ${job.items.length} pages, up to ${MAX_CREATE_CONCURRENCY} at a time`);
+    const processed = await processBulkJob(job.id, INLINE_TIME_BUDGET_MS);
+
+    if (!isJobFinished(processed)) {
+      await enqueueBulkJob(processed);
+      return { success: true, queued: true, message: 'Run is continuing in the background', ...summarizeBulkJob(processed) };
+    }
+
+    const summary = summarizeBulkJob(processed);
+    return {
+      success: processed.status === 'completed',
+      message: processed.status === 'completed'
+        ? `Successfully created ${summary.data.createdCount} pages`
+        : processed.error,
+      ...summary
+    };
+  } catch (error) {
+    console.error('❌ bulkGeneratePagesWithProgress error:', error);
+    // A saved job that nothing will pick up again is marked failed rather than left queued
+    if (savedJobId) {
+      try {
+        const stored = await loadJob(savedJobId);
+        if (stored && !isJobFinished(stored)) {
+          stored.status = 'failed';
+          stored.error = error.message;
+          stored.completedAt = new Date().toISOString();
+          stored.lockedUntil = null;
+          await saveJob(stored);
+        }
+      } catch (saveError) {
+        console.error(`❌ Could not mark job ${savedJobId} as failed:`, saveError);
+      }
+    }
+    return { success: false, error: error.message };
+  }
+});
+
+// Poll a bulk generation job for real progress
+resolver.define('getBulkJobStatus', async (req) => {
+  try {
+    const { jobId } = req.payload || {};
+    const job = await loadJob(jobId);
+    if (!job) {
+      return { success: false, error: `Job ${jobId} not found` };
+    }
+    return { success: true, ...summarizeBulkJob(job) };
+  } catch (error) {
+    console.error('❌ getBulkJobStatus error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Resume a job that stopped (e.g. an invocation timeout); created pages are never duplicated
+resolver.define('resumeBulkJob', async (req) => {
+  try {
+    const { jobId } = req.payload || {};
+    const job = await loadJob(jobId);
+    if (!job) {
+      return { success: false, error: `Job ${jobId} not found` };
+    }
+    if (job.status === 'completed') {
+      return { success: true, ...summarizeBulkJob(job) };
+    }
+    if (job.status === 'running' && !isJobStalled(job)) {
+      return { success: false, error: 'Job is still running', ...summarizeBulkJob(job) };
+    }
+
+    job.error = null;
+    await enqueueBulkJob(job);
+    return { success: true, ...summarizeBulkJob(job) };
+  } catch (error) {
+    console.error('❌ resumeBulkJob error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Re-run only the failed pages of a finished run, into the same space and parent and at the
+// same place in the sibling order. Parents that failed to resolve are tried again as well.
+resolver.define('retryFailedPages', async (req) => {
+  try {
+    const { jobId } = req.payload || {};
+    const job = await loadJob(jobId);
+    if (!job) {
+      return { success: false, error: `Job ${jobId} not found` };
+    }
+    if (!isJobFinished(job)) {
+      return { success: false, error: 'Only finished runs can be retried' };
+    }
+    if (job.rollback) {
+      return { success: false, error: 'This run has been rolled back' };
+    }
+
+    const failedItems = job.items.filter(item => item.state === 'failed');
+    if (failedItems.length === 0 && job.status !== 'failed') {
+      return { success: false, error: 'This run has no failed pages' };
+    }
+
+    // Retried pages are created last, so every parent needs another ordering pass. Items keep
+    // `createUncertain`, so a page a server error may have created is looked up, not posted again.
+    job.orderedParents = [];
+    for (const item of failedItems) {
+      item.state = 'pending';
+      item.status = null;
+      item.error = null;
+      item.errorDetails = null;
+      item.startedAt = null;
+      item.finishedAt = null;
+    }
+    for (const parent of job.mappedParents || []) {
+      if (parent.error) {
+        parent.error = null;
+        job.parentResolved = false;
+      }
+    }
+    // A run stopped by the 'abort' title check checks every title again
+    if (!job.titleCheckPassed) {
+      job.titlesChecked = 0;
+      job.abortConflicts = [];
+    }
+    job.error = null;
+    job.completedAt = null;
+
+    console.log(`🔁 Retrying ${failedItems.length} failed pages of job ${jobId}`);
+    await enqueueBulkJob(job);
+    return { success: true, retried: failedItems.length, ...summarizeBulkJob(job) };
+  } catch (error) {
+    console.error('❌ retryFailedPages error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Preview the placeholder values each generated page would receive
+resolver.define('previewTemplateValues', async (req) => {
+  try {
+    const { templateId, pageTitles = [], templateVariables = {}, pageVariables = [], parentTitle = '', spaceKey = '' } = req.payload || {};
+
+    const templateData = await storage.get(templateKey(templateId));
+    if (!templateData) {
+      return { success: false, error: `Template ${templateId} not found`, rows: [] };
+    }
+
+    const placeholders = templateData.placeholders || extractTemplatePlaceholders(templateData);
+    const titles = pageTitles.filter(title => title && title.trim());
+    const generatedAt = new Date();
+
+    const rows = titles.map((title, i) => {
+      const variables = buildPageVariables({
+        title,
+        index: i,
+        total: titles.length,
+        parentTitle,
+        spaceKey,
+        customVariables: templateVariables,
+        pageVariables: pageVariables[i] || {},
+        date: generatedAt
+      });
+      return {
+        title,
+        values: placeholders.reduce((values, key) => {
+          values[key] = Object.prototype.hasOwnProperty.call(variables, key) ? variables[key] : null;
+          return values;
+        }, {})
+      };
+    });
+
+    return {
+      success: true,
+      placeholders,
+      customPlaceholders: placeholders.filter(key => !BUILT_IN_PLACEHOLDERS.includes(key)),
+      rows
+    };
+  } catch (error) {
+    console.error('❌ previewTemplateValues error:', error);
+    return { success: false, error: error.message, rows: [] };
+  }
+});
+
+// ============================================================================
+// CROSS-SPACE FAN-OUT
+// ============================================================================
+
+// A fan-out run creates the same pages in several spaces: one ordinary job per space,
+// each with its own parent rule, tied together by a fan-out record for status and results.
+// The record is written before anything is prepared, and the spaces are then prepared one
+// message at a time in the queue consumer, so a slow space can't time out the UI call and
+// leave queued jobs that nothing tracks.
+const FANOUT_PARENT_RULES = ['homepage', 'title', 'new-parent'];
+const MAX_FANOUT_SPACES = 25;
+
+const fanOutQueue = new Queue({ key: 'fan-out-preparation' });
+
+const fanOutKey = (fanOutId) => `fanout_${fanOutId}`;
+
+// Turn one space's parent rule into the location fields of a single-space run
+const resolveFanOutTarget = async ({ spaceKey, parentRule, parentTitle = '' }) => {
+  const space = await getSpaceById(spaceKey);
+  if (!space) {
+    throw new Error(`Space ${spaceKey} not found`);
+  }
+  const base = { spaceKey, spaceId: space.id, spaceName: space.name };
+
+  if (parentRule === 'homepage') {
+    if (!space.homepageId) {
+      throw new Error(`${space.name} has no homepage`);
+    }
+    return { ...base, pageOrganization: 'create-child', parentPageId: space.homepageId };
+  }
+  if (parentRule === 'title') {
+    const parentPage = await findPageByTitle(space.id, parentTitle.trim());
+    if (!parentPage) {
+      throw new Error(`No page titled "${parentTitle.trim()}" in ${space.name}`);
+    }
+    return { ...base, pageOrganization: 'create-child', parentPageId: parentPage.id };
+  }
+  return { ...base, pageOrganization: 'create-parent', newParentTitle: parentTitle.trim() };
+};
+
+// Check the requested targets, returning a list of problems (empty when valid)
+const validateFanOutTargets = (targets) => {
+  const errors = [];
+  if (!Array.isArray(targets) || targets.length === 0) {
+    return ['Choose at least one space'];
+  }
+  if (targets.length > MAX_FANOUT_SPACES) {
+    errors.push(`A fan-out run can target at most ${MAX_FANOUT_SPACES} spaces`);
+  }
+  const seen = new Set();
+  for (const target of targets) {
+    if (seen.has(target.spaceKey)) {
+      errors.push(`Space ${target.spaceKey} is listed twice`);
+    }
+    seen.add(target.spaceKey);
+    if (!FANOUT_PARENT_RULES.includes(target.parentRule)) {
+      errors.push(`Unknown parent rule for ${target.spaceKey}: ${target.parentRule}`);
+    } else if (target.parentRule !== 'homepage' && !(target.parentTitle || '').trim()) {
+      errors.push(`Enter a parent title for ${target.spaceKey}`);
+    }
+  }
+  return errors;
+};
+
+// Prepare one space of a fan-out run: resolve its parent rule and turn the shared request
+// into a single-space job. Throws for a space that can't be planned or started.
+const prepareFanOutSpace = async (target, shared, context, dryRun) => {
+  const location = await resolveFanOutTarget(target);
+  const job = await prepareBulkJob({ ...shared, ...location, dryRun }, context);
+  return { job, spaceName: location.spaceName };
+};
+
+// Plan or start a fan-out run. Each space is prepared on its own, so a space that fails
+// (missing parent, title conflicts under 'abort') is reported without stopping the others.
+resolver.define('startFanOutRun', async (req) => {
+  try {
+    const { targets = [], dryRun = false, ...shared } = req.payload || {};
+    const errors = validateFanOutTargets(targets);
+    if (errors.length > 0) {
+      return { success: false, error: errors.join('; ') };
+    }
+
+    const spaces = targets.map(target => ({
+      spaceKey: target.spaceKey,
+      spaceName: target.spaceKey,
+      parentRule: target.parentRule,
+      parentTitle: target.parentRule === 'homepage' ? null : target.parentTitle.trim(),
+      status: 'preparing',
+      jobId: null,
+      plan: null,
+      error: null
+    }));
+
+    if (dryRun) {
+      for (const entry of spaces) {
+        try {
+          const { job, spaceName } = await prepareFanOutSpace(entry, shared, req.context, true);
+          entry.spaceName = spaceName;
+          entry.plan = await buildBulkJobPlan(job);
+        } catch (error) {
+          console.error(`❌ Fan-out target ${entry.spaceKey} failed:`, error);
+          entry.error = error.message;
+        }
+      }
+      console.log(`🔎 Fan-out dry run across ${targets.length} spaces`);
+      return { success: true, dryRun: true, spaces };
+    }
+
+    const fanOut = {
+      id: `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      createdAt: new Date().toISOString(),
+      createdBy: req.context?.accountId || null,
+      request: shared,
+      spaces
+    };
+    await storage.set(fanOutKey(fanOut.id), fanOut);
+    await fanOutQueue.push({ body: { fanOutId: fanOut.id, index: 0 } });
+
+    console.log(`📬 Fan-out ${fanOut.id} queued for ${targets.length} spaces`);
+    return { success: true, fanOutId: fanOut.id };
+  } catch (error) {
+    console.error('❌ startFanOutRun error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Queue consumer step: prepare and queue the job for space `index`, then hand the next space
+// to a new message. Spaces go one at a time so only one invocation updates the record, and
+// a redelivered message skips a space that already has its job.
+const prepareNextFanOutSpace = async ({ fanOutId, index }) => {
+  const fanOut = await storage.get(fanOutKey(fanOutId));
+  const entry = fanOut?.spaces[index];
+  if (!entry) return;
+
+  if (entry.status === 'preparing') {
+    try {
+      const { job, spaceName } = await prepareFanOutSpace(entry, fanOut.request, { accountId: fanOut.createdBy }, false);
+      job.fanOutId = fanOut.id;
+      entry.spaceName = spaceName;
+      entry.jobId = job.id;
+      await saveJob(job);
+      entry.status = 'queued';
+      await storage.set(fanOutKey(fanOutId), fanOut);
+      await enqueueBulkJob(job);
+    } catch (error) {
+      console.error(`❌ Fan-out target ${entry.spaceKey} failed:`, error);
+      entry.status = 'failed';
+      entry.error = error.message;
+      await storage.set(fanOutKey(fanOutId), fanOut);
+    }
+  }
+
+  if (index + 1 < fanOut.spaces.length) {
+    await fanOutQueue.push({ body: { fanOutId, index: index + 1 } });
+  }
+};
+
+// Poll a fan-out run: combined progress plus each space's own result, grouped by space
+resolver.define('getFanOutStatus', async (req) => {
+  try {
+    const { fanOutId } = req.payload || {};
+    const fanOut = await storage.get(fanOutKey(fanOutId));
+    if (!fanOut) {
+      return { success: false, error: `Fan-out run ${fanOutId} not found` };
+    }
+
+    const spaces = [];
+    for (const entry of fanOut.spaces) {
+      const job = entry.jobId ? await loadJob(entry.jobId) : null;
+      spaces.push({ ...entry, ...(job ? summarizeBulkJob(job) : {}) });
+    }
+
+    const processed = spaces.reduce((sum, space) => sum + (space.progress?.processed || 0), 0);
+    const total = spaces.reduce((sum, space) => sum + (space.progress?.total || 0), 0);
+    return {
+      success: true,
+      fanOutId,
+      spaces,
+      progress: { processed, total, percentage: total ? Math.round((processed / total) * 100) : 100 },
+      finished: spaces.every(space => space.status === 'completed' || space.status === 'failed' || space.stalled)
+    };
+  } catch (error) {
+    console.error('❌ getFanOutStatus error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// ============================================================================
+// LIVE-SYNCED CLONES
+// ============================================================================
+
+// Every generated page is linked to its template with the values it was rendered with,
+// so a changed template can be re-rendered onto it. A page whose version has moved past
+// the one we last wrote was edited by hand and is only overwritten when forced. Confluence
+// normalizes a body when it saves it, so a page is "unchanged" when the template renders
+// what we last wrote (kept as `renderedHash`), not when its stored body equals a new render.
+const PROPAGATE_TIME_BUDGET_MS = INLINE_TIME_BUDGET_MS;
+
+const cloneKey = (templateId, pageId) => `clone_${templateId}_${pageId}`;
+
+const hashContent = (content) => createHash('sha256').update(content).digest('hex');
+
+const linkGeneratedPage = async (job, item, variables, content) => {
+  await storage.set(cloneKey(job.templateId, item.page.id), {
+    pageId: item.page.id,
+    templateId: job.templateId,
+    jobId: job.id,
+    itemIndex: item.index,
+    spaceKey: job.spaceKey,
+    variables,
+    version: item.page.version || 1,
+    renderedHash: hashContent(content),
+    linkedAt: new Date().toISOString(),
+    lastPropagatedAt: null
+  });
+};
+
+const listTemplateClones = async (templateId) =>
+  (await queryAllByPrefix(`clone_${templateId}_`)).map(entry => entry.value);
+
+// Current title, version and storage body of a page, or null when it is gone or trashed
+const fetchPageForSync = async (pageId) => {
+  const response = await confluenceApi().requestConfluence(route`/wiki/api/v2/pages/${pageId}?body-format=storage`);
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    await handleApiError(response, 'Page');
+  }
+  const pageData = await response.json();
+  if (pageData.status !== 'current') {
+    return null;
+  }
+  return {
+    id: pageData.id,
+    title: pageData.title,
+    url: pageData._links?.base + pageData._links?.webui,
+    version: pageData.version?.number,
+    content: pageData.body?.storage?.value || ''
+  };
+};
+
+// Compare one linked page with what the template would render for it now
+const checkClone = async (link, templateData) => {
+  const page = await fetchPageForSync(link.pageId);
+  if (!page) {
+    return { pageId: link.pageId, state: 'missing', page: null, rendered: null };
+  }
+  const rendered = renderTemplate(templateData.content, link.variables);
+  const state = page.version > link.version
+    ? 'edited'
+    : link.renderedHash === hashContent(rendered) ? 'unchanged' : 'update';
+  return { pageId: link.pageId, state, page, rendered };
+};
+
+// Preview a propagation: which linked pages would change, which were edited by hand, and a
+// diff for each. Works in time-boxed slices; call again with `nextOffset` until it is null.
+resolver.define('previewTemplatePropagation', async (req) => {
+  try {
+    const { templateId, offset = 0 } = req.payload || {};
+    const templateData = await getTemplate(templateId);
+    const links = await listTemplateClones(templateId);
+    const deadline = Date.now() + PROPAGATE_TIME_BUDGET_MS;
+
+    const pages = [];
+    let index = offset;
+    for (; index < links.length && Date.now() < deadline; index++) {
+      const { pageId, state, page, rendered } = await checkClone(links[index], templateData);
+      pages.push({
+        pageId,
+        state,
+        title: page?.title || null,
+        url: page?.url || null,
+        spaceKey: links[index].spaceKey,
+        currentVersion: page?.version || null,
+        linkedVersion: links[index].version,
+        lastPropagatedAt: links[index].lastPropagatedAt,
+        diff: state === 'update' || state === 'edited' ? summarizeContentDiff(page.content, rendered) : null
+      });
+    }
+
+    return { success: true, total: links.length, pages, nextOffset: index < links.length ? index : null };
+  } catch (error) {
+    console.error('❌ previewTemplatePropagation error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Push the template to the given linked pages as a new version of each. Pages edited by hand
+// since we last wrote them are skipped unless `force` is set; pages that are gone are unlinked.
+// Call again with `nextOffset` until it is null.
+resolver.define('propagateTemplate', async (req) => {
+  try {
+    const { templateId, pageIds = [], force = false, offset = 0 } = req.payload || {};
+    const templateData = await getTemplate(templateId);
+    const deadline = Date.now() + PROPAGATE_TIME_BUDGET_MS;
+
+    const results = [];
+    let index = offset;
+    for (; index < pageIds.length && Date.now() < deadline; index++) {
+      const link = await storage.get(cloneKey(templateId, pageIds[index]));
+      if (!link) {
+        results.push({ pageId: pageIds[index], outcome: 'failed', error: 'Page is not linked to this template' });
+        continue;
+      }
+
+      const { state, page, rendered } = await checkClone(link, templateData);
+      if (state === 'missing') {
+        await storage.delete(cloneKey(templateId, link.pageId));
+        results.push({ pageId: link.pageId, outcome: 'unlinked' });
+        continue;
+      }
+      if (state === 'unchanged' || (state === 'edited' && !force)) {
+        results.push({ pageId: link.pageId, title: page.title, outcome: state === 'edited' ? 'skipped' : 'unchanged' });
+        continue;
+      }
+
+      const result = await updatePage({
+        pageId: link.pageId,
+        title: page.title,
+        content: rendered,
+        message: `Synced from template "${templateData.name}"`
+      });
+      if (!result.ok) {
+        results.push({ pageId: link.pageId, title: page.title, outcome: 'failed', error: result.error });
+        continue;
+      }
+
+      link.version = result.page.version;
+      link.renderedHash = hashContent(rendered);
+      link.lastPropagatedAt = new Date().toISOString();
+      // The version is kept on the link rather than the job, which may still be running; a
+      // rollback reads it from here so this update doesn't count as a manual edit
+      await storage.set(cloneKey(templateId, link.pageId), link);
+      results.push({ pageId: link.pageId, title: page.title, url: result.page.url, outcome: 'updated', version: link.version });
+    }
+
+    console.log(`🔁 Propagated template ${templateId}: ${results.filter(r => r.outcome === 'updated').length} pages updated`);
+    return { success: true, results, nextOffset: index < pageIds.length ? index : null };
+  } catch (error) {
+    console.error('❌ propagateTemplate error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// ============================================================================
+// RUN ROLLBACK
+// ============================================================================
+
+// A rollback only trashes pages the run created and nobody has touched since:
+// children before parents, anything edited (or holding edited children) is kept.
+const ROLLBACK_TIME_BUDGET_MS = INLINE_TIME_BUDGET_MS;
+
+// Current status and version of a page, or null when it no longer exists
+const getPageState = async (pageId) => {
+  const response = await confluenceApi().requestConfluence(route`/wiki/api/v2/pages/${pageId}`);
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    await handleApiError(response, 'Page state');
+  }
+  const data = await response.json();
+  return { status: data.status, version: data.version?.number };
+};
+
+// Move a page to the space trash (not a purge, so it can still be restored)
+const trashPage = async (pageId) => {
+  const response = await confluenceApi().requestConfluence(route`/wiki/api/v2/pages/${pageId}`, {
+    method: 'DELETE'
+  });
+  if (!response.ok && response.status !== 404) {
+    const errorText = await response.text();
+    return { ok: false, status: response.status, error: parseApiErrorMessage(errorText, response.status) };
+  }
+  return { ok: true };
+};
+
+// Every page a job created, children before their parents, with the version it was created at
+const listRollbackTargets = (job) => {
+  const targets = [];
+  for (const item of [...job.items].reverse()) {
+    if (item.state !== 'created' || !item.page) {
+      continue;
+    }
+    targets.push(...[...(item.descendantPages || [])].reverse());
+    if (item.outcome !== 'overwritten') {
+      targets.push({ id: item.page.id, title: item.page.title, version: item.page.version, parentId: getItemParent(job, item).id });
+    }
+  }
+  return targets;
+};
+
+const summarizeRollback = (job) => ({
+  jobId: job.id,
+  canRollBack: isJobFinished(job) && job.rollback?.status !== 'completed',
+  ...job.rollback
+});
+
+// Trash one target unless it was edited or still holds kept children; records the result on the rollback
+const rollbackPage = async (rollback, target) => {
+  const keptChild = rollback.kept.find(page => page.parentId === target.id);
+  if (keptChild) {
+    rollback.kept.push({ ...target, reason: `Contains "${keptChild.title}", which was kept` });
+    return;
+  }
+
+  const state = await getPageState(target.id);
+  if (!state || state.status === 'trashed') {
+    rollback.trashed.push({ id: target.id, title: target.title, alreadyGone: true });
+    return;
+  }
+  if (state.version > (target.version || 1)) {
+    rollback.kept.push({ ...target, reason: `Edited since the run (version ${state.version})` });
+    return;
+  }
+
+  const result = await trashPage(target.id);
+  if (result.ok) {
+    rollback.trashed.push({ id: target.id, title: target.title });
+  } else {
+    // A page that could not be trashed keeps its parent in place too
+    rollback.kept.push({ ...target, reason: result.error });
+    rollback.errors.push({ id: target.id, title: target.title, status: result.status, error: result.error });
+  }
+};
+
+// A target with the version propagation last wrote to it, when that is newer than the one the run created
+const withPropagatedVersion = async (job, target) => {
+  const link = await storage.get(cloneKey(job.templateId, target.id));
+  return link?.jobId === job.id && link.version > (target.version || 1) ? { ...target, version: link.version } : target;
+};
+
+// Work through a job's rollback until done or out of time; safe to call again to continue
+const rollbackBulkJob = async (job, accountId, timeBudgetMs = ROLLBACK_TIME_BUDGET_MS) => {
+  const deadline = Date.now() + timeBudgetMs;
+
+  job.rollback = job.rollback || {
+    status: 'running',
+    requestedBy: accountId || null,
+    startedAt: new Date().toISOString(),
+    completedAt: null,
+    trashed: [],
+    kept: [],
+    errors: []
+  };
+  const rollback = job.rollback;
+  rollback.status = 'running';
+
+  const done = new Set([...rollback.trashed, ...rollback.kept].map(page => page.id));
+  for (const target of listRollbackTargets(job)) {
+    if (done.has(target.id)) {
+      continue;
+    }
+    if (Date.now() >= deadline) {
+      rollback.status = 'partial';
+      await saveJob(job);
+      return job;
+    }
+    await rollbackPage(rollback, await withPropagatedVersion(job, target));
+    await saveJob(job);
+  }
+
+  // Parents the run created go last, and only when nothing else lives under them
+  for (const parent of listCreatedParents(job)) {
+    if (done.has(parent.id)) {
+      continue;
+    }
+    const remaining = await fetchChildPages(parent.id).catch(() => null);
+    if (!remaining) {
+      rollback.kept.push({ id: parent.id, title: parent.title, reason: 'Could not check its child pages' });
+    } else if (remaining.length > 0) {
+      rollback.kept.push({ id: parent.id, title: parent.title, reason: `Still has ${remaining.length} child pages` });
+    } else {
+      await rollbackPage(rollback, { id: parent.id, title: parent.title, version: parent.version });
+    }
+    await saveJob(job);
+  }
+
+  rollback.status = 'completed';
+  rollback.completedAt = new Date().toISOString();
+  await saveJob(job);
+  if (job.recipeId) {
+    await recordRecipeRun(job);
+  }
+  console.log(`↩️ Rolled back job ${job.id}: ${rollback.trashed.length} trashed, ${rollback.kept.length} kept`);
+  return job;
+};
+
+// Roll back a finished run. Returns `status: 'partial'` when it ran out of time; call again to continue.
+resolver.define('rollbackBulkJob', async (req) => {
+  try {
+    const { jobId } = req.payload || {};
+    const job = await loadJob(jobId);
+    if (!job) {
+      return { success: false, error: `Job ${jobId} not found` };
+    }
+    if (!isJobFinished(job)) {
+      return { success: false, error: 'Only finished runs can be rolled back' };
+    }
+
+    console.log(`↩️ Rolling back job ${jobId}`);
+    const rolledBack = await rollbackBulkJob(job, req.context?.accountId);
+    return { success: true, ...summarizeRollback(rolledBack) };
+  } catch (error) {
+    console.error('❌ rollbackBulkJob error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// ============================================================================
+// RUN HISTORY
+// ============================================================================
+
+// Every stored job is a run record. The history list reads the small run summaries newest
+// first; a run's pages and errors are loaded from the job when it is expanded.
+const HISTORY_PAGE_SIZE = 25;
+
+// The list fields of a run record, stored as `runsummary_<id>` whenever the job is saved
+const toRunSummary = (job) => {
+  const createdCount = job.items.filter(item => item.state === 'created').length;
+  const failedCount = job.items.filter(item => item.state === 'failed').length;
+
+  return {
+    jobId: job.id,
+    status: job.status,
+    createdAt: job.createdAt,
+    completedAt: job.completedAt,
+    user: job.createdBy || { accountId: null, displayName: null },
+    template: { id: job.templateId, name: job.templateName || job.templateId, sourcePageTitle: job.sourcePageTitle || null },
+    space: { id: job.spaceId, key: job.spaceKey, name: job.spaceName || job.spaceKey },
+    target: {
+      mode: job.pageOrganization,
+      parentTitle: job.parentTitle || job.newParentTitle || null,
+      parentCount: job.mappedParents?.length || null
+    },
+    requestedCount: job.items.length,
+    createdCount,
+    errorCount: failedCount + (job.descendantErrors?.length || 0),
+    rolledBack: job.rollback?.status === 'completed'
+  };
+};
+
+// Shape a job as an audit record: who ran what, where, and what came of it
+const toRunRecord = (job) => {
+  const createdItems = job.items.filter(item => item.state === 'created');
+  const failedItems = job.items.filter(item => item.state === 'failed');
+
+  return {
+    jobId: job.id,
+    status: job.status,
+    createdAt: job.createdAt,
+    completedAt: job.completedAt,
+    user: job.createdBy || { accountId: null, displayName: null },
+    template: {
+      id: job.templateId,
+      name: job.templateName || job.templateId,
+      sourcePageId: job.sourcePageId || null,
+      sourcePageTitle: job.sourcePageTitle || null
+    },
+    space: { id: job.spaceId, key: job.spaceKey, name: job.spaceName || job.spaceKey },
+    target: {
+      mode: job.pageOrganization,
+      parentPageId: job.parentPageId,
+      parentTitle: job.parentTitle || job.newParentTitle || null,
+      parentCount: job.mappedParents?.length || null,
+      createdParentId: job.createdParent?.id || null,
+      createdParentIds: listCreatedParents(job).map(parent => parent.id)
+    },
+    titles: job.items.map(item => item.title),
+    createdPages: createdItems.map(item => ({
+      id: item.page.id,
+      title: item.page.title,
+      url: item.page.url,
+      outcome: item.outcome,
+      descendantIds: (item.descendantPages || []).map(page => page.id)
+    })),
+    createdCount: createdItems.length,
+    errorCount: failedItems.length + (job.descendantErrors?.length || 0),
+    errors: [
+      ...failedItems.map(item => ({ title: item.title, status: item.status, error: item.error })),
+      ...(job.descendantErrors || []).map(err => ({ title: err.title, status: err.status, error: err.error })),
+      ...(job.error ? [{ title: null, status: null, error: job.error }] : [])
+    ],
+    rollback: job.rollback || null,
+    canRollBack: isJobFinished(job) && job.rollback?.status !== 'completed' && createdItems.length > 0
+  };
+};
+
+// Runs list page titles, so other people's runs are only shown in spaces the viewer can see
+// themselves (checked as the viewer, once per space); the viewer's own runs are always shown
+const filterVisibleRuns = async (records, viewerId) => {
+  const visibleSpaces = new Map();
+  const visible = [];
+  for (const record of records) {
+    if (viewerId && record.user.accountId === viewerId) {
+      visible.push(record);
+      continue;
+    }
+    if (!visibleSpaces.has(record.space.key)) {
+      visibleSpaces.set(record.space.key, !!(await getSpaceById(record.space.key)));
+    }
+    if (visibleSpaces.get(record.space.key)) {
+      visible.push(record);
+    }
+  }
+  return visible;
+};
+
+// Run history with optional filters: accountId, spaceKey, and an ISO date range (from / to, inclusive)
+resolver.define('getRunHistory', async (req) => {
+  try {
+    const { accountId, spaceKey, from, to, offset = 0, limit = HISTORY_PAGE_SIZE } = req.payload || {};
+    const entries = await queryAllByPrefix('runsummary_');
+    const visible = await filterVisibleRuns(entries.map(entry => entry.value), req.context?.accountId);
+    const records = visible
+      .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+
+    // Filter options come from the full history so they don't disappear as filters are applied
+    const users = new Map();
+    const spaces = new Map();
+    records.forEach(record => {
+      if (record.user.accountId) {
+        users.set(record.user.accountId, record.user.displayName || record.user.accountId);
+      }
+      spaces.set(record.space.key, record.space.name);
+    });
+
+    const fromTime = from ? Date.parse(from) : null;
+    // A bare date as the end of the range includes that whole day
+    const toTime = to ? Date.parse(to) + (to.length === 10 ? 24 * 60 * 60 * 1000 - 1 : 0) : null;
+    const filtered = records.filter(record => {
+      const createdTime = Date.parse(record.createdAt);
+      return (!accountId || record.user.accountId === accountId) &&
+        (!spaceKey || record.space.key === spaceKey) &&
+        (fromTime === null || createdTime >= fromTime) &&
+        (toTime === null || createdTime <= toTime);
+    });
+
+    console.log(`📜 Run history: ${filtered.length} of ${records.length} runs match`);
+    return {
+      success: true,
+      runs: filtered.slice(offset, offset + limit),
+      total: filtered.length,
+      offset,
+      limit,
+      filters: {
+        users: [...users].map(([id, displayName]) => ({ accountId: id, displayName })),
+        spaces: [...spaces].map(([key, name]) => ({ key, name }))
+      }
+    };
+  } catch (error) {
+    console.error('❌ getRunHistory error:', error);
+    return { success: false, error: error.message, runs: [] };
   }
-  
-  // Determine what titles to use
-  let titlesToCreate = [];
-  if (pageTitles && Array.isArray(pageTitles) && pageTitles.length > 0) {
-    titlesToCreate = pageTitles.filter(title => title && title.trim());
-    console.log('📝 Using individual page titles:', titlesToCreate);
-  } else if (pageTitle) {
-    titlesToCreate = [pageTitle];
-    console.log('📝 Using single page title:', pageTitle);
-  } else {
-    throw new Error('Either pageTitle or pageTitles array is required');
+});
+
+// The full record of one run, for an expanded history row
+resolver.define('getRunDetails', async (req) => {
+  try {
+    const { jobId } = req.payload || {};
+    const job = await loadJob(jobId);
+    const visible = job && (await filterVisibleRuns([toRunSummary(job)], req.context?.accountId)).length > 0;
+    if (!visible) {
+      return { success: false, error: `Run ${jobId} not found` };
+    }
+    return { success: true, run: toRunRecord(job) };
+  } catch (error) {
+    console.error('❌ getRunDetails error:', error);
+    return { success: false, error: error.message };
   }
-  
-  if (titlesToCreate.length === 0) {
-    throw new Error('No valid page titles provided');
+});
+
+// ============================================================================
+// SCHEDULED GENERATION
+// ============================================================================
+
+// Schedules (`schedule_<id>`) are checked hourly by a scheduled trigger. A due schedule
+// queues an ordinary bulk job run as the app, so it shows up in the run history too.
+// Because the app writes on the user's behalf, saving a schedule checks that the user can
+// create pages there themselves, and records who was checked in `permissionCheckedFor`.
+const MAX_SCHEDULE_RUNS = 20; // Run log entries kept per schedule
+const SCHEDULE_CONFLICT_POLICY = 'skip'; // A retried occurrence must not create the page twice
+
+const scheduleKey = (scheduleId) => `schedule_${scheduleId}`;
+
+const getSchedule = async (scheduleId) => {
+  const schedule = scheduleId ? await storage.get(scheduleKey(scheduleId)) : null;
+  if (!schedule) {
+    throw new Error(`Schedule ${scheduleId} not found`);
   }
-  
-  // Get the template content
-  const templateData = await storage.get(`template_${templateId}`);
-  if (!templateData) {
-    throw new Error(`Template ${templateId} not found`);
+  return schedule;
+};
+
+// Check the template, title pattern and location shared by schedules and macro presets,
+// returning a list of problems
+const validateRunTarget = async (fields) => {
+  const errors = [];
+  if (!fields.titlePattern || !fields.titlePattern.trim()) {
+    errors.push('Title pattern is required');
   }
-  
-  console.log('📄 Using template:', templateData.name);
-  
-  // Get numeric space ID if not provided
-  let numericSpaceId = spaceId;
-  if (!numericSpaceId) {
-    try {
-      const spaceResponse = await api.asUser().requestConfluence(
-        route`/wiki/api/v2/spaces?keys=${spaceKey}&limit=1`
-      );
-      
-      if (spaceResponse.ok) {
-        const spaceData = await spaceResponse.json();
-        numericSpaceId = spaceData.results?.[0]?.id;
-      }
-    } catch (err) {
-      console.error('Error getting space ID:', err);
+  if (!fields.spaceKey) {
+    errors.push('Space is required');
+  }
+  if (fields.pageOrganization === 'create-child' && !fields.parentPageId) {
+    errors.push('Parent page is required');
+  }
+  if (fields.pageOrganization === 'create-parent' && !(fields.newParentTitle || '').trim()) {
+    errors.push('New parent title is required');
+  }
+  if (!fields.templateId || !(await storage.get(templateKey(fields.templateId)))) {
+    errors.push('Template not found');
+  }
+  return errors;
+};
+
+// Whether the current user (not the app) may create pages in the space, under the parent
+// when one is given. Returns a problem, or null when they can.
+const checkUserCanCreatePages = async ({ spaceKey, parentPageId }) => {
+  const userApi = withRetries(api.asUser());
+  const spaceResponse = await userApi.requestConfluence(route`/wiki/rest/api/space/${spaceKey}?expand=operations`);
+  if (!spaceResponse.ok) {
+    return `You don't have access to space ${spaceKey}`;
+  }
+  const space = await spaceResponse.json();
+  const canCreate = (space.operations || []).some(({ operation, targetType }) => operation === 'create' && targetType === 'page');
+  if (!canCreate) {
+    return `You don't have permission to create pages in ${space.name || spaceKey}`;
+  }
+
+  if (parentPageId) {
+    const parentResponse = await userApi.requestConfluence(route`/wiki/api/v2/pages/${parentPageId}`);
+    if (!parentResponse.ok) {
+      return `You can't see parent page ${parentPageId}`;
     }
   }
-  
-  // Handle parent page creation if needed
-  let actualParentPageId = null;
-  if (pageOrganization === 'create-parent' && newParentTitle) {
-    console.log('🏗️  Creating new parent page:', newParentTitle);
-    
-    const parentPayload = {
-      spaceId: numericSpaceId,
-      status: 'current',
-      title: newParentTitle,
-      body: {
-        representation: 'storage',
-        value: ''
-      }
-    };
-    
-    const parentResponse = await api.asUser().requestConfluence(route`/wiki/api/v2/pages`, {
-      method: 'POST',
-      headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' },
-      body: JSON.stringify(parentPayload)
+  return null;
+};
+
+// Validate the editable fields of a schedule, returning a list of problems
+const validateSchedule = async (fields) => {
+  const errors = validateRecurrence(fields);
+  if (!fields.name || !fields.name.trim()) {
+    errors.push('Name is required');
+  }
+  return [...errors, ...(await validateRunTarget(fields))];
+};
+
+// Pick the editable fields out of a request so stored bookkeeping can't be overwritten
+const toScheduleFields = (payload) => ({
+  name: (payload.name || '').trim(),
+  templateId: payload.templateId,
+  spaceKey: payload.spaceKey,
+  pageOrganization: payload.pageOrganization || 'create-child',
+  parentPageId: payload.parentPageId || null,
+  newParentTitle: payload.newParentTitle || null,
+  titlePattern: (payload.titlePattern || '').trim(),
+  templateVariables: payload.templateVariables || {},
+  frequency: payload.frequency,
+  weekday: payload.weekday === undefined ? 1 : Number(payload.weekday),
+  dayOfMonth: payload.dayOfMonth === undefined ? 1 : Number(payload.dayOfMonth),
+  hour: payload.hour === undefined ? 9 : Number(payload.hour)
+});
+
+// Titles for one occurrence: {{date}} is the scheduled date, not the time the trigger fired
+const renderScheduledTitle = (pattern, schedule, scheduledFor) => renderTemplate(pattern, {
+  ...schedule.templateVariables,
+  date: scheduledFor.slice(0, 10),
+  'space.key': schedule.spaceKey
+}, { escape: false });
+
+// Queue one occurrence of a schedule and log it; never throws so one bad schedule can't block the rest
+const runSchedule = async (schedule, now = new Date()) => {
+  const scheduledFor = schedule.nextRunAt || now.toISOString();
+  const entry = { jobId: null, scheduledFor, startedAt: now.toISOString(), status: 'queued', error: null };
+
+  try {
+    // Schedules saved before the permission check existed must be saved again first
+    if (!schedule.permissionCheckedFor) {
+      throw new Error('Save this schedule again to confirm you can create pages in its space');
+    }
+    await runAs('app', async () => {
+      const job = await prepareBulkJob({
+        templateId: schedule.templateId,
+        spaceKey: schedule.spaceKey,
+        pageTitles: [renderScheduledTitle(schedule.titlePattern, schedule, scheduledFor)],
+        pageOrganization: schedule.pageOrganization,
+        parentPageId: schedule.parentPageId,
+        newParentTitle: schedule.newParentTitle
+          ? renderScheduledTitle(schedule.newParentTitle, schedule, scheduledFor)
+          : null,
+        templateVariables: schedule.templateVariables,
+        conflictPolicy: SCHEDULE_CONFLICT_POLICY
+      }, {
+        accountId: schedule.createdBy?.accountId,
+        displayName: `${schedule.createdBy?.displayName || 'Unknown user'} (schedule "${schedule.name}")`,
+        runAs: 'app',
+        scheduleId: schedule.id
+      });
+      job.generatedAt = scheduledFor;
+      entry.jobId = job.id;
+      await enqueueBulkJob(job);
     });
-    
-    if (parentResponse.ok) {
-      const parentData = await parentResponse.json();
-      actualParentPageId = parentData.id;
-      console.log('✅ Parent page created:', actualParentPageId);
-    } else {
-      throw new Error('Failed to create parent page');
+    console.log(`⏰ Schedule ${schedule.id} queued job ${entry.jobId} for ${scheduledFor}`);
+  } catch (error) {
+    console.error(`❌ Schedule ${schedule.id} failed:`, error);
+    entry.status = 'failed';
+    entry.error = error.message;
+  }
+
+  schedule.runs = [entry, ...(schedule.runs || [])].slice(0, MAX_SCHEDULE_RUNS);
+  schedule.lastRunAt = now.toISOString();
+  schedule.nextRunAt = computeNextRunAt(schedule, now).toISOString();
+  await storage.set(scheduleKey(schedule.id), schedule);
+  return entry;
+};
+
+// Shape a schedule for the UI, filling each logged run's status from its job
+const summarizeSchedule = async (schedule) => {
+  const runs = await Promise.all((schedule.runs || []).map(async (run) => {
+    const job = run.jobId ? await loadJob(run.jobId) : null;
+    if (!job) {
+      return run;
     }
-  } else if (pageOrganization === 'create-child' && req.payload.parentPageId) {
-    actualParentPageId = req.payload.parentPageId;
+    const summary = summarizeBulkJob(job);
+    return {
+      ...run,
+      status: job.status,
+      error: job.error || run.error,
+      createdCount: summary.data.createdCount,
+      skippedCount: summary.data.skippedCount,
+      errorCount: summary.data.errorCount,
+      pages: summary.data.pages.map(page => ({ id: page.id, title: page.title, url: page.url }))
+    };
+  }));
+
+  return {
+    ...schedule,
+    recurrence: describeRecurrence(schedule),
+    runs
+  };
+};
+
+// List all schedules, soonest due first
+resolver.define('getSchedules', async () => {
+  try {
+    const schedules = (await queryAllByPrefix('schedule_'))
+      .map(entry => entry.value)
+      .sort((a, b) => Date.parse(a.nextRunAt) - Date.parse(b.nextRunAt));
+
+    return { success: true, schedules: await Promise.all(schedules.map(summarizeSchedule)) };
+  } catch (error) {
+    console.error('❌ getSchedules error:', error);
+    return { success: false, error: error.message, schedules: [] };
   }
-  // Note: create-as-parent mode doesn't set actualParentPageId, so pages become top-level
-  
-  // Calculate page count
-  const pageCount = titlesToCreate.length;
-  console.log(`🚀 Creating ${pageCount} pages sequentially to preserve order`);
+});
 
-  const createdPages = [];
-  const errors = [];
+// Create a schedule, or update one when `scheduleId` is given
+resolver.define('saveSchedule', async (req) => {
+  try {
+    const payload = req.payload || {};
+    const fields = toScheduleFields(payload);
+    const errors = await validateSchedule(fields);
+    if (errors.length > 0) {
+      return { success: false, error: errors.join('; '), errors };
+    }
+    const permissionError = await checkUserCanCreatePages(fields);
+    if (permissionError) {
+      return { success: false, error: permissionError, errors: [permissionError] };
+    }
 
-  // Sequential creation to guarantee order in Confluence tree
-  for (let i = 0; i < pageCount; i++) {
-    const title = titlesToCreate[i];
-    try {
-      console.log(`📝 Creating page ${i + 1}/${pageCount}: ${title}`);
-
-      const pagePayload = {
-        spaceId: numericSpaceId,
-        status: 'current',
-        title: title,
-        body: {
-          representation: 'storage',
-          value: templateData.content
-        }
+    const now = new Date();
+    let schedule;
+    if (payload.scheduleId) {
+      schedule = { ...(await getSchedule(payload.scheduleId)), ...fields };
+    } else {
+      schedule = {
+        id: `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        ...fields,
+        enabled: true,
+        createdBy: {
+          accountId: req.context?.accountId || null,
+          displayName: await getUserDisplayName(req.context?.accountId).catch(() => null)
+        },
+        createdAt: now.toISOString(),
+        lastRunAt: null,
+        runs: []
       };
+    }
 
-      if (actualParentPageId) {
-        pagePayload.parentId = actualParentPageId;
-      }
+    schedule.permissionCheckedFor = { accountId: req.context?.accountId || null, checkedAt: now.toISOString() };
 
-      const response = await api.asUser().requestConfluence(route`/wiki/api/v2/pages`, {
-        method: 'POST',
-        headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' },
-        body: JSON.stringify(pagePayload)
-      });
+    // Recurrence may have changed, so the next occurrence is always recomputed
+    schedule.nextRunAt = computeNextRunAt(schedule, now).toISOString();
+    schedule.updatedAt = now.toISOString();
+    await storage.set(scheduleKey(schedule.id), schedule);
 
-      if (response.ok) {
-        const pageData = await response.json();
-        const created = {
-          id: pageData.id,
-          title: pageData.title,
-          url: pageData._links?.base + pageData._links?.webui
-        };
-        createdPages.push(created);
-        console.log(`✅ Page created: ${pageData.title} (ID: ${pageData.id})`);
-
-        // Immediately move after previous page to enforce ordering
-        if (createdPages.length > 1) {
-          const previousPage = createdPages[createdPages.length - 2];
-          try {
-            const moveResp = await api.asUser().requestConfluence(
-              route`/wiki/rest/api/content/${created.id}/move/after/${previousPage.id}`,
-              {
-                method: 'POST',
-                headers: { 'Accept': 'application/json' }
-              }
-            );
-            if (!moveResp.ok) {
-              const moveErrorText = await moveResp.text();
-              console.error(`❌ Failed to order page ${created.title}: ${moveResp.status} - ${moveErrorText}`);
-            }
-          } catch (moveError) {
-            console.error(`❌ Failed to order page ${created.title}:`, moveError);
-          }
-        }
-      } else {
-        const errorText = await response.text();
-        let errorMessage = `Failed to create page: ${response.status}`;
+    console.log(`🗓️ Schedule ${payload.scheduleId ? 'updated' : 'created'}:`, schedule.id);
+    return { success: true, schedule: await summarizeSchedule(schedule) };
+  } catch (error) {
+    console.error('❌ saveSchedule error:', error);
+    return { success: false, error: error.message };
+  }
+});
 
-        try {
-          const parsed = JSON.parse(errorText);
-          if (parsed?.message) {
-            errorMessage = parsed.message;
-          } else if (parsed?.errors?.length) {
-            errorMessage = parsed.errors.map(e => e.message || e.title || e).join('; ');
-          }
-        } catch (parseErr) {
-          // Non-JSON response; keep default message
-        }
+// Pause or resume a schedule; resuming skips occurrences missed while paused
+resolver.define('setScheduleEnabled', async (req) => {
+  try {
+    const { scheduleId, enabled } = req.payload || {};
+    const schedule = await getSchedule(scheduleId);
+    schedule.enabled = !!enabled;
+    if (schedule.enabled) {
+      schedule.nextRunAt = computeNextRunAt(schedule, new Date()).toISOString();
+    }
+    schedule.updatedAt = new Date().toISOString();
+    await storage.set(scheduleKey(scheduleId), schedule);
 
-        console.log(`❌ Failed to create page ${title}: ${response.status} - ${errorText}`);
-        errors.push({
-          index: i,
-          success: false,
-          status: response.status,
-          error: errorMessage,
-          errorDetails: errorText,
-          title: title
-        });
+    console.log(`🗓️ Schedule ${scheduleId} ${schedule.enabled ? 'resumed' : 'paused'}`);
+    return { success: true, schedule: await summarizeSchedule(schedule) };
+  } catch (error) {
+    console.error('❌ setScheduleEnabled error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+resolver.define('deleteSchedule', async (req) => {
+  try {
+    const { scheduleId } = req.payload || {};
+    await getSchedule(scheduleId);
+    await storage.delete(scheduleKey(scheduleId));
+
+    console.log('🗑️ Schedule deleted:', scheduleId);
+    return { success: true, scheduleId };
+  } catch (error) {
+    console.error('❌ deleteSchedule error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// ============================================================================
+// MACRO PRESETS
+// ============================================================================
+
+// A configured macro keeps its preset (template, location, title pattern) in the macro's own
+// parameters, and viewers run it with one click. The runs each macro started are kept under
+// `macro_<localId>` so it can list the pages it created.
+const MAX_MACRO_RUNS = 20; // Runs listed per macro
+const MACRO_CONFLICT_POLICY = 'suffix'; // A second click on the same day adds "Title (1)" instead of failing
+
+const macroKey = (localId) => `macro_${localId}`;
+
+// Pick the preset fields out of a macro's saved config
+const toMacroPreset = (config = {}) => ({
+  templateId: config.templateId || '',
+  spaceKey: config.spaceKey || '',
+  pageOrganization: config.pageOrganization || 'create-child',
+  parentPageId: config.parentPageId || null,
+  newParentTitle: config.newParentTitle || null,
+  titlePattern: (config.titlePattern || '').trim(),
+  promptForVariables: !!config.promptForVariables
+});
+
+// The macro a button call comes from, read from the invocation context rather than the
+// payload so a caller can't run a made-up preset or write to another macro's run list
+const getMacroContext = (context = {}) => ({
+  localId: context.extension?.macro?.localId || context.localId || null,
+  config: context.extension?.config || {}
+});
+
+// Title for one click: {{date}} is today, and the viewer's answers fill the template placeholders
+const renderMacroTitle = (pattern, preset, variables, now = new Date()) => renderTemplate(pattern, {
+  ...variables,
+  date: now.toISOString().slice(0, 10),
+  'space.key': preset.spaceKey
+}, { escape: false });
+
+// Check a preset before the config panel saves it
+resolver.define('validateMacroPreset', async (req) => {
+  try {
+    const errors = await validateRunTarget(toMacroPreset(req.payload?.config));
+    return { success: errors.length === 0, error: errors.join('; '), errors };
+  } catch (error) {
+    console.error('❌ validateMacroPreset error:', error);
+    return { success: false, error: error.message, errors: [error.message] };
+  }
+});
+
+// What a macro's button needs: the template's own placeholders for the optional prompt, and
+// the pages the macro's runs created, newest run first
+resolver.define('getMacroPreset', async (req) => {
+  try {
+    const { localId, config } = getMacroContext(req.context);
+    const preset = toMacroPreset(config);
+    const template = await storage.get(templateKey(preset.templateId));
+    const record = localId ? await storage.get(macroKey(localId)) : null;
+
+    const runs = await Promise.all((record?.runs || []).map(async (run) => {
+      const job = await loadJob(run.jobId);
+      if (!job) {
+        return { ...run, status: 'missing', finished: true, pages: [] };
       }
-    } catch (error) {
-      console.error(`❌ Error creating page ${title}:`, error);
-      errors.push({
-        index: i,
-        success: false,
-        error: error.message,
-        title: title
-      });
+      const summary = summarizeBulkJob(job);
+      return {
+        ...run,
+        status: job.status,
+        finished: isJobFinished(job),
+        error: job.error || summary.data.errors[0]?.error || null,
+        pages: summary.data.pages.map(page => ({ id: page.id, title: page.title, url: page.url }))
+      };
+    }));
+
+    return {
+      success: true,
+      template: template ? toTemplateSummary(template) : null,
+      titlePattern: preset.titlePattern,
+      runs
+    };
+  } catch (error) {
+    console.error('❌ getMacroPreset error:', error);
+    return { success: false, error: error.message, runs: [] };
+  }
+});
+
+// Run a macro's preset as the viewer who clicked it; the page is created in the background
+resolver.define('runMacroPreset', async (req) => {
+  try {
+    const { variables = {} } = req.payload || {};
+    const { localId, config } = getMacroContext(req.context);
+    if (!localId) {
+      return { success: false, error: 'Macro ID is required' };
     }
 
-    // Small delay to avoid rate limits and allow ordering to settle
-    await new Promise(resolve => setTimeout(resolve, 100));
+    const preset = toMacroPreset(config);
+    const errors = await validateRunTarget(preset);
+    if (errors.length > 0) {
+      return { success: false, error: errors.join('; '), errors };
+    }
+
+    const job = await prepareBulkJob({
+      templateId: preset.templateId,
+      spaceKey: preset.spaceKey,
+      pageTitles: [renderMacroTitle(preset.titlePattern, preset, variables)],
+      pageOrganization: preset.pageOrganization,
+      parentPageId: preset.parentPageId,
+      newParentTitle: preset.newParentTitle
+        ? renderMacroTitle(preset.newParentTitle, preset, variables)
+        : null,
+      templateVariables: variables,
+      conflictPolicy: MACRO_CONFLICT_POLICY
+    }, req.context);
+    await saveJob(job);
+    await enqueueBulkJob(job);
+
+    const record = (await storage.get(macroKey(localId))) || { localId, runs: [] };
+    const run = {
+      jobId: job.id,
+      startedAt: job.createdAt,
+      startedBy: job.createdBy.displayName
+    };
+    record.runs = [run, ...record.runs].slice(0, MAX_MACRO_RUNS);
+    await storage.set(macroKey(localId), record);
+
+    console.log(`🔘 Macro ${localId} queued job ${job.id}: ${job.items[0].title}`);
+    return { success: true, run: { ...run, status: job.status, finished: false, pages: [] } };
+  } catch (error) {
+    console.error('❌ runMacroPreset error:', error);
+    return { success: false, error: error.message };
   }
+});
 
-  const finalResults = {
-    success: true,
-    message: `Successfully created ${createdPages.length} pages`,
-    data: {
-      createdCount: createdPages.length,
-      errorCount: errors.length,
-      pages: createdPages,
-      errors: errors,
-      totalRequested: pageCount,
-      batchCount: 1,
-      batchSize: 1
+// ============================================================================
+// RECIPES
+// ============================================================================
+
+// A recipe (`recipe_<id>`) is a saved single-space wizard run: template, location, titles and
+// options under a name. Recipes are private to their creator until shared; anyone who can
+// see one can launch it, but only its creator can change or delete it. `titles` are the last
+// finished run's created titles. With a `titlePattern`, `nextIndex` is the first page of the
+// pattern not yet created, so each launch continues where the last run stopped.
+const recipeKey = (recipeId) => `recipe_${recipeId}`;
+
+const canSeeRecipe = (recipe, accountId) => recipe.shared || recipe.createdBy?.accountId === accountId;
+
+const getRecipe = async (recipeId, accountId) => {
+  const recipe = recipeId ? await storage.get(recipeKey(recipeId)) : null;
+  if (!recipe || !canSeeRecipe(recipe, accountId)) {
+    throw new Error(`Recipe ${recipeId} not found`);
+  }
+  return recipe;
+};
+
+const getOwnRecipe = async (recipeId, accountId) => {
+  const recipe = await getRecipe(recipeId, accountId);
+  if (recipe.createdBy?.accountId !== accountId) {
+    throw new Error('Only the person who saved a recipe can change it');
+  }
+  return recipe;
+};
+
+// Pick the editable fields out of a request so stored bookkeeping can't be overwritten
+const toRecipeFields = (payload) => ({
+  name: (payload.name || '').trim(),
+  templateId: payload.templateId,
+  spaceKey: payload.spaceKey,
+  pageOrganization: payload.pageOrganization || 'create-child',
+  parentPageId: payload.parentPageId || null,
+  parentPageTitle: payload.parentPageTitle || null,
+  newParentTitle: payload.newParentTitle || null,
+  pageParents: Array.isArray(payload.pageParents) ? payload.pageParents : [],
+  titles: (Array.isArray(payload.titles) ? payload.titles : []).map(title => String(title).trim()).filter(Boolean),
+  templateVariables: payload.templateVariables || {},
+  conflictPolicy: payload.conflictPolicy || DEFAULT_CONFLICT_POLICY,
+  extraLabels: payload.extraLabels || '',
+  titlePattern: toTitlePatternFields(payload.titlePattern),
+  nextIndex: Number(payload.titlePattern?.offset) || 0,
+  shared: !!payload.shared
+});
+
+// The titles a launch starts with: the pattern's next pages, or the last run's titles again
+const nextRecipeTitles = (recipe) => (recipe.titlePattern
+  ? renderTitlePattern(recipe.titlePattern.pattern, {
+      ...recipe.titlePattern,
+      count: recipe.titles.length,
+      offset: recipe.nextIndex || 0
+    })
+  : recipe.titles);
+
+// A recipe without a title pattern (saved before patterns existed, or with titles typed by hand)
+// is launched as the pattern its last titles follow, starting after them, when they follow one
+const withInferredTitlePattern = (recipe) => {
+  const titlePattern = recipe.titlePattern ? null : inferTitlePattern(recipe.titles);
+  return titlePattern ? { ...recipe, titlePattern, nextIndex: recipe.titles.length } : recipe;
+};
+
+// Validate the editable fields of a recipe, returning a list of problems
+const validateRecipe = async (fields) => {
+  const errors = [];
+  if (!fields.name) {
+    errors.push('Name is required');
+  }
+  if (fields.titles.length === 0) {
+    errors.push('At least one page title is required');
+  }
+  if (!CONFLICT_POLICIES.includes(fields.conflictPolicy)) {
+    errors.push(`Unknown conflict policy: ${fields.conflictPolicy}`);
+  }
+  if (fields.titlePattern && fields.titles.length > 0) {
+    try {
+      nextRecipeTitles(fields);
+    } catch (error) {
+      errors.push(`Title pattern: ${error.message}`);
     }
+  }
+  return [...errors, ...(await validateRunTarget({ ...fields, titlePattern: fields.titles[0] }))];
+};
+
+const summarizeRecipe = async (recipe, accountId) => {
+  const template = await storage.get(templateKey(recipe.templateId));
+  return {
+    ...recipe,
+    templateName: template?.name || null,
+    mine: recipe.createdBy?.accountId === accountId
   };
-  
-  console.log(`🎉 Bulk generation completed: ${createdPages.length}/${pageCount} pages created successfully`);
-  return finalResults;
+};
+
+// Remember a finished run's created titles so the next launch continues after them. Called
+// again when the run's failed pages are retried or it is rolled back; the recipe as it was
+// before the run (`beforeLastRun`) is the starting point each time, so nothing counts twice.
+// A recipe saved again since the run has new titles of its own and is left alone.
+const recordRecipeRun = async (job) => {
+  try {
+    const recipe = await getRecipe(job.recipeId, job.createdBy?.accountId);
+    if (recipe.lastJobId === job.id && !recipe.beforeLastRun) {
+      return;
+    }
+
+    const before = recipe.lastJobId === job.id
+      ? recipe.beforeLastRun
+      : {
+          titles: recipe.titles,
+          nextIndex: recipe.nextIndex || 0,
+          lastJobId: recipe.lastJobId || null,
+          lastRunAt: recipe.lastRunAt || null,
+          runCount: recipe.runCount || 0
+        };
+    const createdItems = job.rollback?.status === 'completed'
+      ? []
+      : job.items.filter(item => item.state === 'created');
+
+    Object.assign(recipe, before, { beforeLastRun: null });
+    if (createdItems.length > 0) {
+      recipe.beforeLastRun = before;
+      recipe.titles = createdItems.map(item => item.originalTitle || item.title);
+      if (recipe.titlePattern) {
+        // Continue after the last page created; failed pages before it are retried from the run itself
+        recipe.nextIndex = before.nextIndex + createdItems[createdItems.length - 1].index + 1;
+      }
+      recipe.lastJobId = job.id;
+      recipe.lastRunAt = job.createdAt;
+      recipe.runCount = before.runCount + 1;
+    }
+    await storage.set(recipeKey(recipe.id), recipe);
+  } catch (error) {
+    console.error(`❌ Could not record run ${job.id} on recipe ${job.recipeId}:`, error);
+  }
+};
+
+// Recipes the user saved plus those others have shared, most recently used first
+resolver.define('getRecipes', async (req) => {
+  try {
+    const accountId = req.context?.accountId;
+    const recipes = (await queryAllByPrefix('recipe_'))
+      .map(entry => entry.value)
+      .filter(recipe => canSeeRecipe(recipe, accountId))
+      .sort((a, b) => (b.lastRunAt || b.createdAt).localeCompare(a.lastRunAt || a.createdAt));
+    return { success: true, recipes: await Promise.all(recipes.map(recipe => summarizeRecipe(recipe, accountId))) };
+  } catch (error) {
+    console.error('❌ getRecipes error:', error);
+    return { success: false, error: error.message, recipes: [] };
+  }
+});
+
+// Save the current wizard state as a recipe, or update one of the user's own with `recipeId`
+resolver.define('saveRecipe', async (req) => {
+  try {
+    const payload = req.payload || {};
+    const accountId = req.context?.accountId;
+    const fields = toRecipeFields(payload);
+    const errors = await validateRecipe(fields);
+    if (errors.length > 0) {
+      return { success: false, error: errors.join('; '), errors };
+    }
+
+    const now = new Date().toISOString();
+    const recipe = payload.recipeId
+      ? { ...(await getOwnRecipe(payload.recipeId, accountId)), ...fields }
+      : {
+          id: `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+          ...fields,
+          createdBy: {
+            accountId: accountId || null,
+            displayName: await getUserDisplayName(accountId).catch(() => null)
+          },
+          createdAt: now,
+          lastRunAt: null,
+          lastJobId: null,
+          runCount: 0
+        };
+    recipe.updatedAt = now;
+    // The saved titles replace the last run's, so a retry or rollback of that run no longer changes them
+    recipe.beforeLastRun = null;
+    await storage.set(recipeKey(recipe.id), recipe);
+
+    console.log(`🧾 Recipe ${payload.recipeId ? 'updated' : 'saved'}:`, recipe.id);
+    return { success: true, recipe: await summarizeRecipe(recipe, accountId) };
+  } catch (error) {
+    console.error('❌ saveRecipe error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Share a recipe with everyone who uses the app, or make it private again
+resolver.define('setRecipeShared', async (req) => {
+  try {
+    const { recipeId, shared } = req.payload || {};
+    const accountId = req.context?.accountId;
+    const recipe = await getOwnRecipe(recipeId, accountId);
+    recipe.shared = !!shared;
+    recipe.updatedAt = new Date().toISOString();
+    await storage.set(recipeKey(recipeId), recipe);
+    return { success: true, recipe: await summarizeRecipe(recipe, accountId) };
+  } catch (error) {
+    console.error('❌ setRecipeShared error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+resolver.define('deleteRecipe', async (req) => {
+  try {
+    const { recipeId } = req.payload || {};
+    await getOwnRecipe(recipeId, req.context?.accountId);
+    await storage.delete(recipeKey(recipeId));
+
+    console.log('🗑️ Recipe deleted:', recipeId);
+    return { success: true, recipeId };
+  } catch (error) {
+    console.error('❌ deleteRecipe error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Everything the wizard needs to open a recipe at the Step 3 confirmation
+resolver.define('launchRecipe', async (req) => {
+  try {
+    const { recipeId } = req.payload || {};
+    const recipe = withInferredTitlePattern(await getRecipe(recipeId, req.context?.accountId));
+    const template = await getTemplate(recipe.templateId);
+    return { success: true, recipe, template: toTemplateSummary(template), titles: nextRecipeTitles(recipe) };
+  } catch (error) {
+    console.error('❌ launchRecipe error:', error);
+    return { success: false, error: error.message };
+  }
 });
 
 // Close modal function for Custom UI
@@ -974,4 +4317,45 @@ resolver.define('closeModal', async (req) => {
   }
 });
 
-export const handler = resolver.getDefinitions();
\ No newline at end of file
+export const handler = resolver.getDefinitions();
+
+// Async queue consumer: processes a slice of a bulk job and re-queues whatever is left
+const jobResolver = new Resolver();
+
+jobResolver.define('process-bulk-job', async ({ payload }) => {
+  const { jobId } = payload || {};
+  console.log('⚙️ Processing bulk job:', jobId);
+  try {
+    const stored = await storage.get(jobKey(jobId));
+    const job = await runAs(stored?.runAs, () => processBulkJob(jobId));
+    if (!isJobFinished(job) && !(job.lockedUntil && Date.parse(job.lockedUntil) > Date.now())) {
+      await enqueueBulkJob(job);
+    }
+  } catch (error) {
+    console.error(`❌ Bulk job ${jobId} error:`, error);
+  }
+});
+
+jobResolver.define('prepare-fan-out-space', async ({ payload }) => {
+  console.log('⚙️ Preparing fan-out space:', payload);
+  try {
+    await prepareNextFanOutSpace(payload || {});
+  } catch (error) {
+    console.error(`❌ Fan-out ${payload?.fanOutId} preparation error:`, error);
+  }
+});
+
+export const bulkJobHandler = jobResolver.getDefinitions();
+
+// Scheduled trigger (hourly): queue every enabled schedule that is due
+export const runDueSchedules = async () => {
+  const now = new Date();
+  const due = (await queryAllByPrefix('schedule_'))
+    .map(entry => entry.value)
+    .filter(schedule => schedule.enabled && Date.parse(schedule.nextRunAt) <= now.getTime());
+
+  console.log(`⏰ ${due.length} schedules due`);
+  for (const schedule of due) {
+    await runSchedule(schedule, now);
+  }
+};
\ No newline at end of file
@@ -0,0 +1,44 @@
+// ============================================================================
+// PAGE SEARCH
+// ============================================================================
+// CQL for the Step 1 template browser. Every filter is optional; without any,
+// the most recently modified pages across all spaces come first.
+
+export const MODIFIED_WITHIN_DAYS = [7, 30, 90, 365];
+
+// Characters with a meaning in CQL text search, dropped from typed search words
+const CQL_SPECIAL_CHARACTERS = /[+\-&|!(){}[\]^~*?:\\/"]/g;
+
+// Quote a value for CQL, escaping backslashes and double quotes
+const quoteCql = (value) => `"${String(value).replace(/[\\"]/g, '\\$&')}"`;
+
+// The words of a search box entry, each matched as a prefix so results narrow while typing
+const toTitleSearch = (query) => (query || '')
+  .replace(CQL_SPECIAL_CHARACTERS, ' ')
+  .split(/\s+/)
+  .filter(Boolean)
+  .map(word => `${word}*`)
+  .join(' ');
+
+export const buildPageSearchCql = ({ query, spaceKey, label, modifiedWithinDays } = {}) => {
+  const clauses = ['type = page'];
+
+  const titleSearch = toTitleSearch(query);
+  if (titleSearch) {
+    clauses.push(`title ~ ${quoteCql(titleSearch)}`);
+  }
+  if (spaceKey) {
+    clauses.push(`space = ${quoteCql(spaceKey)}`);
+  }
+  if (label && label.trim()) {
+    clauses.push(`label = ${quoteCql(label.trim().toLowerCase())}`);
+  }
+  if (modifiedWithinDays) {
+    if (!MODIFIED_WITHIN_DAYS.includes(modifiedWithinDays)) {
+      throw new Error(`Modified within must be one of: ${MODIFIED_WITHIN_DAYS.join(', ')} days`);
+    }
+    clauses.push(`lastmodified >= now("-${modifiedWithinDays}d")`);
+  }
+
+  return `${clauses.join(' AND ')} ORDER BY lastmodified DESC`;
+};
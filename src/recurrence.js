@@ -0,0 +1,77 @@
+// ============================================================================
+// SCHEDULE RECURRENCE
+// ============================================================================
+// Works out when a recurring schedule is next due. All times are UTC so the
+// result does not depend on where the scheduled trigger happens to run.
+
+import { daysInMonth } from './sequenceEngine';
+
+export const FREQUENCIES = ['daily', 'weekly', 'monthly', 'quarterly'];
+
+// A given day of a month at the schedule's hour, clamped so "31st" still works in short months
+const atDayOfMonth = (year, month, dayOfMonth, hour) =>
+  new Date(Date.UTC(year, month, Math.min(dayOfMonth, daysInMonth(year, month)), hour));
+
+// Check a schedule's recurrence fields, returning a list of problems (empty when valid)
+export const validateRecurrence = ({ frequency, weekday, dayOfMonth, hour }) => {
+  const errors = [];
+  if (!FREQUENCIES.includes(frequency)) {
+    errors.push(`Frequency must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+  if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+    errors.push('Hour must be a whole number from 0 to 23 (UTC)');
+  }
+  if (frequency === 'weekly' && (!Number.isInteger(weekday) || weekday < 0 || weekday > 6)) {
+    errors.push('Weekday must be 0 (Sunday) to 6 (Saturday)');
+  }
+  if ((frequency === 'monthly' || frequency === 'quarterly') &&
+    (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 31)) {
+    errors.push('Day of month must be 1 to 31');
+  }
+  return errors;
+};
+
+// The first occurrence strictly after `after`
+export const computeNextRunAt = ({ frequency, weekday = 1, dayOfMonth = 1, hour = 0 }, after = new Date()) => {
+  const year = after.getUTCFullYear();
+  const month = after.getUTCMonth();
+
+  if (frequency === 'daily' || frequency === 'weekly') {
+    const candidate = new Date(Date.UTC(year, month, after.getUTCDate(), hour));
+    if (frequency === 'weekly') {
+      candidate.setUTCDate(candidate.getUTCDate() + ((weekday - candidate.getUTCDay() + 7) % 7));
+    }
+    if (candidate <= after) {
+      candidate.setUTCDate(candidate.getUTCDate() + (frequency === 'weekly' ? 7 : 1));
+    }
+    return candidate;
+  }
+
+  // Monthly runs every month; quarterly only in January, April, July and October
+  const step = frequency === 'quarterly' ? 3 : 1;
+  let candidateMonth = frequency === 'quarterly' ? month - (month % 3) : month;
+  let candidate = atDayOfMonth(year, candidateMonth, dayOfMonth, hour);
+  while (candidate <= after) {
+    candidateMonth += step;
+    candidate = atDayOfMonth(year, candidateMonth, dayOfMonth, hour);
+  }
+  return candidate;
+};
+
+// Human-readable summary, e.g. "Every Monday at 09:00 UTC"
+export const describeRecurrence = ({ frequency, weekday = 1, dayOfMonth = 1, hour = 0 }) => {
+  const time = `${String(hour).padStart(2, '0')}:00 UTC`;
+  const weekdays = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+  switch (frequency) {
+    case 'daily':
+      return `Every day at ${time}`;
+    case 'weekly':
+      return `Every ${weekdays[weekday]} at ${time}`;
+    case 'monthly':
+      return `Monthly on day ${dayOfMonth} at ${time}`;
+    case 'quarterly':
+      return `Quarterly on day ${dayOfMonth} of Jan/Apr/Jul/Oct at ${time}`;
+    default:
+      return frequency;
+  }
+};
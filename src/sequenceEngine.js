@@ -0,0 +1,172 @@
+// ============================================================================
+// DATE & SEQUENCE ENGINE
+// ============================================================================
+// Shared date arithmetic and title sequences for numbered, weekly, monthly and
+// quarterly generation. Dates are UTC calendar days so results don't shift with
+// the server's timezone.
+
+export const SEQUENCE_MODES = ['numbered', 'weekly', 'monthly', 'quarterly'];
+
+// Upper bound for one computed sequence, matching the CSV import limit
+export const MAX_SEQUENCE_LENGTH = 500;
+
+export const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+export const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+export const addDays = (date, days) =>
+  new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + days));
+
+// Add calendar months, clamping the day so Jan 31 + 1 month is Feb 28/29
+export const addMonths = (date, months) => {
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+  const day = Math.min(date.getUTCDate(), daysInMonth(target.getUTCFullYear(), target.getUTCMonth()));
+  return new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth(), day));
+};
+
+export const toIsoDate = (date) => date.toISOString().slice(0, 10);
+
+// Parse a YYYY-MM-DD string into a UTC date, or null when it isn't a real calendar day
+export const parseIsoDate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || '').trim());
+  if (!match) {
+    return null;
+  }
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+};
+
+// Accept 1-12, "3", "March" or "Mar" and return a 0-based month index, or null
+export const parseMonth = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  if (Number.isInteger(number)) {
+    return number >= 1 && number <= 12 ? number - 1 : null;
+  }
+  const name = String(value).trim().toLowerCase();
+  const index = MONTH_NAMES.findIndex(month => name.length >= 3 && month.toLowerCase().startsWith(name));
+  return index === -1 ? null : index;
+};
+
+// "Jan 4, 2027"
+export const formatShortDate = (date) =>
+  `${MONTH_NAMES[date.getUTCMonth()].slice(0, 3)} ${date.getUTCDate()}, ${date.getUTCFullYear()}`;
+
+// Fiscal years are named after the calendar year they end in, so with an April start
+// FY2027 runs from April 2026 to March 2027. A January start makes FY = calendar year.
+export const fiscalYearOf = (date, fiscalYearStartMonth = 1) =>
+  date.getUTCFullYear() + (fiscalYearStartMonth > 1 && date.getUTCMonth() >= fiscalYearStartMonth - 1 ? 1 : 0);
+
+// 1-4, counted from the fiscal year start
+export const fiscalQuarterOf = (date, fiscalYearStartMonth = 1) =>
+  Math.floor(((date.getUTCMonth() - (fiscalYearStartMonth - 1) + 12) % 12) / 3) + 1;
+
+// First day of a fiscal quarter
+export const fiscalQuarterStart = (fiscalYear, quarter, fiscalYearStartMonth = 1) =>
+  new Date(Date.UTC(
+    fiscalYear - (fiscalYearStartMonth > 1 ? 1 : 0),
+    fiscalYearStartMonth - 1 + (quarter - 1) * 3,
+    1
+  ));
+
+const withBase = (baseTitle, label) => (baseTitle && baseTitle.trim() ? `${baseTitle.trim()} - ${label}` : label);
+
+// Per-page values every sequence item exposes to the template as {{period.*}} / {{sequence.number}}
+const periodVariables = (number, start, end, label) => ({
+  'sequence.number': String(number),
+  'period.start': toIsoDate(start),
+  'period.end': toIsoDate(end),
+  'period.label': label
+});
+
+const requireCount = (count, fallback) => {
+  const value = count === undefined || count === null || count === '' ? fallback : Number(count);
+  if (!Number.isInteger(value) || value < 1 || value > MAX_SEQUENCE_LENGTH) {
+    throw new Error(`Count must be a whole number from 1 to ${MAX_SEQUENCE_LENGTH}`);
+  }
+  return value;
+};
+
+// Build the titles (and per-page values) for a generation mode.
+// Returns [{ title, variables }] or throws with a message suitable for the caller.
+export const generateSequence = (mode, options = {}, today = new Date()) => {
+  const {
+    baseTitle = '',
+    count,
+    prefix = 'Page',
+    start = 1,
+    startDate,
+    startMonth,
+    year,
+    startQuarter = 1,
+    fiscalYearStartMonth = 1
+  } = options;
+
+  if (mode === 'numbered') {
+    const total = requireCount(count, 3);
+    const first = Number(start);
+    if (!Number.isInteger(first)) {
+      throw new Error('Numbered start must be a whole number');
+    }
+    return Array.from({ length: total }, (_, i) => ({
+      title: `${prefix} ${first + i}`.trim(),
+      variables: { 'sequence.number': String(first + i) }
+    }));
+  }
+
+  if (mode === 'weekly') {
+    const total = requireCount(count, 4);
+    const first = parseIsoDate(startDate);
+    if (!first) {
+      throw new Error('Weekly start date must be a valid YYYY-MM-DD date');
+    }
+    return Array.from({ length: total }, (_, i) => {
+      const weekStart = addDays(first, i * 7);
+      const label = `Week of ${formatShortDate(weekStart)}`;
+      return { title: withBase(baseTitle, label), variables: periodVariables(i + 1, weekStart, addDays(weekStart, 6), label) };
+    });
+  }
+
+  if (mode === 'monthly') {
+    const total = requireCount(count, 12);
+    const month = startMonth === undefined || startMonth === null || startMonth === ''
+      ? today.getUTCMonth()
+      : parseMonth(startMonth);
+    const firstYear = year ? Number(year) : today.getUTCFullYear();
+    if (month === null || !Number.isInteger(firstYear)) {
+      throw new Error('Monthly mode needs a valid start month (1-12 or a month name) and year');
+    }
+    const first = new Date(Date.UTC(firstYear, month, 1));
+    return Array.from({ length: total }, (_, i) => {
+      const monthStart = addMonths(first, i);
+      const label = `${MONTH_NAMES[monthStart.getUTCMonth()]} ${monthStart.getUTCFullYear()}`;
+      return { title: withBase(baseTitle, label), variables: periodVariables(i + 1, monthStart, addDays(addMonths(monthStart, 1), -1), label) };
+    });
+  }
+
+  if (mode === 'quarterly') {
+    const total = requireCount(count, 4);
+    const quarter = Number(startQuarter);
+    const fiscalStart = parseMonth(fiscalYearStartMonth);
+    const firstYear = year ? Number(year) : fiscalYearOf(today, (fiscalStart ?? 0) + 1);
+    if (!Number.isInteger(quarter) || quarter < 1 || quarter > 4 || fiscalStart === null || !Number.isInteger(firstYear)) {
+      throw new Error('Quarterly mode needs a start quarter (1-4), a year and a valid fiscal year start month');
+    }
+    const first = fiscalQuarterStart(firstYear, quarter, fiscalStart + 1);
+    return Array.from({ length: total }, (_, i) => {
+      const quarterStart = addMonths(first, i * 3);
+      const fiscalYear = fiscalYearOf(quarterStart, fiscalStart + 1);
+      const number = fiscalQuarterOf(quarterStart, fiscalStart + 1);
+      const label = fiscalStart === 0 ? `Q${number} ${fiscalYear}` : `Q${number} FY${fiscalYear}`;
+      return { title: withBase(baseTitle, label), variables: periodVariables(i + 1, quarterStart, addDays(addMonths(quarterStart, 3), -1), label) };
+    });
+  }
+
+  throw new Error(`Unknown generation mode: ${mode}`);
+};
@@ -0,0 +1,77 @@
+// ============================================================================
+// TEMPLATE PLACEHOLDERS
+// ============================================================================
+// Template storage XHTML may contain tokens such as {{title}}, {{index}},
+// {{date}}, {{parent.title}} or any custom key. They are filled per generated
+// page; unknown tokens are left untouched so nothing is silently dropped.
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+// Tokens the generator always knows how to fill
+export const BUILT_IN_PLACEHOLDERS = ['title', 'index', 'total', 'date', 'parent.title', 'space.key'];
+
+// Values are inserted into storage format, so they must be valid XHTML text
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// List the unique placeholder keys used in a piece of template content
+export const extractPlaceholders = (content = '') => {
+  const keys = new Set();
+  for (const match of String(content).matchAll(PLACEHOLDER_PATTERN)) {
+    keys.add(match[1]);
+  }
+  return [...keys];
+};
+
+// List placeholder keys across a template page and its captured descendants (titles included)
+export const extractTemplatePlaceholders = (template) => {
+  const keys = new Set(extractPlaceholders(template?.content));
+  const visit = (nodes = []) => {
+    nodes.forEach(node => {
+      extractPlaceholders(node.title).forEach(key => keys.add(key));
+      extractPlaceholders(node.content).forEach(key => keys.add(key));
+      visit(node.children);
+    });
+  };
+  visit(template?.descendants);
+  return [...keys];
+};
+
+// Check whether a string contains at least one placeholder token
+export const hasPlaceholders = (content = '') => extractPlaceholders(content).length > 0;
+
+// Build the value map for one generated page.
+// Per-page values win over run-wide custom values, which win over nothing;
+// built-ins are always set last so {{title}} cannot be overridden by accident.
+export const buildPageVariables = ({
+  title,
+  index,
+  total,
+  parentTitle = '',
+  spaceKey = '',
+  customVariables = {},
+  pageVariables = {},
+  date = new Date()
+}) => ({
+  ...customVariables,
+  ...pageVariables,
+  title,
+  index: String(index + 1),
+  total: String(total),
+  date: date.toISOString().slice(0, 10),
+  'parent.title': parentTitle,
+  'space.key': spaceKey
+});
+
+// Replace every known placeholder in the content with its value
+export const renderTemplate = (content = '', variables = {}, { escape = true } = {}) =>
+  String(content).replace(PLACEHOLDER_PATTERN, (token, key) => {
+    if (!Object.prototype.hasOwnProperty.call(variables, key)) {
+      return token;
+    }
+    const value = variables[key] ?? '';
+    return escape ? escapeXml(value) : String(value);
+  });
@@ -0,0 +1,311 @@
+// ============================================================================
+// TITLE PATTERNS
+// ============================================================================
+// Titles written as a pattern such as "Sprint {n:02} – {date+14d:MMM D}" or
+// "{quarter} FY{fy}". Page i gets counter start + i * step and the date
+// startDate + i * every; tokens print those values. `{{placeholders}}` are left
+// alone for the template renderer. Dates are UTC calendar days.
+
+import {
+  MAX_SEQUENCE_LENGTH,
+  MONTH_NAMES,
+  addDays,
+  addMonths,
+  fiscalQuarterOf,
+  fiscalYearOf,
+  parseIsoDate,
+  parseMonth
+} from './sequenceEngine';
+
+export const TITLE_PATTERN_TOKENS = ['n', 'date', 'week', 'quarter', 'fy'];
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Date format parts, longest first so "MMMM" isn't read as four "M"s. Text in square
+// brackets is printed as it is, e.g. "[Day] D" → "Day 5".
+const DATE_FORMAT_PARTS = /\[[^\]]*\]|YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd/g;
+
+const DEFAULT_DATE_FORMAT = 'YYYY-MM-DD';
+
+const pad = (value, width) => String(value).padStart(width, '0');
+
+// "14d", "-1w", "3m", "1q", "1y" → { amount, unit }, or null when it isn't an interval
+export const parseInterval = (value) => {
+  const match = /^([+-]?\d+)([dwmqy])$/.exec(String(value || '').trim());
+  return match ? { amount: Number(match[1]), unit: match[2] } : null;
+};
+
+export const shiftDate = (date, { amount, unit }) => {
+  if (unit === 'd') return addDays(date, amount);
+  if (unit === 'w') return addDays(date, amount * 7);
+  if (unit === 'm') return addMonths(date, amount);
+  if (unit === 'q') return addMonths(date, amount * 3);
+  return addMonths(date, amount * 12);
+};
+
+export const formatDate = (date, format = DEFAULT_DATE_FORMAT) => format.replace(DATE_FORMAT_PARTS, (part) => {
+  if (part.startsWith('[')) {
+    return part.slice(1, -1);
+  }
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  const day = date.getUTCDate();
+  switch (part) {
+    case 'YYYY': return String(year);
+    case 'YY': return pad(year % 100, 2);
+    case 'MMMM': return MONTH_NAMES[month];
+    case 'MMM': return MONTH_NAMES[month].slice(0, 3);
+    case 'MM': return pad(month + 1, 2);
+    case 'M': return String(month + 1);
+    case 'DD': return pad(day, 2);
+    case 'D': return String(day);
+    case 'dddd': return WEEKDAY_NAMES[date.getUTCDay()];
+    default: return WEEKDAY_NAMES[date.getUTCDay()].slice(0, 3);
+  }
+});
+
+// ISO 8601 week number: weeks start on Monday and week 1 holds the year's first Thursday
+export const isoWeekOf = (date) => {
+  const thursday = addDays(date, 3 - ((date.getUTCDay() + 6) % 7));
+  const firstOfYear = new Date(Date.UTC(thursday.getUTCFullYear(), 0, 1));
+  return Math.floor((thursday - firstOfYear) / 86400000 / 7) + 1;
+};
+
+// "02" or "000" pads a number with zeros to that many digits
+const parseWidth = (format) => {
+  const match = /^0(\d*)$/.exec(format);
+  if (!match) return null;
+  return Number(match[1]) > 1 ? Number(match[1]) : format.length;
+};
+
+const parseToken = (body) => {
+  const match = /^([a-z]+)([+-][^:]*)?(?::(.*))?$/i.exec(body.trim());
+  if (!match) {
+    throw new Error(`"{${body}}" is not a title token`);
+  }
+  const [, rawName, rawOffset, format] = match;
+  const name = rawName.toLowerCase();
+  if (!TITLE_PATTERN_TOKENS.includes(name)) {
+    throw new Error(`Unknown token "{${body}}". Use one of: ${TITLE_PATTERN_TOKENS.map(token => `{${token}}`).join(', ')}`);
+  }
+
+  const token = { type: 'token', name, source: `{${body}}` };
+  if (rawOffset) {
+    if (name === 'n') {
+      if (!/^[+-]\d+$/.test(rawOffset)) {
+        throw new Error(`"{${body}}": a counter offset is a whole number, e.g. {n+10}`);
+      }
+      token.offset = Number(rawOffset);
+    } else {
+      token.offset = parseInterval(rawOffset);
+      if (!token.offset) {
+        throw new Error(`"{${body}}": a date offset is a number and a unit (d, w, m, q, y), e.g. {${name}+14d}`);
+      }
+    }
+  }
+  if (format !== undefined) {
+    if (name === 'n' || name === 'week') {
+      token.width = parseWidth(format);
+      if (!token.width) {
+        throw new Error(`"{${body}}": the format pads with zeros, e.g. {${name}:02}`);
+      }
+    } else if (name === 'date') {
+      if (!format) {
+        throw new Error(`"{${body}}": the date format is empty`);
+      }
+      token.format = format;
+    } else if (name === 'fy' && (format === 'YY' || format === 'YYYY')) {
+      token.format = format;
+    } else {
+      throw new Error(`"{${body}}": {${name}} ${name === 'fy' ? 'only takes YY or YYYY' : 'takes no format'}`);
+    }
+  }
+  return token;
+};
+
+// Split a pattern into text and tokens, throwing a readable error for anything malformed
+export const parseTitlePattern = (pattern) => {
+  const parts = [];
+  let text = '';
+  let i = 0;
+  const source = String(pattern || '');
+
+  while (i < source.length) {
+    if (source.startsWith('{{', i)) {
+      const end = source.indexOf('}}', i + 2);
+      const stop = end === -1 ? source.length : end + 2;
+      text += source.slice(i, stop);
+      i = stop;
+    } else if (source[i] === '{') {
+      const end = source.indexOf('}', i + 1);
+      if (end === -1) {
+        throw new Error(`"${source.slice(i)}" is missing its closing "}"`);
+      }
+      if (text) parts.push({ type: 'text', value: text });
+      text = '';
+      parts.push(parseToken(source.slice(i + 1, end)));
+      i = end + 1;
+    } else {
+      text += source[i];
+      i++;
+    }
+  }
+  if (text) parts.push({ type: 'text', value: text });
+  return parts;
+};
+
+// How far the date moves per page when no interval is given: by quarter or year when
+// those are all the pattern prints, otherwise weekly
+export const defaultInterval = (parts) => {
+  const names = parts.filter(part => part.type === 'token').map(part => part.name);
+  if (names.includes('date') || names.includes('week')) return '1w';
+  if (names.includes('quarter')) return '1q';
+  if (names.includes('fy')) return '1y';
+  return '1w';
+};
+
+const renderToken = (token, { number, date, fiscalYearStartMonth }) => {
+  if (token.name === 'n') {
+    return pad(number + (token.offset || 0), token.width || 0);
+  }
+
+  const day = token.offset ? shiftDate(date, token.offset) : date;
+  if (token.name === 'date') return formatDate(day, token.format);
+  if (token.name === 'week') return pad(isoWeekOf(day), token.width || 0);
+  if (token.name === 'quarter') return `Q${fiscalQuarterOf(day, fiscalYearStartMonth)}`;
+
+  const fiscalYear = fiscalYearOf(day, fiscalYearStartMonth);
+  return token.format === 'YY' ? pad(fiscalYear % 100, 2) : String(fiscalYear);
+};
+
+const requireInteger = (value, fallback, message, min = -Infinity, max = Infinity) => {
+  const number = value === undefined || value === null || value === '' ? fallback : Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(message);
+  }
+  return number;
+};
+
+// Titles for `count` pages, starting `offset` pages into the sequence (used to continue a
+// previous run). Throws with a message suitable for the caller.
+export const renderTitlePattern = (pattern, options = {}, today = new Date()) => {
+  const parts = parseTitlePattern(pattern);
+  if (!parts.some(part => part.type === 'token' || part.value.trim())) {
+    throw new Error('The title pattern is empty');
+  }
+
+  const count = requireInteger(options.count, 3, `Count must be a whole number from 1 to ${MAX_SEQUENCE_LENGTH}`, 1, MAX_SEQUENCE_LENGTH);
+  const offset = requireInteger(options.offset, 0, 'Offset must be zero or a positive whole number', 0);
+  const start = requireInteger(options.start, 1, 'Counter start must be a whole number');
+  const step = requireInteger(options.step, 1, 'Counter step must be a whole number');
+
+  const fiscalMonth = parseMonth(options.fiscalYearStartMonth ?? 1);
+  if (fiscalMonth === null) {
+    throw new Error('Fiscal year start must be a month (1-12 or a month name)');
+  }
+
+  const firstDate = options.startDate
+    ? parseIsoDate(options.startDate)
+    : new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate()));
+  if (!firstDate) {
+    throw new Error('Start date must be a valid YYYY-MM-DD date');
+  }
+
+  const every = parseInterval(options.every || defaultInterval(parts));
+  if (!every || every.amount <= 0) {
+    throw new Error('The date interval must be a positive number and a unit (d, w, m, q, y), e.g. 2w');
+  }
+
+  return Array.from({ length: count }, (_, i) => {
+    const index = offset + i;
+    const values = {
+      number: start + index * step,
+      date: shiftDate(firstDate, { amount: every.amount * index, unit: every.unit }),
+      fiscalYearStartMonth: fiscalMonth + 1
+    };
+    return parts.map(part => (part.type === 'text' ? part.value : renderToken(part, values))).join('').trim();
+  });
+};
+
+// Numbers and ISO dates are the parts of a typed title that can carry a sequence
+const TITLE_VALUE_PARTS = /(\d{4}-\d{2}-\d{2}|\d+)/;
+
+const DAY_MS = 86400000;
+
+// The interval between evenly spaced dates, as days, weeks or months, or null
+const inferInterval = (dates) => {
+  const days = Math.round((dates[1] - dates[0]) / DAY_MS);
+  if (days > 0 && dates.every((date, i) => Math.round((date - dates[0]) / DAY_MS) === i * days)) {
+    return days % 7 === 0 ? `${days / 7}w` : `${days}d`;
+  }
+  const months = (dates[1].getUTCFullYear() - dates[0].getUTCFullYear()) * 12 + dates[1].getUTCMonth() - dates[0].getUTCMonth();
+  if (months > 0 && dates.every((date, i) => date.getTime() === addMonths(dates[0], i * months).getTime())) {
+    return `${months}m`;
+  }
+  return null;
+};
+
+// Turn titles typed by hand into the pattern they follow, so they can be continued: numbers
+// that go up by the same step become {n} (or {n+k} when several move together) and ISO dates
+// a fixed number of days, weeks or months apart become {date}. A single title counts on from
+// its last number. Returns the pattern fields, or null when the titles follow no sequence.
+export const inferTitlePattern = (titles = []) => {
+  const split = titles.map(title => String(title).trim().split(TITLE_VALUE_PARTS));
+  if (split.length === 0 || split.some(parts => parts.length !== split[0].length)) {
+    return null;
+  }
+
+  const slots = split[0].map((_, i) => ({ values: split.map(parts => parts[i]), text: i % 2 === 0 }));
+  if (slots.some(slot => slot.text && (slot.values.some(value => value !== slot.values[0]) || /[{}]/.test(slot.values[0])))) {
+    return null;
+  }
+
+  const valueSlots = slots.filter(slot => !slot.text);
+  const moving = titles.length === 1
+    ? valueSlots.filter(slot => !slot.values[0].includes('-')).slice(-1)
+    : valueSlots.filter(slot => slot.values.some(value => value !== slot.values[0]));
+  if (moving.length === 0) {
+    return null;
+  }
+
+  const fields = { pattern: '', start: 1, step: 1, startDate: null, every: null, fiscalYearStartMonth: 1 };
+  let counterStart = null;
+  for (const slot of moving) {
+    if (slot.values[0].includes('-')) {
+      const dates = slot.values.map(parseIsoDate);
+      if (fields.startDate || dates.some(date => !date)) {
+        return null;
+      }
+      fields.startDate = slot.values[0];
+      fields.every = inferInterval(dates);
+      if (!fields.every) {
+        return null;
+      }
+      slot.token = '{date}';
+      continue;
+    }
+
+    const numbers = slot.values.map(Number);
+    const step = numbers.length > 1 ? numbers[1] - numbers[0] : 1;
+    if (counterStart === null) {
+      counterStart = numbers[0];
+      fields.start = numbers[0];
+      fields.step = step;
+    } else if (step !== fields.step) {
+      return null;
+    }
+    const offset = numbers[0] - counterStart;
+    const width = /^0\d/.test(slot.values[0]) ? slot.values[0].length : 0;
+    slot.token = `{n${offset ? (offset > 0 ? `+${offset}` : offset) : ''}${width ? `:0${width}` : ''}}`;
+  }
+
+  fields.pattern = slots.map(slot => slot.token || slot.values[0]).join('');
+
+  // Only a pattern that gives back exactly the titles it came from is trusted to continue them
+  try {
+    const rendered = renderTitlePattern(fields.pattern, { ...fields, count: titles.length });
+    return rendered.every((title, i) => title === String(titles[i]).trim()) ? fields : null;
+  } catch (error) {
+    return null;
+  }
+};
@@ -0,0 +1,127 @@
+import { describe, expect, it } from 'vitest';
+import {
+  formatDate,
+  inferTitlePattern,
+  isoWeekOf,
+  parseTitlePattern,
+  renderTitlePattern
+} from './titlePattern';
+import { parseIsoDate } from './sequenceEngine';
+
+const render = (pattern, options) => renderTitlePattern(pattern, { count: 1, ...options });
+
+describe('parseTitlePattern', () => {
+  it('splits text and tokens, leaving {{placeholders}} as text', () => {
+    expect(parseTitlePattern('Sprint {n:02} for {{team}}')).toEqual([
+      { type: 'text', value: 'Sprint ' },
+      { type: 'token', name: 'n', source: '{n:02}', width: 2 },
+      { type: 'text', value: ' for {{team}}' }
+    ]);
+  });
+
+  it.each([
+    ['Sprint {n', /missing its closing "}"/],
+    ['{sprint}', /Unknown token "\{sprint\}"/],
+    ['{ }', /is not a title token/],
+    ['{n+ten}', /a counter offset is a whole number/],
+    ['{date+3}', /a date offset is a number and a unit/],
+    ['{n:ab}', /the format pads with zeros/],
+    ['{date:}', /the date format is empty/],
+    ['{quarter:Q}', /\{quarter\} takes no format/],
+    ['{fy:YYY}', /\{fy\} only takes YY or YYYY/]
+  ])('rejects %s', (pattern, message) => {
+    expect(() => parseTitlePattern(pattern)).toThrow(message);
+  });
+});
+
+describe('renderTitlePattern', () => {
+  it('pads and offsets the counter', () => {
+    expect(renderTitlePattern('Sprint {n:02}', { count: 3 })).toEqual(['Sprint 01', 'Sprint 02', 'Sprint 03']);
+    expect(renderTitlePattern('Team {n+10}', { count: 2, start: 1 })).toEqual(['Team 11', 'Team 12']);
+    expect(renderTitlePattern('{n}', { count: 3, start: 5, step: -2 })).toEqual(['5', '3', '1']);
+  });
+
+  it('clamps month steps to the end of shorter months', () => {
+    expect(renderTitlePattern('{date}', { count: 3, startDate: '2026-01-31', every: '1m' }))
+      .toEqual(['2026-01-31', '2026-02-28', '2026-03-31']);
+    expect(render('{date+1m}', { startDate: '2026-01-31' })).toEqual(['2026-02-28']);
+    expect(render('{date+1m}', { startDate: '2028-01-31' })).toEqual(['2028-02-29']);
+  });
+
+  it('numbers ISO weeks across the turn of the year', () => {
+    expect(render('W{week}', { startDate: '2026-12-28' })).toEqual(['W53']);
+    expect(render('W{week:02}', { startDate: '2027-01-04' })).toEqual(['W01']);
+    expect(isoWeekOf(parseIsoDate('2027-01-03'))).toBe(53);
+    expect(isoWeekOf(parseIsoDate('2026-01-01'))).toBe(1);
+  });
+
+  it('names fiscal quarters and years from an April start', () => {
+    expect(renderTitlePattern('{quarter} FY{fy}', { count: 4, startDate: '2026-04-01', fiscalYearStartMonth: 4 }))
+      .toEqual(['Q1 FY2027', 'Q2 FY2027', 'Q3 FY2027', 'Q4 FY2027']);
+    expect(render('{quarter} FY{fy:YY}', { startDate: '2026-03-31', fiscalYearStartMonth: 'April' })).toEqual(['Q4 FY26']);
+    expect(render('{quarter} FY{fy}', { startDate: '2026-03-31' })).toEqual(['Q1 FY2026']);
+  });
+
+  it('continues a sequence from an offset', () => {
+    const options = { start: 12, startDate: '2026-10-05', every: '2w' };
+    const all = renderTitlePattern('Sprint {n} – {date:MMM D}', { ...options, count: 4 });
+    expect(renderTitlePattern('Sprint {n} – {date:MMM D}', { ...options, count: 2, offset: 2 })).toEqual(all.slice(2));
+    expect(all[2]).toBe('Sprint 14 – Nov 2');
+  });
+
+  it('rejects bad options', () => {
+    expect(() => renderTitlePattern('   ')).toThrow('The title pattern is empty');
+    expect(() => render('{n}', { count: 0 })).toThrow(/Count must be a whole number/);
+    expect(() => render('{n}', { offset: -1 })).toThrow(/Offset must be zero/);
+    expect(() => render('{date}', { startDate: '2026-02-30' })).toThrow(/valid YYYY-MM-DD date/);
+    expect(() => render('{date}', { every: '0w' })).toThrow(/The date interval must be a positive number/);
+    expect(() => render('{quarter}', { fiscalYearStartMonth: 13 })).toThrow(/Fiscal year start must be a month/);
+  });
+});
+
+describe('formatDate', () => {
+  const date = parseIsoDate('2026-01-05');
+
+  it('prints every date part', () => {
+    expect(formatDate(date)).toBe('2026-01-05');
+    expect(formatDate(date, 'dddd D MMMM YY')).toBe('Monday 5 January 26');
+    expect(formatDate(date, 'ddd M/DD')).toBe('Mon 1/05');
+  });
+
+  it('prints bracketed text as it is', () => {
+    expect(formatDate(date, '[Day] D [of] MMM')).toBe('Day 5 of Jan');
+    expect(render('{date:[Week of] MMM D}', { startDate: '2026-01-05' })).toEqual(['Week of Jan 5']);
+  });
+});
+
+describe('inferTitlePattern', () => {
+  const continueTitles = (titles) => {
+    const fields = inferTitlePattern(titles);
+    return fields && renderTitlePattern(fields.pattern, { ...fields, count: titles.length, offset: titles.length });
+  };
+
+  it('continues counters, padded counters and numbers that move together', () => {
+    expect(continueTitles(['Sprint 12', 'Sprint 13'])).toEqual(['Sprint 14', 'Sprint 15']);
+    expect(continueTitles(['Week 08 - 2026', 'Week 09 - 2026'])).toEqual(['Week 10 - 2026', 'Week 11 - 2026']);
+    expect(continueTitles(['Sprint 12 (W24)', 'Sprint 13 (W26)'])).toBeNull();
+    expect(continueTitles(['Sprint 12 (W24)', 'Sprint 13 (W25)'])).toEqual(['Sprint 14 (W26)', 'Sprint 15 (W27)']);
+  });
+
+  it('counts on from the last number of a single title', () => {
+    expect(continueTitles(['Release 2 planning 7'])).toEqual(['Release 2 planning 8']);
+    expect(continueTitles(['Standup 2026-10-05'])).toBeNull();
+  });
+
+  it('continues ISO dates a fixed number of days, weeks or months apart', () => {
+    expect(continueTitles(['Standup 2026-10-05', 'Standup 2026-10-12'])).toEqual(['Standup 2026-10-19', 'Standup 2026-10-26']);
+    expect(continueTitles(['Close 2026-01-31', 'Close 2026-02-28', 'Close 2026-03-31']))
+      .toEqual(['Close 2026-04-30', 'Close 2026-05-31', 'Close 2026-06-30']);
+  });
+
+  it('gives up on titles that follow no sequence', () => {
+    expect(inferTitlePattern(['Kickoff', 'Retro'])).toBeNull();
+    expect(inferTitlePattern(['Sprint 1', 'Sprint 1'])).toBeNull();
+    expect(inferTitlePattern(['Sprint 1', 'Sprint 2', 'Sprint 4'])).toBeNull();
+    expect(inferTitlePattern(['Team {x} 1', 'Team {x} 2'])).toBeNull();
+  });
+});
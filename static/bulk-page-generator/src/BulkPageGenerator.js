@@ -1,5 +1,13 @@
 import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
 import { invoke, router, view } from '@forge/bridge';
+import { parseDelimitedText, buildImport, MAX_IMPORT_ROWS } from './csvImport';
+import RollbackPanel from './RollbackPanel';
+import RunHistory from './RunHistory';
+import TemplateLibrary from './TemplateLibrary';
+import ScheduleManager from './ScheduleManager';
+import SpaceFanOut from './SpaceFanOut';
+import PageTreePicker from './PageTreePicker';
+import RecipeList from './RecipeList';
 
 // Production logging control
 const IS_DEV = process.env.NODE_ENV === 'development';
@@ -14,14 +22,44 @@ const devError = (message, error) => {
   }
 };
 
-// Debounce utility for search optimization
-const debounce = (func, delay) => {
-  let timeoutId;
-  return (...args) => {
-    clearTimeout(timeoutId);
-    timeoutId = setTimeout(() => func.apply(null, args), delay);
-  };
-};
+// How often a queued bulk run is polled for progress
+const JOB_POLL_INTERVAL_MS = 1500;
+
+// "About 2 min left" / "About 40 s left" for the progress bar
+const formatTimeLeft = (seconds) => (
+  seconds >= 90 ? `About ${Math.round(seconds / 60)} min left` : `About ${Math.max(5, Math.round(seconds / 5) * 5)} s left`
+);
+
+// Step 1 page browser: results per page, and how long typing settles before searching
+const SEARCH_PAGE_SIZE = 25;
+const SEARCH_DEBOUNCE_MS = 300;
+
+// How far the date moves from one page to the next in a title pattern ('' picks one from the tokens)
+const PATTERN_INTERVAL_OPTIONS = [
+  { value: '', label: 'Automatic' },
+  { value: '1d', label: '1 day' },
+  { value: '1w', label: '1 week' },
+  { value: '2w', label: '2 weeks' },
+  { value: '1m', label: '1 month' },
+  { value: '1q', label: '1 quarter' },
+  { value: '1y', label: '1 year' }
+];
+
+const MONTH_OPTIONS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+// Today as YYYY-MM-DD, the default start date of a title pattern
+const todayIsoDate = () => new Date().toISOString().slice(0, 10);
+
+const emptyTitlePattern = () => ({ pattern: '', start: 1, startDate: todayIsoDate(), every: '', fiscalYearStartMonth: 1 });
+
+// "Last modified" filter choices for the page browser (days, '' for any time)
+const MODIFIED_FILTER_OPTIONS = [
+  { value: '', label: 'Any time' },
+  { value: '7', label: 'Past week' },
+  { value: '30', label: 'Past 30 days' },
+  { value: '90', label: 'Past 90 days' },
+  { value: '365', label: 'Past year' }
+];
 
 const BulkPageCloner = () => {
   const [spaces, setSpaces] = useState([]);
@@ -31,32 +69,73 @@ const BulkPageCloner = () => {
   // Step management
   const [currentStep, setCurrentStep] = useState(1);
   const [selectedTemplate, setSelectedTemplate] = useState(null);
+
+  // Title of the selected parent page, for when the picker has not loaded it yet (the content
+  // action's page or a recipe's parent)
+  const [knownParent, setKnownParent] = useState(null);
+
+  // Recipe the wizard was launched from; its run updates the recipe's last titles
+  const [activeRecipe, setActiveRecipe] = useState(null);
+  const [pendingRecipePlan, setPendingRecipePlan] = useState(false);
+  const [recipeName, setRecipeName] = useState('');
+  const [recipeShared, setRecipeShared] = useState(false);
+  const [savingRecipe, setSavingRecipe] = useState(false);
+  const [recipeMessage, setRecipeMessage] = useState('');
   
   // Tab selection for Step 1 - either 'url' or 'browse'
   const [selectedOption, setSelectedOption] = useState('browse');
+
+  // Clone the template's child pages along with it. null until the user ticks or clears the box,
+  // so picking an existing template's page again keeps the child tree it was captured with
+  const [includeDescendants, setIncludeDescendants] = useState(null);
   
-  // Page browser state (Step 1)
+  // Page browser state (Step 1) - the server searches, one page of results at a time
   const [confluencePageUrl, setConfluencePageUrl] = useState('');
-  const [allPages, setAllPages] = useState([]);
-  const [filteredPages, setFilteredPages] = useState([]);
+  const [searchResults, setSearchResults] = useState([]);
   const [searchQuery, setSearchQuery] = useState('');
   const [selectedSpaceFilter, setSelectedSpaceFilter] = useState('all');
+  const [labelFilter, setLabelFilter] = useState('');
+  const [modifiedFilter, setModifiedFilter] = useState('');
+  // Cursors of the result pages visited so far; the last one is showing (null is the first page)
+  const [searchCursors, setSearchCursors] = useState([null]);
+  const [nextSearchCursor, setNextSearchCursor] = useState(null);
   const [loadingPages, setLoadingPages] = useState(false);
+  // Only the latest search may update the results
+  const searchRequestRef = useRef(0);
   
   // Step 3 state - Location Selection
   const [selectedSpace, setSelectedSpace] = useState('');
+  // Create the same pages in several spaces instead of one
+  const [fanOutMode, setFanOutMode] = useState(false);
   const [pageOrganization, setPageOrganization] = useState('create-child');
   const [selectedParentPage, setSelectedParentPage] = useState('');
   const [newParentTitle, setNewParentTitle] = useState('');
-  const [spacePages, setSpacePages] = useState([]);
-  const [loadingSpacePages, setLoadingSpacePages] = useState(false);
   
   // Step 2 state - Bulk Generation
   const [pageCount, setPageCount] = useState(3);
   const [pageTitles, setPageTitles] = useState(['', '', '']);
-  const [showAutofillSuggestion, setShowAutofillSuggestion] = useState(false);
-  const [suggestedPattern, setSuggestedPattern] = useState('');
+
+  // Title pattern, its live preview, and the pattern the titles were last filled from (kept with a recipe)
+  const [showTitlePattern, setShowTitlePattern] = useState(false);
+  const [titlePattern, setTitlePattern] = useState(emptyTitlePattern);
+  const [patternPreview, setPatternPreview] = useState({ titles: [], error: '', loading: false });
+  const [appliedTitlePattern, setAppliedTitlePattern] = useState(null);
+  const patternRequestRef = useRef(0);
   const [generating, setGenerating] = useState(false);
+
+  // Template placeholder values ({{key}} tokens) and their per-page preview
+  const [templateVariables, setTemplateVariables] = useState({});
+  const [placeholderPreview, setPlaceholderPreview] = useState(null);
+  const [loadingPlaceholderPreview, setLoadingPlaceholderPreview] = useState(false);
+
+  // CSV/TSV import - per-page values line up with pageTitles by index
+  const [pageVariables, setPageVariables] = useState([]);
+  // Per-page parent mode: one parent page ID or parent title per title, also lined up by index
+  const [pageParents, setPageParents] = useState([]);
+  const [showImport, setShowImport] = useState(false);
+  const [importText, setImportText] = useState('');
+  const [parsedImport, setParsedImport] = useState(null);
+  const [importTitleColumn, setImportTitleColumn] = useState('');
   const [generationSuccess, setGenerationSuccess] = useState(null);
 
   // Progress tracking for bulk generation
@@ -64,18 +143,36 @@ const BulkPageCloner = () => {
     current: 0,
     total: 0,
     percentage: 0,
-    currentBatch: 0,
-    totalBatches: 0,
+    currentTitle: null,
+    createdCount: 0,
+    errorCount: 0,
+    secondsLeft: null,
     status: 'idle' // 'idle', 'generating', 'completed', 'error'
   });
 
-  // Pagination state
-  const [currentPage, setCurrentPage] = useState(1);
-  const [pageSize, setPageSize] = useState(25); // Default 25 items per page
-  const [totalPages, setTotalPages] = useState(0);
+  // A queued run that stopped before finishing and can be resumed
+  const [stalledJobId, setStalledJobId] = useState(null);
+
+  // The finished run shown in Step 4, kept so it can be rolled back
+  const [completedJob, setCompletedJob] = useState(null);
+
+  // Dry-run plan shown for confirmation in Step 3
+  const [generationPlan, setGenerationPlan] = useState(null);
+  const [loadingPlan, setLoadingPlan] = useState(false);
+
+  // What to do when a generated title already exists in the space: 'skip', 'suffix', 'overwrite' or 'abort'
+  const [conflictPolicy, setConflictPolicy] = useState('suffix');
+
+  // Comma-separated labels added to every generated page on top of any carried over from the template
+  const [extraLabels, setExtraLabels] = useState('');
+  const [savingCarryOver, setSavingCarryOver] = useState(false);
 
   // Track if app is opened via macro (for close functionality, but not modal styling)
   const [isMacro, setIsMacro] = useState(false);
+
+  // The global page also offers other views: 'generator', 'library', 'schedules' or 'history'
+  const [isGlobalPage, setIsGlobalPage] = useState(false);
+  const [activeView, setActiveView] = useState('generator');
   
   // Ref for click-outside detection
   const containerRef = useRef(null);
@@ -130,11 +227,16 @@ const BulkPageCloner = () => {
     let mounted = true;
     const load = async () => {
       if (!mounted) return;
+      let currentPage = null;
 
       // Detect if this is a macro entry point for close functionality
       try {
         // Use Forge view context to reliably detect macro context
         const context = await view.getContext();
+        setIsGlobalPage(context?.extension?.type === 'confluence:globalPage');
+        if (context?.extension?.type === 'confluence:contentAction' && context.extension.content?.id) {
+          currentPage = { id: String(context.extension.content.id), spaceKey: context.extension.space?.key };
+        }
         const isFromMacro = context?.extension?.type === 'macro' || 
                            context?.moduleKey?.includes('macro') ||
                            context?.type === 'macro';
@@ -167,57 +269,77 @@ const BulkPageCloner = () => {
         }
       }
 
-      await loadAllPages();
+      await loadSpaces();
+      if (currentPage) {
+        await startFromCurrentPage(currentPage);
+      }
     };
 
     load();
     return () => { mounted = false; };
   }, []);
 
-  // Load all pages from all spaces - OPTIMIZED VERSION with timeout handling
-  const loadAllPages = async () => {
+  // Spaces for the Step 1 filter and the Step 3 destination list
+  const loadSpaces = async () => {
+    try {
+      const result = await invoke('getAllSpaces');
+      if (!result.success) {
+        throw new Error(result.error || 'Unknown error');
+      }
+      setSpaces(result.spaces);
+    } catch (err) {
+      setError('Failed to load spaces: ' + err.message);
+      devError('❌ loadSpaces error:', err);
+    }
+  };
+
+  // Fetch one page of search results; `cursor` is null for the first page
+  const searchPages = async (cursor) => {
+    const requestId = ++searchRequestRef.current;
     setLoadingPages(true);
     setError('');
-    
+
     try {
-      devLog('🚀 Loading pages with balanced approach...');
-      
-      // Use the optimized backend function with timeout handling
-      const result = await invoke('getAllPagesOptimized');
-      
-      if (result.error) {
-        // If we got an error but still have some pages, show them
-        if (result.pages && result.pages.length > 0) {
-          setSpaces(result.spaces || []);
-          setAllPages(result.pages);
-          setFilteredPages(result.pages);
-          setError(`Partial load completed: ${result.error}. Showing ${result.pages.length} pages.`);
-        } else {
-          setError('Failed to load pages: ' + result.error);
-        }
-        return;
+      const result = await invoke('searchPages', {
+        query: searchQuery,
+        spaceKey: selectedSpaceFilter === 'all' ? null : selectedSpaceFilter,
+        label: labelFilter,
+        modifiedWithinDays: modifiedFilter ? Number(modifiedFilter) : null,
+        cursor,
+        limit: SEARCH_PAGE_SIZE
+      });
+      if (requestId !== searchRequestRef.current) return;
+
+      if (!result.success) {
+        throw new Error(result.error || 'Unknown error');
       }
-      
-      // Set spaces and pages from the optimized response
-      setSpaces(result.spaces || []);
-      setAllPages(result.pages || []);
-      setFilteredPages(result.pages || []);
-      
-      devLog(`✅ Loaded ${result.totalCount} pages from ${result.loadedSpaces} spaces`);
-      
+      setSearchResults(result.pages);
+      setNextSearchCursor(result.nextCursor);
+      devLog(`✅ Search returned ${result.pages.length} pages`);
     } catch (err) {
-      // Check if it's a timeout error and provide better messaging
-      if (err.message && err.message.includes('timed out')) {
-        setError('Loading is taking longer than expected. Please try again or contact support if this persists.');
-      } else {
-        setError('Failed to load pages: ' + err.message);
-      }
-      devError('❌ loadAllPages error:', err);
+      if (requestId !== searchRequestRef.current) return;
+      setSearchResults([]);
+      setNextSearchCursor(null);
+      setError('Failed to search pages: ' + err.message);
+      devError('❌ searchPages error:', err);
     } finally {
-      setLoadingPages(false);
+      if (requestId === searchRequestRef.current) {
+        setLoadingPages(false);
+      }
     }
   };
 
+  const showNextResults = () => {
+    setSearchCursors([...searchCursors, nextSearchCursor]);
+    searchPages(nextSearchCursor);
+  };
+
+  const showPreviousResults = () => {
+    const cursors = searchCursors.slice(0, -1);
+    setSearchCursors(cursors);
+    searchPages(cursors[cursors.length - 1]);
+  };
+
   // Handle URL-based page loading
   const handleUrlLoad = async () => {
     if (!confluencePageUrl.trim()) {
@@ -248,7 +370,8 @@ const BulkPageCloner = () => {
           try {
             const uploadResult = await invoke('uploadTemplate', { 
               pageId: result.targetPage.id,
-              name: `Template: ${result.targetPage.title}`
+              name: `Template: ${result.targetPage.title}`,
+              includeDescendants
             });
             
             if (uploadResult.success) {
@@ -262,11 +385,11 @@ const BulkPageCloner = () => {
             setError('Failed to upload template: ' + err.message);
           }
         } else {
-          // Original flow for browsing pages
+          // Browse the pages of the space the URL points to
           setSpaces(result.spaces || []);
-          setAllPages(result.pages || []);
-          setFilteredPages(result.pages || []);
-          devLog(`✅ Loaded ${result.pages?.length || 0} pages from URL`);
+          setSelectedSpaceFilter(result.spaces?.[0]?.key || 'all');
+          setSelectedOption('browse');
+          devLog(`✅ Browsing space ${result.spaces?.[0]?.key} from URL`);
         }
       } else {
         setError('Failed to load pages from URL: ' + result.error);
@@ -278,44 +401,18 @@ const BulkPageCloner = () => {
     }
   };
 
-  // Filter pages based on search and space selection (optimized with debounce utility)
+  // Search again from the first page whenever a filter changes, once typing settles
   useEffect(() => {
-    const debouncedFilter = debounce(() => {
-      let filtered = allPages;
-      
-      // Filter by space
-      if (selectedSpaceFilter !== 'all') {
-        filtered = filtered.filter(page => page.spaceKey === selectedSpaceFilter);
-      }
-      
-      // Filter by search query
-      if (searchQuery.trim()) {
-        const query = searchQuery.toLowerCase();
-        filtered = filtered.filter(page => 
-          page.title.toLowerCase().includes(query) ||
-          page.spaceKey.toLowerCase().includes(query) ||
-          page.spaceName.toLowerCase().includes(query)
-        );
-      }
-    
-      setFilteredPages(filtered);
-      
-      // Update pagination when filters change
-      const newTotalPages = Math.ceil(filtered.length / pageSize);
-      setTotalPages(newTotalPages);
-      
-      // Reset to first page if current page exceeds new total
-      if (currentPage > newTotalPages && newTotalPages > 0) {
-        setCurrentPage(1);
-      }
-    }, 250); // Optimized 250ms debounce
-    
-    debouncedFilter();
-  }, [allPages, searchQuery, selectedSpaceFilter, pageSize, currentPage]);
+    const timeoutId = setTimeout(() => {
+      setSearchCursors([null]);
+      searchPages(null);
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timeoutId);
+  }, [searchQuery, selectedSpaceFilter, labelFilter, modifiedFilter]);
 
-  // Memoize paginated page rows for optimal performance
+  // Memoize the result rows for optimal performance
   const renderedPageRows = useMemo(() => {
-    if (filteredPages.length === 0) {
+    if (searchResults.length === 0) {
       return (
         <tr>
           <td colSpan="4" style={{ 
@@ -324,7 +421,7 @@ const BulkPageCloner = () => {
             color: 'black', 
             fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif' 
           }}>
-            {searchQuery || selectedSpaceFilter !== 'all' 
+            {searchQuery || selectedSpaceFilter !== 'all' || labelFilter || modifiedFilter
               ? 'No pages found matching your search criteria.'
               : 'No pages available.'
             }
@@ -333,12 +430,7 @@ const BulkPageCloner = () => {
       );
     }
     
-    // Calculate pagination slice
-    const startIndex = (currentPage - 1) * pageSize;
-    const endIndex = startIndex + pageSize;
-    const paginatedPages = filteredPages.slice(startIndex, endIndex);
-    
-    return paginatedPages.map((page) => (
+    return searchResults.map((page) => (
       <tr key={page.id} style={{ borderBottom: '1px solid #F4F5F7' }}>
         <td style={{ 
           padding: '12px', 
@@ -387,7 +479,33 @@ const BulkPageCloner = () => {
         </td>
       </tr>
     ));
-  }, [filteredPages, searchQuery, selectedSpaceFilter, loading, currentPage, pageSize]);
+  }, [searchResults, searchQuery, selectedSpaceFilter, labelFilter, modifiedFilter, loading, includeDescendants]);
+
+  // Content action entry: skip Step 1 with the current page as the template, and default
+  // Step 3 to creating the new pages as its children in the same space
+  const startFromCurrentPage = async ({ id, spaceKey }) => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const result = await invoke('uploadTemplate', { pageId: id, includeDescendants });
+      if (!result.success) {
+        throw new Error(result.error || 'Unknown error');
+      }
+
+      setSelectedTemplate(result.template);
+      setKnownParent({ id, title: result.template.sourcePageTitle });
+      setSelectedSpace(spaceKey || '');
+      setPageOrganization('create-child');
+      setSelectedParentPage(id);
+      setCurrentStep(2);
+      devLog(`✅ Started from current page ${id}`);
+    } catch (err) {
+      setError('Could not use the current page as the template: ' + err.message + '. Select a page below instead.');
+    } finally {
+      setLoading(false);
+    }
+  };
 
   // Handle page selection for template (Step 1)
   const handlePageSelect = async (page) => {
@@ -397,7 +515,8 @@ const BulkPageCloner = () => {
     try {
       const result = await invoke('uploadTemplate', { 
         pageId: page.id,
-        name: `Template: ${page.title}`
+        name: `Template: ${page.title}`,
+        includeDescendants
       });
       
       if (result.success) {
@@ -415,33 +534,78 @@ const BulkPageCloner = () => {
     }
   };
   
-  // Load pages for selected space (Step 2)
-  const loadSpacePagesForSelection = async (spaceKey) => {
-    setLoadingSpacePages(true);
+  // Any change to the location invalidates a previously reviewed plan
+  useEffect(() => {
+    setGenerationPlan(null);
+  }, [selectedSpace, pageOrganization, selectedParentPage, newParentTitle, pageParents, conflictPolicy, extraLabels, currentStep]);
+
+  // A parent entry that is all digits may be a page ID or a title like "2026", so it is sent as both
+  // and the backend uses the page with that ID if there is one. Anything else is a title to reuse or create.
+  const toPageParent = (value = '') => {
+    const trimmed = value.trim();
+    return /^\d+$/.test(trimmed) ? { parentPageId: trimmed, parentTitle: trimmed } : { parentTitle: trimmed };
+  };
+
+  // Copy an imported CSV column into the per-page parent fields
+  const fillParentsFromColumn = (key) => {
+    if (!key) return;
+    setPageParents(pageTitles.map((_, index) => pageVariables[index]?.[key] || ''));
+  };
+
+  // Store which of the source page's labels, properties and restrictions the template passes on
+  const updateCarryOver = async (key, value) => {
+    setSavingCarryOver(true);
     try {
-      // Use optimized parent page loader for Step 3 organization
-      const pagesData = await invoke('getParentPageOptions', { spaceKey });
-      if (pagesData.pages) {
-        setSpacePages(pagesData.pages);
+      const result = await invoke('setTemplateCarryOver', {
+        templateId: selectedTemplate.id,
+        carryOver: { [key]: value }
+      });
+      if (!result.success) {
+        throw new Error(result.error || 'Unknown error');
       }
+      setSelectedTemplate(prev => ({ ...prev, ...result.template }));
     } catch (err) {
-      devError('Error loading pages for space:', err);
-      setSpacePages([]);
+      setError('Failed to update template settings: ' + err.message);
     } finally {
-      setLoadingSpacePages(false);
+      setSavingCarryOver(false);
     }
   };
-  
-  // Handle space selection in step 2
-  useEffect(() => {
-    if (currentStep === 3 && selectedSpace) {
-      loadSpacePagesForSelection(selectedSpace);
+
+  // Validate the template and titles shared by single-space and fan-out runs, or return null after setting an error
+  const buildSharedRequest = () => {
+    if (!selectedTemplate?.id) {
+      setError('Please select a template page first');
+      return null;
     }
-  }, [selectedSpace, currentStep]);
-  
-  // Generate pages function - calls the backend resolver
-  const generatePages = async () => {
-    devLog('generatePages called', {
+
+    // Validate all page titles are filled
+    const nonEmptyTitles = pageTitles.filter(title => title.trim());
+    if (nonEmptyTitles.length !== pageCount) {
+      setError(`Please fill in all ${pageCount} page titles`);
+      return null;
+    }
+
+    // Handle duplicates by adding (1), (2), etc.
+    const deduplicatedTitles = handleDuplicateNames(nonEmptyTitles);
+    devLog('Original titles:', nonEmptyTitles);
+    devLog('Deduplicated titles:', deduplicatedTitles);
+
+    return {
+      templateId: selectedTemplate.id,
+      pageTitle: deduplicatedTitles[0], // First title as base title
+      pageTitles: deduplicatedTitles, // Use deduplicated titles
+      generationMode: 'bulk',
+      numberedCount: deduplicatedTitles.length,
+      templateVariables,
+      pageVariables,
+      conflictPolicy,
+      extraLabels: extraLabels.split(',').map(label => label.trim()).filter(Boolean)
+    };
+  };
+
+  // Validate Step 3 and build the resolver payload, or return null after setting an error
+  const buildGenerationRequest = () => {
+    devLog('buildGenerationRequest called', {
       selectedSpace,
       pageOrganization,
       selectedParentPage,
@@ -454,78 +618,175 @@ const BulkPageCloner = () => {
     if (!selectedSpace) {
       devLog('Validation failed: No space selected');
       setError('Please select a Confluence space');
-      return;
+      return null;
     }
     
     if (!pageOrganization) {
       devLog('Validation failed: No page organization selected');
       setError('Please select a page organization option');
-      return;
+      return null;
     }
     
     if (pageOrganization === 'create-child' && !selectedParentPage) {
       devLog('Validation failed: create-child mode but no parent page');
       setError('Please select a parent page');
-      return;
+      return null;
     }
     
     if (pageOrganization === 'create-parent' && !newParentTitle.trim()) {
       devLog('Validation failed: create-parent mode but no parent title');
       setError('Please enter a title for the new parent page');
-      return;
+      return null;
+    }
+
+    if (pageOrganization === 'per-page-parent' && pageTitles.some((title, index) => title.trim() && !(pageParents[index] || '').trim())) {
+      setError('Please enter a parent page ID or title for every page');
+      return null;
     }
     
     // Note: create-as-parent mode doesn't need newParentTitle since each report becomes its own parent page
-    
-    if (!selectedTemplate?.id) {
-      setError('Please select a template page first');
-      return;
+
+    const shared = buildSharedRequest();
+    if (!shared) return null;
+
+    return {
+      ...shared,
+      spaceKey: selectedSpace,
+      pageOrganization: pageOrganization,
+      parentPageId: selectedParentPage,
+      newParentTitle: newParentTitle,
+      pageParents: pageOrganization === 'per-page-parent' ? pageTitles.map((_, index) => toPageParent(pageParents[index])) : [],
+      recipeId: activeRecipe?.id
+    };
+  };
+
+  // Save the Step 3 state as a recipe, or update the launched one when it is the user's own
+  const saveRecipe = async () => {
+    setSavingRecipe(true);
+    setRecipeMessage('');
+    setError('');
+    try {
+      const result = await invoke('saveRecipe', {
+        recipeId: activeRecipe?.mine && activeRecipe.name === recipeName.trim() ? activeRecipe.id : null,
+        name: recipeName,
+        templateId: selectedTemplate?.id,
+        spaceKey: selectedSpace,
+        pageOrganization,
+        parentPageId: pageOrganization === 'create-child' ? selectedParentPage : null,
+        parentPageTitle: knownParent?.id === selectedParentPage ? knownParent.title : null,
+        newParentTitle,
+        pageParents: pageOrganization === 'per-page-parent' ? pageTitles.map((_, index) => pageParents[index] || '') : [],
+        titles: pageTitles,
+        titlePattern: appliedTitlePattern,
+        templateVariables,
+        conflictPolicy,
+        extraLabels,
+        shared: recipeShared
+      });
+      if (!result.success) {
+        throw new Error(result.error || 'Unknown error');
+      }
+      setActiveRecipe(result.recipe);
+      setRecipeMessage(`✅ Saved as "${result.recipe.name}". Launch it from the Recipes tab.`);
+    } catch (err) {
+      setError('Failed to save the recipe: ' + err.message);
+    } finally {
+      setSavingRecipe(false);
     }
-    
-    // Validate all page titles are filled
-    const nonEmptyTitles = pageTitles.filter(title => title.trim());
-    if (nonEmptyTitles.length !== pageCount) {
-      setError(`Please fill in all ${pageCount} page titles`);
-      return;
+  };
+
+  // Fill every step from a recipe and open the Step 3 plan for confirmation
+  const launchRecipe = (recipe, template, titles) => {
+    setSelectedTemplate(template);
+    setSelectedSpace(recipe.spaceKey);
+    setFanOutMode(false);
+    setPageOrganization(recipe.pageOrganization);
+    setSelectedParentPage(recipe.parentPageId || '');
+    setKnownParent(recipe.parentPageId ? { id: recipe.parentPageId, title: recipe.parentPageTitle } : null);
+    setNewParentTitle(recipe.newParentTitle || '');
+    setPageParents(recipe.pageParents || []);
+    setPageCount(titles.length);
+    setPageTitles(titles);
+    setPageVariables([]);
+    setTitlePattern(recipe.titlePattern ? { ...emptyTitlePattern(), ...recipe.titlePattern } : emptyTitlePattern());
+    setShowTitlePattern(!!recipe.titlePattern);
+    setAppliedTitlePattern(recipe.titlePattern ? { ...recipe.titlePattern, offset: recipe.nextIndex || 0 } : null);
+    setTemplateVariables(recipe.templateVariables || {});
+    setConflictPolicy(recipe.conflictPolicy);
+    setExtraLabels(recipe.extraLabels || '');
+    setActiveRecipe(recipe);
+    setRecipeName(recipe.name);
+    setRecipeShared(!!recipe.shared);
+    setRecipeMessage('');
+    setGenerationSuccess(null);
+    setCompletedJob(null);
+    setError('');
+    setCurrentStep(3);
+    setActiveView('generator');
+    setPendingRecipePlan(true);
+  };
+
+  // Review the launched recipe's plan once its state has been applied
+  useEffect(() => {
+    if (!pendingRecipePlan || currentStep !== 3) return;
+    setPendingRecipePlan(false);
+    loadGenerationPlan();
+  }, [pendingRecipePlan, currentStep]);
+
+  // Dry run - resolve the plan without creating anything so it can be confirmed
+  const loadGenerationPlan = async () => {
+    const request = buildGenerationRequest();
+    if (!request) return;
+
+    setError('');
+    setLoadingPlan(true);
+    try {
+      const result = await invoke('bulkGeneratePagesWithProgress', { ...request, dryRun: true });
+      if (!result.success) {
+        throw new Error(result.error || 'Unknown error');
+      }
+      setGenerationPlan(result.plan);
+    } catch (err) {
+      devError('Failed to build plan:', err);
+      setError('Failed to preview pages: ' + err.message);
+    } finally {
+      setLoadingPlan(false);
     }
-    
-    // Handle duplicates by adding (1), (2), etc.
-    const deduplicatedTitles = handleDuplicateNames(nonEmptyTitles);
-    devLog('Original titles:', nonEmptyTitles);
-    devLog('Deduplicated titles:', deduplicatedTitles);
+  };
+
+  // Generate pages function - calls the backend resolver
+  const generatePages = async () => {
+    const request = buildGenerationRequest();
+    if (!request) return;
     
     setError('');
     setGenerating(true);
     
     // Initialize progress tracking
-    const totalPages = deduplicatedTitles.length;
+    const totalPages = request.pageTitles.length;
     setGenerationProgress({
       current: 0,
       total: totalPages,
       percentage: 0,
-      currentBatch: 0,
-      totalBatches: Math.ceil(totalPages / 5), // Assuming 5 pages per batch
+      currentTitle: null,
+      createdCount: 0,
+      errorCount: 0,
+      secondsLeft: null,
       status: 'generating'
     });
     
     try {
-      // Call the enhanced backend resolver with progress callback
+      // Queue the run on the backend, then poll it for real progress
       const result = await invoke('bulkGeneratePagesWithProgress', {
-        templateId: selectedTemplate.id,
-        spaceKey: selectedSpace,
-        pageTitle: deduplicatedTitles[0], // First title as base title
-        pageTitles: deduplicatedTitles, // Use deduplicated titles
-        generationMode: 'bulk',
-        numberedCount: deduplicatedTitles.length,
-        pageOrganization: pageOrganization,
-        parentPageId: selectedParentPage,
-        newParentTitle: newParentTitle
+        ...request,
+        runInBackground: true
       });
+      if (!result.success) {
+        throw new Error(result.error || 'Unknown error');
+      }
       
-      devLog('Pages generated successfully:', result);
-      setGenerationSuccess(result.data || result); // Handle both nested and direct data structures
-      setGenerationProgress(prev => ({ ...prev, status: 'completed', percentage: 100 }));
-      setCurrentStep(4);
+      devLog('Bulk run queued:', result);
+      await followBulkJob(result.jobId);
       
     } catch (error) {
       devError('Failed to generate pages:', error);
@@ -536,6 +797,117 @@ const BulkPageCloner = () => {
     }
   };
 
+  // Poll a queued run until it finishes or stalls, updating progress as pages are created
+  const waitForBulkJob = async (jobId) => {
+    for (;;) {
+      await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+      const status = await invoke('getBulkJobStatus', { jobId });
+      if (!status.success) {
+        throw new Error(status.error || 'Failed to read run status');
+      }
+
+      setGenerationProgress(prev => ({
+        ...prev,
+        current: status.progress.processed,
+        total: status.progress.total,
+        percentage: status.progress.percentage,
+        currentTitle: status.progress.currentTitle,
+        createdCount: status.progress.createdCount,
+        errorCount: status.progress.errorCount,
+        secondsLeft: status.progress.secondsLeft
+      }));
+
+      if (status.status === 'completed' || status.status === 'failed' || status.stalled) {
+        return status;
+      }
+    }
+  };
+
+  // Follow a run to completion and move to the results screen
+  const followBulkJob = async (jobId) => {
+    const finalStatus = await waitForBulkJob(jobId);
+
+    if (finalStatus.stalled) {
+      setStalledJobId(jobId);
+      setError('The run stopped before finishing. Resume it to create the remaining pages - pages already created will not be duplicated.');
+      setGenerationProgress(prev => ({ ...prev, status: 'error' }));
+      return;
+    }
+
+    if (finalStatus.status === 'failed') {
+      throw new Error(finalStatus.error || 'Run failed');
+    }
+
+    devLog('Pages generated successfully:', finalStatus);
+    setStalledJobId(null);
+    setCompletedJob({ jobId, rollback: finalStatus.rollback });
+    setGenerationSuccess(finalStatus.data);
+    setGenerationProgress(prev => ({ ...prev, status: 'completed', percentage: 100 }));
+    setCurrentStep(4);
+  };
+
+  // Resume a stalled run from where it stopped
+  const resumeStalledJob = async () => {
+    setError('');
+    setGenerating(true);
+    setGenerationProgress(prev => ({ ...prev, status: 'generating' }));
+    try {
+      const result = await invoke('resumeBulkJob', { jobId: stalledJobId });
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to resume run');
+      }
+      await followBulkJob(stalledJobId);
+    } catch (error) {
+      devError('Failed to resume run:', error);
+      setError('Failed to resume run: ' + error.message);
+      setGenerationProgress(prev => ({ ...prev, status: 'error' }));
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  // Re-run just the failed pages of the finished run, then refresh the results
+  const retryFailedPages = async () => {
+    setError('');
+    setGenerating(true);
+    setGenerationProgress(prev => ({ ...prev, status: 'generating' }));
+    try {
+      const result = await invoke('retryFailedPages', { jobId: completedJob.jobId });
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to retry pages');
+      }
+      await followBulkJob(completedJob.jobId);
+    } catch (err) {
+      devError('Failed to retry pages:', err);
+      setError('Failed to retry pages: ' + err.message);
+      setGenerationProgress(prev => ({ ...prev, status: 'error' }));
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  // Load the per-page placeholder values for the Step 2 preview table
+  const loadPlaceholderPreview = async () => {
+    setLoadingPlaceholderPreview(true);
+    try {
+      const result = await invoke('previewTemplateValues', {
+        templateId: selectedTemplate.id,
+        pageTitles: handleDuplicateNames(pageTitles.filter(title => title.trim())),
+        templateVariables,
+        pageVariables
+      });
+      if (result.success) {
+        setPlaceholderPreview(result);
+      } else {
+        setError('Failed to preview placeholder values: ' + (result.error || 'Unknown error'));
+      }
+    } catch (err) {
+      setError('Failed to preview placeholder values: ' + err.message);
+    } finally {
+      setLoadingPlaceholderPreview(false);
+    }
+  };
+
   // Helper function to handle duplicates by adding (1), (2), etc.
   const handleDuplicateNames = (titles) => {
     const seen = {};
@@ -561,9 +933,48 @@ const BulkPageCloner = () => {
     return result;
   };
 
+  // Parse pasted or uploaded CSV/TSV text and default the title column to the first header
+  const parseImportText = (text) => {
+    const parsed = parseDelimitedText(text);
+    setParsedImport(parsed);
+    setImportTitleColumn(parsed.headers[0] || '');
+  };
+
+  const handleImportFile = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    try {
+      const text = await file.text();
+      setImportText(text);
+      parseImportText(text);
+    } catch (err) {
+      setError('Failed to read file: ' + err.message);
+    }
+  };
+
+  // Validated rows for the currently selected title column
+  const importPreview = useMemo(() => (
+    parsedImport && importTitleColumn ? buildImport(parsedImport, importTitleColumn) : null
+  ), [parsedImport, importTitleColumn]);
+
+  // Replace the title list with the imported rows
+  const applyImport = () => {
+    if (!importPreview || importPreview.titles.length === 0) return;
+    setPageCount(importPreview.titles.length);
+    setPageTitles(importPreview.titles);
+    setPageVariables(importPreview.pageVariables);
+    setPageParents([]);
+    setPlaceholderPreview(null);
+    setAppliedTitlePattern(null);
+    setShowImport(false);
+    setError('');
+  };
+
   // Helper functions for new Step 2
   const updatePageCount = (newCount) => {
     setPageCount(newCount);
+    setPageVariables(prev => prev.slice(0, newCount));
+    setPageParents(prev => prev.slice(0, newCount));
     setPageTitles(prev => {
       const newTitles = [...prev];
       // Add empty titles if increasing count
@@ -582,362 +993,58 @@ const BulkPageCloner = () => {
     const newTitles = [...pageTitles];
     newTitles[index] = value;
     setPageTitles(newTitles);
-    
-    // Check for patterns after user enters 2+ titles
-    if (index >= 1 && value.trim() && newTitles[index-1]?.trim()) {
-      detectAndSuggestPattern(newTitles, index + 1);
-    }
+    // Titles edited by hand no longer follow the pattern, so a saved recipe keeps them as typed
+    setAppliedTitlePattern(null);
   };
 
-  const detectAndSuggestPattern = (titles, fromIndex) => {
-    const filledTitles = titles.slice(0, fromIndex).filter(t => t.trim());
-    if (filledTitles.length < 2) return;
-
-    // Detect number pattern
-    const numberPattern = detectNumberPattern(filledTitles);
-    if (numberPattern) {
-      setSuggestedPattern(numberPattern);
-      setShowAutofillSuggestion(true);
-      return;
+  // Preview every title the pattern gives for the page count while it is being typed
+  useEffect(() => {
+    if (!showTitlePattern || !titlePattern.pattern.trim()) {
+      patternRequestRef.current++;
+      setPatternPreview({ titles: [], error: '', loading: false });
+      return undefined;
     }
 
-    // Detect date pattern  
-    const datePattern = detectDatePattern(filledTitles);
-    if (datePattern) {
-      setSuggestedPattern(datePattern);
-      setShowAutofillSuggestion(true);
-      return;
-    }
-  };
+    setPatternPreview(prev => ({ ...prev, loading: true }));
+    const timeoutId = setTimeout(async () => {
+      const requestId = ++patternRequestRef.current;
+      try {
+        const result = await invoke('previewTitlePattern', { titlePattern, count: pageCount });
+        if (requestId !== patternRequestRef.current) return;
+        setPatternPreview({ titles: result.titles || [], error: result.success ? '' : result.error, loading: false });
+      } catch (err) {
+        if (requestId !== patternRequestRef.current) return;
+        setPatternPreview({ titles: [], error: err.message, loading: false });
+      }
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timeoutId);
+  }, [showTitlePattern, titlePattern, pageCount]);
+
+  const updateTitlePattern = (key, value) => setTitlePattern(prev => ({ ...prev, [key]: value }));
 
-  const detectNumberPattern = (titles) => {
-    const numbers = titles.map(title => {
-      const match = title.match(/(\d+)/);
-      return match ? parseInt(match[1]) : null;
-    }).filter(n => n !== null);
+  // Replace the title list with the pattern's titles
+  const applyTitlePattern = () => {
+    if (patternPreview.loading || patternPreview.error || patternPreview.titles.length !== pageCount) return;
+    setPageTitles(patternPreview.titles);
+    setPlaceholderPreview(null);
+    setAppliedTitlePattern({ ...titlePattern, offset: 0 });
+  };
 
-    if (numbers.length >= 2) {
-      const diff = numbers[1] - numbers[0];
-      if (diff > 0 && numbers.every((n, i) => i === 0 || n === numbers[0] + (diff * i))) {
-        return `number sequence (+${diff})`;
+  const copyFirstTitle = () => {
+    if (pageTitles[0] && pageTitles[0].trim()) {
+      const newTitles = [...pageTitles];
+      for (let i = 1; i < newTitles.length; i++) {
+        newTitles[i] = pageTitles[0];
       }
-    }
-    return null;
-  };
-
-  const detectDatePattern = (titles) => {
-    // Enhanced date pattern detection for various formats
-    const monthWithYearRegex = /(January|February|March|April|May|June|July|August|September|October|November|December)\s+(\d{4})/i;
-    const monthOnlyRegex = /^(January|February|March|April|May|June|July|August|September|October|November|December)$/i;
-    const monthInTitleRegex = /(January|February|March|April|May|June|July|August|September|October|November|December)/i;
-    const standardDateRegex = /(\d{1,2}\/\d{1,2}\/\d{4}|\w+ \d{1,2}, \d{4})/;
-    
-    // Check for monthly patterns with year (e.g., "January 2026", "February 2026")
-    const monthWithYearMatches = titles.map(title => title.match(monthWithYearRegex)).filter(Boolean);
-    if (monthWithYearMatches.length >= 2) {
-      const months = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
-      const month1 = months.indexOf(monthWithYearMatches[0][1].toLowerCase());
-      const month2 = months.indexOf(monthWithYearMatches[1][1].toLowerCase());
-      if (month2 === month1 + 1) return 'monthly progression with year';
-    }
-    
-    // Check for simple monthly patterns (e.g., "March", "April")
-    const monthOnlyMatches = titles.map(title => title.match(monthOnlyRegex)).filter(Boolean);
-    if (monthOnlyMatches.length >= 2) {
-      const months = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
-      const month1 = months.indexOf(monthOnlyMatches[0][1].toLowerCase());
-      const month2 = months.indexOf(monthOnlyMatches[1][1].toLowerCase());
-      if (month2 === month1 + 1) return 'simple monthly progression';
-    }
-    
-    // Check for months embedded in titles (e.g., "Hello January", "Hello February")
-    const monthInTitleMatches = titles.map(title => title.match(monthInTitleRegex)).filter(Boolean);
-    if (monthInTitleMatches.length >= 2) {
-      const months = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
-      const month1 = months.indexOf(monthInTitleMatches[0][1].toLowerCase());
-      const month2 = months.indexOf(monthInTitleMatches[1][1].toLowerCase());
-      if (month2 === month1 + 1) return 'embedded monthly progression';
-    }
-    
-    // Check for quarterly patterns (e.g., "Q1 2026", "Q2 2026" or just "Q2", "Q3")
-    const quarterWithYearMatches = titles.map(title => title.match(/Q([1-4])\s+(\d{4})/i)).filter(Boolean);
-    if (quarterWithYearMatches.length >= 2) {
-      const q1 = parseInt(quarterWithYearMatches[0][1]);
-      const q2 = parseInt(quarterWithYearMatches[1][1]);
-      if (q2 === q1 + 1) return 'quarterly progression';
-    }
-    
-    // Check for simple quarterly patterns (e.g., "Q2", "Q3")
-    const quarterOnlyMatches = titles.map(title => title.match(/Q([1-4])(?!\s*\d)/i)).filter(Boolean);
-    if (quarterOnlyMatches.length >= 2) {
-      const q1 = parseInt(quarterOnlyMatches[0][1]);
-      const q2 = parseInt(quarterOnlyMatches[1][1]);
-      if (q2 === q1 + 1) return 'simple quarterly progression';
-    }
-    
-    // Check for embedded quarterly patterns (e.g., "Report Q2", "Report Q3")
-    const quarterInTitleMatches = titles.map(title => title.match(/Q([1-4])/i)).filter(Boolean);
-    if (quarterInTitleMatches.length >= 2) {
-      const q1 = parseInt(quarterInTitleMatches[0][1]);
-      const q2 = parseInt(quarterInTitleMatches[1][1]);
-      if (q2 === q1 + 1) return 'embedded quarterly progression';
-    }
-    
-    // Check for standard date patterns with flexible formats
-    const flexibleDateRegex = /(\d{1,2})\/(\d{1,2})\/(\d{2,4})/;
-    
-    // Try flexible date format first (handles 2-digit years)
-    const flexDates = titles.map(title => {
-      const dateMatch = title.match(flexibleDateRegex);
-      if (dateMatch) {
-        let [, month, day, year] = dateMatch;
-        // Handle 2-digit years by assuming 20xx
-        if (year.length === 2) {
-          year = '20' + year;
-        }
-        return new Date(parseInt(year), parseInt(month) - 1, parseInt(day));
-      }
-      return null;
-    }).filter(d => d && !isNaN(d));
-
-    if (flexDates.length >= 2) {
-      const diffDays = (flexDates[1] - flexDates[0]) / (1000 * 60 * 60 * 24);
-      if (diffDays === 7) return 'weekly dates';
-      if (diffDays >= 28 && diffDays <= 31) return 'monthly dates';
-      if (diffDays > 0) return 'date progression';
-    }
-    
-    // Check standard date patterns as fallback
-    const dates = titles.map(title => {
-      const dateMatch = title.match(standardDateRegex);
-      return dateMatch ? new Date(dateMatch[1]) : null;
-    }).filter(d => d && !isNaN(d));
-
-    if (dates.length >= 2) {
-      const diffDays = (dates[1] - dates[0]) / (1000 * 60 * 60 * 24);
-      if (diffDays === 7) return 'weekly dates';
-      if (diffDays >= 28 && diffDays <= 31) return 'monthly dates';
-    }
-    return null;
-  };
-
-  const applyAutofill = () => {
-    const newTitles = [...pageTitles];
-    const filledCount = newTitles.findIndex(t => !t.trim());
-    const baseTitles = newTitles.slice(0, filledCount);
-    
-    if (suggestedPattern.includes('number sequence')) {
-      applyNumberPattern(newTitles, baseTitles);
-    } else if (suggestedPattern.includes('progression') || suggestedPattern.includes('dates')) {
-      applyDatePattern(newTitles, baseTitles);
-    }
-    
-    setPageTitles(newTitles);
-    setShowAutofillSuggestion(false);
-  };
-
-  const copyFirstTitle = () => {
-    if (pageTitles[0] && pageTitles[0].trim()) {
-      const newTitles = [...pageTitles];
-      for (let i = 1; i < newTitles.length; i++) {
-        newTitles[i] = pageTitles[0];
-      }
-      setPageTitles(newTitles);
+      setPageTitles(newTitles);
     }
   };
 
   const clearAllTitles = () => {
     setPageTitles(new Array(pageCount).fill(''));
-    setShowAutofillSuggestion(false); // Also hide autofill suggestion when clearing
-  };
-
-  const applyNumberPattern = (newTitles, baseTitles) => {
-    // Find the highest number in the existing titles to continue from there
-    const numbersFound = [];
-    baseTitles.forEach((title, index) => {
-      const match = title.match(/^(.*?)(\d+)(.*)$/);
-      if (match) {
-        const [, prefix, num, suffix] = match;
-        numbersFound.push({ 
-          number: parseInt(num), 
-          prefix, 
-          suffix, 
-          index 
-        });
-      }
-    });
-
-    if (numbersFound.length > 0) {
-      // Use the pattern from the title with the highest number
-      const latestNumberData = numbersFound.reduce((latest, current) => 
-        current.number > latest.number ? current : latest
-      );
-      
-      const { number: currentNum, prefix, suffix } = latestNumberData;
-      
-      // Continue the sequence from the highest number found
-      for (let i = baseTitles.length; i < newTitles.length; i++) {
-        const nextNum = currentNum + (i - baseTitles.length + 1);
-        newTitles[i] = `${prefix}${nextNum}${suffix}`;
-      }
-    } else {
-      // Fallback to the old logic if no numbers found
-      const lastTitle = baseTitles[baseTitles.length - 1];
-      const match = lastTitle.match(/^(.*?)(\d+)(.*)$/);
-      if (match) {
-        const [, prefix, num, suffix] = match;
-        for (let i = baseTitles.length; i < newTitles.length; i++) {
-          const nextNum = parseInt(num) + (i - baseTitles.length + 1);
-          newTitles[i] = `${prefix}${nextNum}${suffix}`;
-        }
-      }
-    }
-  };
-
-  const applyDatePattern = (newTitles, baseTitles) => {
-    const lastTitle = baseTitles[baseTitles.length - 1];
-    
-    if (suggestedPattern.includes('monthly progression with year')) {
-      // Handle "January 2026" -> "February 2026" patterns
-      const monthRegex = /(.*?)(January|February|March|April|May|June|July|August|September|October|November|December)(.*?)(\d{4})(.*)/i;
-      const match = lastTitle.match(monthRegex);
-      if (match) {
-        const [, prefix, monthName, middle, year, suffix] = match;
-        const months = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
-        const currentMonth = months.indexOf(monthName);
-        
-        for (let i = baseTitles.length; i < newTitles.length; i++) {
-          const nextMonthIndex = (currentMonth + (i - baseTitles.length + 1)) % 12;
-          let nextYear = parseInt(year);
-          if (currentMonth + (i - baseTitles.length + 1) >= 12) {
-            nextYear += Math.floor((currentMonth + (i - baseTitles.length + 1)) / 12);
-          }
-          newTitles[i] = `${prefix}${months[nextMonthIndex]}${middle}${nextYear}${suffix}`;
-        }
-      }
-    } else if (suggestedPattern.includes('simple monthly progression')) {
-      // Handle simple "March" -> "April" patterns
-      const monthRegex = /^(January|February|March|April|May|June|July|August|September|October|November|December)$/i;
-      const match = lastTitle.match(monthRegex);
-      if (match) {
-        const monthName = match[1];
-        const months = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
-        const currentMonth = months.indexOf(monthName);
-        
-        for (let i = baseTitles.length; i < newTitles.length; i++) {
-          const nextMonthIndex = (currentMonth + (i - baseTitles.length + 1)) % 12;
-          newTitles[i] = months[nextMonthIndex];
-        }
-      }
-    } else if (suggestedPattern.includes('embedded monthly progression')) {
-      // Handle "marketing march" -> "marketing april" patterns
-      // Find the chronologically latest month in the sequence, not just the last entered title
-      const monthInTitleRegex = /(.*?)(January|February|March|April|May|June|July|August|September|October|November|December)(.*)/i;
-      const months = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
-      
-      // Find all months in the existing titles and their positions
-      const monthsFound = [];
-      baseTitles.forEach((title, index) => {
-        const match = title.match(monthInTitleRegex);
-        if (match) {
-          const [, prefix, monthName, suffix] = match;
-          const monthIndex = months.indexOf(monthName);
-          monthsFound.push({ monthIndex, prefix, suffix, title, index });
-        }
-      });
-      
-      if (monthsFound.length > 0) {
-        // Find the chronologically latest month (highest month index)
-        const latestMonth = monthsFound.reduce((latest, current) => 
-          current.monthIndex > latest.monthIndex ? current : latest
-        );
-        
-        const { monthIndex: currentMonth, prefix, suffix } = latestMonth;
-        
-        for (let i = baseTitles.length; i < newTitles.length; i++) {
-          const nextMonthIndex = (currentMonth + (i - baseTitles.length + 1)) % 12;
-          newTitles[i] = `${prefix}${months[nextMonthIndex]}${suffix}`;
-        }
-      }
-    } else if (suggestedPattern.includes('quarterly progression')) {
-      // Handle "Q1 2026" -> "Q2 2026" patterns with proper cycling
-      const quarterRegex = /(.*?)Q([1-4])(.*?)(\d{4})(.*)/i;
-      const match = lastTitle.match(quarterRegex);
-      if (match) {
-        const [, prefix, quarter, middle, year, suffix] = match;
-        const currentQuarter = parseInt(quarter);
-        const currentYear = parseInt(year);
-        
-        for (let i = baseTitles.length; i < newTitles.length; i++) {
-          const totalQuarters = currentQuarter + (i - baseTitles.length + 1);
-          const nextQuarter = ((totalQuarters - 1) % 4) + 1;
-          const nextYear = currentYear + Math.floor((totalQuarters - 1) / 4);
-          newTitles[i] = `${prefix}Q${nextQuarter}${middle}${nextYear}${suffix}`;
-        }
-      }
-    } else if (suggestedPattern.includes('simple quarterly progression')) {
-      // Handle "Q2" -> "Q3" patterns
-      const quarterRegex = /(.*?)Q([1-4])(.*)/i;
-      const match = lastTitle.match(quarterRegex);
-      if (match) {
-        const [, prefix, quarter, suffix] = match;
-        const currentQuarter = parseInt(quarter);
-        
-        for (let i = baseTitles.length; i < newTitles.length; i++) {
-          const nextQuarter = ((currentQuarter + (i - baseTitles.length + 1) - 1) % 4) + 1;
-          newTitles[i] = `${prefix}Q${nextQuarter}${suffix}`;
-        }
-      }
-    } else if (suggestedPattern.includes('embedded quarterly progression')) {
-      // Handle embedded quarter patterns like "Report Q2"
-      const quarterRegex = /(.*?)Q([1-4])(.*)/i;
-      const match = lastTitle.match(quarterRegex);
-      if (match) {
-        const [, prefix, quarter, suffix] = match;
-        const currentQuarter = parseInt(quarter);
-        
-        for (let i = baseTitles.length; i < newTitles.length; i++) {
-          const nextQuarter = ((currentQuarter + (i - baseTitles.length + 1) - 1) % 4) + 1;
-          newTitles[i] = `${prefix}Q${nextQuarter}${suffix}`;
-        }
-      }
-    } else if (suggestedPattern.includes('date progression')) {
-      // Handle flexible date progression like "1/28/26" -> "2/4/26"
-      const flexibleDateRegex = /(.*?)(\d{1,2})\/(\d{1,2})\/(\d{2,4})(.*)/;
-      const match = lastTitle.match(flexibleDateRegex);
-      if (match) {
-        const [, prefix, month, day, year, suffix] = match;
-        let baseDate = new Date(year.length === 2 ? '20' + year : year, parseInt(month) - 1, parseInt(day));
-        
-        // Detect the interval by looking at the difference between first two dates
-        const firstTitleMatch = baseTitles[0].match(flexibleDateRegex);
-        if (firstTitleMatch) {
-          const [, , fMonth, fDay, fYear] = firstTitleMatch;
-          const firstDate = new Date(fYear.length === 2 ? '20' + fYear : fYear, parseInt(fMonth) - 1, parseInt(fDay));
-          const diffDays = (baseDate - firstDate) / (1000 * 60 * 60 * 24);
-          
-          for (let i = baseTitles.length; i < newTitles.length; i++) {
-            const nextDate = new Date(baseDate);
-            nextDate.setDate(nextDate.getDate() + diffDays * (i - baseTitles.length + 1));
-            const nextMonth = nextDate.getMonth() + 1;
-            const nextDay = nextDate.getDate();
-            const nextYear = nextDate.getFullYear().toString().slice(-2);
-            newTitles[i] = `${prefix}${nextMonth}/${nextDay}/${nextYear}${suffix}`;
-          }
-        }
-      }
-    } else {
-      // Handle standard weekly/monthly date patterns
-      const lastDate = new Date();
-      for (let i = baseTitles.length; i < newTitles.length; i++) {
-        if (suggestedPattern.includes('weekly')) {
-          lastDate.setDate(lastDate.getDate() + 7);
-        } else if (suggestedPattern.includes('monthly')) {
-          lastDate.setMonth(lastDate.getMonth() + 1);
-        }
-        newTitles[i] = `Page - ${lastDate.toLocaleDateString()}`;
-      }
-    }
+    setPageVariables([]);
+    setPageParents([]);
+    setAppliedTitlePattern(null);
   };
 
   return (
@@ -992,6 +1099,50 @@ const BulkPageCloner = () => {
         }}
       >
       
+      {/* View switcher (global page only) */}
+      {isGlobalPage && (
+        <div style={{ display: 'flex', gap: '4px', borderBottom: '2px solid #DFE1E6', marginBottom: '20px' }}>
+          {[
+            { key: 'generator', label: '📄 Bulk Cloner' },
+            { key: 'library', label: '📚 Template Library' },
+            { key: 'schedules', label: '🗓️ Schedules' },
+            { key: 'recipes', label: '🧾 Recipes' },
+            { key: 'history', label: '📜 Run History' }
+          ].map(tab => (
+            <button
+              key={tab.key}
+              onClick={() => setActiveView(tab.key)}
+              style={{
+                padding: '8px 16px',
+                backgroundColor: 'transparent',
+                color: activeView === tab.key ? '#0052CC' : '#42526E',
+                border: 'none',
+                borderBottom: activeView === tab.key ? '2px solid #0052CC' : '2px solid transparent',
+                marginBottom: '-2px',
+                fontSize: '14px',
+                fontWeight: activeView === tab.key ? '600' : '400',
+                cursor: 'pointer',
+                fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+              }}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {activeView === 'history' ? <RunHistory /> : activeView === 'schedules' ? <ScheduleManager /> : activeView === 'recipes' ? (
+        <RecipeList onLaunch={launchRecipe} />
+      ) : activeView === 'library' ? (
+        <TemplateLibrary
+          onUseTemplate={(template) => {
+            setSelectedTemplate(template);
+            setCurrentStep(2);
+            setActiveView('generator');
+          }}
+        />
+      ) : (
+      <>
       {/* Messages */}
       {error && (
         <div style={{
@@ -1027,6 +1178,25 @@ const BulkPageCloner = () => {
           }}>
             📄 Select a Page as Template OR Paste URL
           </h3>
+
+        {/* Clone with descendants option */}
+        <label style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: '8px',
+          marginBottom: '16px',
+          fontSize: '14px',
+          color: '#42526E',
+          cursor: 'pointer',
+          fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+        }}>
+          <input
+            type="checkbox"
+            checked={includeDescendants === true}
+            onChange={(e) => setIncludeDescendants(e.target.checked)}
+          />
+          🌳 Clone with descendants (recreate the template's child pages under every generated page)
+        </label>
         
         {/* Two Clear Options - Now Clickable Tabs */}
         <div style={{ 
@@ -1207,6 +1377,64 @@ const BulkPageCloner = () => {
           </select>
         </div>
 
+        {/* Filter by Label and Last Modified Section */}
+        <div style={{ display: 'flex', gap: '16px', flexWrap: 'wrap', marginBottom: '20px' }}>
+          <div>
+            <label style={{ 
+              display: 'block', 
+              marginBottom: '8px', 
+              fontWeight: '600', 
+              color: '#42526E', 
+              fontSize: '14px',
+              fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif' 
+            }}>
+              🏷️ Label
+            </label>
+            <input
+              type="text"
+              value={labelFilter}
+              onChange={(e) => setLabelFilter(e.target.value)}
+              placeholder="e.g. meeting-notes"
+              style={{
+                width: '200px',
+                padding: '9px 12px',
+                border: '1px solid #DFE1E6',
+                borderRadius: '6px',
+                fontSize: '14px',
+                fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+              }}
+            />
+          </div>
+          <div>
+            <label style={{ 
+              display: 'block', 
+              marginBottom: '8px', 
+              fontWeight: '600', 
+              color: '#42526E', 
+              fontSize: '14px',
+              fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif' 
+            }}>
+              🕒 Last Modified
+            </label>
+            <select
+              value={modifiedFilter}
+              onChange={(e) => setModifiedFilter(e.target.value)}
+              style={{
+                padding: '10px 12px',
+                border: '1px solid #DFE1E6',
+                borderRadius: '6px',
+                fontSize: '14px',
+                backgroundColor: 'white',
+                fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+              }}
+            >
+              {MODIFIED_FILTER_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
         <div style={{ 
           marginBottom: '16px', 
           color: 'black',
@@ -1219,7 +1447,9 @@ const BulkPageCloner = () => {
           border: '1px solid #FFC400',
           display: 'inline-block'
         }}>
-          📄 Found {filteredPages.length} pages
+          📄 {searchResults.length === 0
+            ? 'No matching pages'
+            : `Showing results ${(searchCursors.length - 1) * SEARCH_PAGE_SIZE + 1}–${(searchCursors.length - 1) * SEARCH_PAGE_SIZE + searchResults.length}`}
         </div>
 
         {/* Pages Table */}
@@ -1293,6 +1523,44 @@ const BulkPageCloner = () => {
             </tbody>
           </table>
         )}
+
+        {/* Result pages - the server hands back a cursor for the next page */}
+        {(searchCursors.length > 1 || nextSearchCursor) && (
+          <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '12px' }}>
+            <button
+              onClick={showPreviousResults}
+              disabled={loadingPages || searchCursors.length <= 1}
+              style={{
+                padding: '6px 12px',
+                backgroundColor: 'white',
+                color: loadingPages || searchCursors.length <= 1 ? '#A5ADBA' : '#0052CC',
+                border: '1px solid #DFE1E6',
+                borderRadius: '3px',
+                fontSize: '14px',
+                cursor: loadingPages || searchCursors.length <= 1 ? 'not-allowed' : 'pointer',
+                fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+              }}
+            >
+              ← Previous
+            </button>
+            <button
+              onClick={showNextResults}
+              disabled={loadingPages || !nextSearchCursor}
+              style={{
+                padding: '6px 12px',
+                backgroundColor: 'white',
+                color: loadingPages || !nextSearchCursor ? '#A5ADBA' : '#0052CC',
+                border: '1px solid #DFE1E6',
+                borderRadius: '3px',
+                fontSize: '14px',
+                cursor: loadingPages || !nextSearchCursor ? 'not-allowed' : 'pointer',
+                fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+              }}
+            >
+              Next →
+            </button>
+          </div>
+        )}
         </>
         )}
 
@@ -1379,7 +1647,21 @@ const BulkPageCloner = () => {
           }}>
             <span>📍</span> Location
           </h3>
-          
+
+          {activeRecipe && (
+            <div style={{
+              backgroundColor: '#EAE6FF',
+              border: '1px solid #8777D9',
+              padding: '12px',
+              borderRadius: '3px',
+              marginBottom: '20px',
+              fontSize: '13px',
+              color: '#000000',
+              fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+            }}>
+              🧾 From the recipe <strong>{activeRecipe.name}</strong>. Check the plan below and confirm, or change anything first.
+            </div>
+          )}
           
           {/* Select Confluence Space */}
           <div style={{
@@ -1398,6 +1680,34 @@ const BulkPageCloner = () => {
               }}>
                 📁 Select Confluence Space
               </label>
+              <div style={{ display: 'flex', gap: '16px', margin: '4px 0 12px 0', fontSize: '14px', fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif' }}>
+                <label style={{ cursor: 'pointer' }}>
+                  <input
+                    type="radio"
+                    name="spaceTarget"
+                    checked={!fanOutMode}
+                    onChange={() => setFanOutMode(false)}
+                    style={{ marginRight: '6px' }}
+                  />
+                  One space
+                </label>
+                <label style={{ cursor: 'pointer' }}>
+                  <input
+                    type="radio"
+                    name="spaceTarget"
+                    checked={fanOutMode}
+                    onChange={() => {
+                      setFanOutMode(true);
+                      setSelectedSpace('');
+                      setSelectedParentPage('');
+                    }}
+                    style={{ marginRight: '6px' }}
+                  />
+                  Several spaces
+                </label>
+              </div>
+              {!fanOutMode && (
+              <>
               <p style={{ 
                 margin: '0 0 12px 0', 
                 fontSize: '14px', 
@@ -1428,6 +1738,8 @@ const BulkPageCloner = () => {
                   </option>
                 ))}
               </select>
+              </>
+              )}
             </div>
           </div>
           
@@ -1529,6 +1841,28 @@ const BulkPageCloner = () => {
                   </div>
                 </label>
               </div>
+
+              {/* Radio option 4: Each page names its own parent */}
+              <div style={{ marginBottom: '16px' }}>
+                <label style={{ display: 'flex', alignItems: 'flex-start', gap: '8px', cursor: 'pointer' }}>
+                  <input
+                    type="radio"
+                    name="pageOrganization"
+                    value="per-page-parent"
+                    checked={pageOrganization === 'per-page-parent'}
+                    onChange={(e) => setPageOrganization(e.target.value)}
+                    style={{ marginTop: '3px' }}
+                  />
+                  <div>
+                    <div style={{ fontWeight: '600', color: '#000000', fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif' }}>
+                      🗂️ Give each page its own parent
+                    </div>
+                    <div style={{ fontSize: '13px', color: 'black', marginTop: '4px', fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif' }}>
+                      Fill several branches of the tree in one run, e.g. the same page under each team's page
+                    </div>
+                  </div>
+                </label>
+              </div>
             </div>
           )}
           
@@ -1558,33 +1892,17 @@ const BulkPageCloner = () => {
                 color: '#000000',
                 fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif' 
               }}>
-                Choose the parent page under which your report child pages will be created. Showing top 30 pages sorted alphabetically.
+                Choose the parent page under which your report child pages will be created. Open a page to see its children, or type to search the whole space.
               </p>
-              {loadingSpacePages ? (
-                <div style={{ padding: '12px', textAlign: 'center', color: '#6B778C', fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif' }}>
-                  Loading pages...
-                </div>
-              ) : (
-                <select
-                  value={selectedParentPage}
-                  onChange={(e) => setSelectedParentPage(e.target.value)}
-                  style={{
-                    width: '100%',
-                    padding: '8px 12px',
-                    border: '1px solid #FFC400',
-                    borderRadius: '3px',
-                    fontSize: '14px',
-                    fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
-                  }}
-                >
-                  <option value="">Select a parent page...</option>
-                  {spacePages.map((page) => (
-                    <option key={page.id} value={page.id}>
-                      {page.title}
-                    </option>
-                  ))}
-                </select>
-              )}
+              <PageTreePicker
+                spaceKey={selectedSpace}
+                value={selectedParentPage}
+                valueTitle={knownParent?.id === selectedParentPage ? knownParent.title : null}
+                onChange={(pageId, page) => {
+                  setSelectedParentPage(pageId);
+                  setKnownParent({ id: pageId, title: page.title });
+                }}
+              />
             </div>
           )}
           
@@ -1633,75 +1951,525 @@ const BulkPageCloner = () => {
             </div>
           )}
           
-          {/* Navigation Buttons */}
-          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '24px' }}>
-            <button
-              onClick={() => {
-                setCurrentStep(2);
-                setError('');
-              }}
-              style={{
-                padding: '8px 16px',
-                backgroundColor: 'transparent',
-                color: '#0052CC',
-                border: 'none',
-                borderRadius: '3px',
-                fontSize: '14px',
-                cursor: 'pointer',
-                fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif',
-                textDecoration: 'underline'
-              }}
-            >
-              ← Back to Bulk Cloning
-            </button>
-            <button
-              onClick={() => {
-                devLog('Create Pages button clicked!');
-                generatePages();
-              }}
-              disabled={generating || !selectedSpace || 
-                !pageOrganization ||
-                (pageOrganization === 'create-child' && !selectedParentPage) ||
-                (pageOrganization === 'create-parent' && !newParentTitle.trim()) ||
-                !selectedTemplate?.id ||
-                !pageTitles.some(title => title.trim())
-              }
-              style={{
-                padding: '10px 20px',
-                backgroundColor: (generating || !selectedSpace || 
-                  !pageOrganization ||
-                  (pageOrganization === 'create-child' && !selectedParentPage) ||
-                  (pageOrganization === 'create-parent' && !newParentTitle.trim()) ||
-                  !selectedTemplate?.id ||
-                  !pageTitles.some(title => title.trim())) 
-                  ? '#DFE1E6' : '#0052CC',
-                color: 'white',
-                border: 'none',
-                borderRadius: '3px',
-                fontSize: '14px',
-                fontWeight: '600',
-                cursor: (generating || !selectedSpace || 
-                  !pageOrganization ||
-                  (pageOrganization === 'create-child' && !selectedParentPage) ||
-                  (pageOrganization === 'create-parent' && !newParentTitle.trim()) ||
-                  !selectedTemplate?.id ||
-                  !pageTitles.some(title => title.trim())) 
-                  ? 'not-allowed' : 'pointer',
-                fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
-              }}
-            >
-              {generating ? (
-                <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '8px' }}>
-                  <span>Creating Pages...</span>
+          {/* Parent per page (only for per-page-parent mode) */}
+          {selectedSpace && pageOrganization === 'per-page-parent' && (
+            <div style={{
+              backgroundColor: '#E6FCFF',
+              padding: '20px',
+              borderRadius: '3px',
+              marginBottom: '20px',
+              border: '1px solid #00B8D9'
+            }}>
+              <label style={{
+                display: 'block',
+                fontWeight: 'bold',
+                color: '#000000',
+                marginBottom: '8px',
+                fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+              }}>
+                🗂️ Parent for Each Page
+              </label>
+              <p style={{
+                margin: '0 0 12px 0',
+                fontSize: '13px',
+                color: '#000000',
+                fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+              }}>
+                Enter a parent page ID, or a parent title. A title that already exists in this space is used as the parent; otherwise a new page with that title is created once and shared by every row that names it.
+              </p>
+              {Object.keys(pageVariables[0] || {}).length > 0 && (
+                <div style={{ marginBottom: '12px', fontSize: '13px', fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif' }}>
+                  Fill from imported column:{' '}
+                  <select
+                    value=""
+                    onChange={(e) => fillParentsFromColumn(e.target.value)}
+                    style={{ padding: '4px 8px', border: '1px solid #DFE1E6', borderRadius: '3px', fontSize: '13px' }}
+                  >
+                    <option value="">Choose a column...</option>
+                    {Object.keys(pageVariables[0]).map(key => (
+                      <option key={key} value={key}>{key}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              <div style={{ maxHeight: '320px', overflowY: 'auto' }}>
+                <table style={{ borderCollapse: 'collapse', width: '100%', backgroundColor: 'white', fontSize: '13px', fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif' }}>
+                  <thead>
+                    <tr style={{ backgroundColor: '#F4F5F7' }}>
+                      <th style={{ padding: '8px', textAlign: 'left', color: '#000000', width: '45%' }}>Page</th>
+                      <th style={{ padding: '8px', textAlign: 'left', color: '#000000' }}>Parent page ID or title</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {pageTitles.map((title, index) => title.trim() && (
+                      <tr key={index} style={{ borderTop: '1px solid #DFE1E6' }}>
+                        <td style={{ padding: '6px 8px', color: '#000000', wordWrap: 'break-word' }}>{title}</td>
+                        <td style={{ padding: '6px 8px' }}>
+                          <input
+                            type="text"
+                            value={pageParents[index] || ''}
+                            onChange={(e) => {
+                              const value = e.target.value;
+                              setPageParents(prev => {
+                                const next = [...prev];
+                                next[index] = value;
+                                return next;
+                              });
+                            }}
+                            placeholder="e.g. 123456 or Team Alpha"
+                            style={{
+                              width: '100%',
+                              boxSizing: 'border-box',
+                              padding: '6px 8px',
+                              border: `1px solid ${(pageParents[index] || '').trim() ? '#DFE1E6' : '#FF8F73'}`,
+                              borderRadius: '3px',
+                              fontSize: '13px',
+                              fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+                            }}
+                          />
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          {/* Extra Labels */}
+          {(fanOutMode || (selectedSpace && pageOrganization)) && (
+            <div style={{
+              backgroundColor: '#F4F5F7',
+              padding: '20px',
+              borderRadius: '3px',
+              marginBottom: '20px',
+              border: '1px solid #DFE1E6'
+            }}>
+              <label style={{
+                display: 'block',
+                fontWeight: 'bold',
+                color: '#000000',
+                marginBottom: '8px',
+                fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+              }}>
+                🏷️ Extra Labels
+              </label>
+              <p style={{
+                margin: '0 0 12px 0',
+                fontSize: '13px',
+                color: '#000000',
+                fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+              }}>
+                Optional. Added to every page in this run, e.g. "sprint-12, team-alpha". Spaces become hyphens.
+              </p>
+              <input
+                type="text"
+                value={extraLabels}
+                onChange={(e) => setExtraLabels(e.target.value)}
+                placeholder="label-one, label-two"
+                style={{
+                  width: '100%',
+                  padding: '8px 12px',
+                  border: '2px solid #DFE1E6',
+                  borderRadius: '3px',
+                  fontSize: '14px',
+                  boxSizing: 'border-box',
+                  fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+                }}
+              />
+            </div>
+          )}
+
+          {/* Title Conflict Policy */}
+          {(fanOutMode || (selectedSpace && pageOrganization)) && (
+            <div style={{
+              backgroundColor: '#F4F5F7',
+              padding: '20px',
+              borderRadius: '3px',
+              marginBottom: '20px',
+              border: '1px solid #DFE1E6'
+            }}>
+              <label style={{
+                display: 'block',
+                fontWeight: 'bold',
+                color: '#000000',
+                marginBottom: '8px',
+                fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+              }}>
+                ⚖️ Title Conflicts
+              </label>
+              <p style={{
+                margin: '0 0 12px 0',
+                fontSize: '13px',
+                color: '#000000',
+                fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+              }}>
+                Choose what happens when a page with the same title already exists in this space.
+              </p>
+              {[
+                { value: 'suffix', label: 'Add a suffix', description: 'Create the page as "Title (1)", "Title (2)", ...' },
+                { value: 'skip', label: 'Skip', description: 'Leave the existing page alone and do not create this one' },
+                { value: 'overwrite', label: 'Overwrite', description: 'Replace the existing page content with a new version' },
+                { value: 'abort', label: 'Abort the run', description: 'Create nothing if any title already exists' }
+              ].map(option => (
+                <label key={option.value} style={{
+                  display: 'flex',
+                  alignItems: 'flex-start',
+                  gap: '8px',
+                  marginBottom: '8px',
+                  cursor: 'pointer',
+                  fontSize: '13px',
+                  color: '#000000',
+                  fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+                }}>
+                  <input
+                    type="radio"
+                    name="conflictPolicy"
+                    value={option.value}
+                    checked={conflictPolicy === option.value}
+                    onChange={(e) => setConflictPolicy(e.target.value)}
+                    style={{ marginTop: '2px' }}
+                  />
+                  <span>
+                    <strong>{option.label}</strong>
+                    <span style={{ color: '#6B778C' }}> — {option.description}</span>
+                  </span>
+                </label>
+              ))}
+            </div>
+          )}
+
+          {/* Dry-run Plan Confirmation */}
+          {generationPlan && (
+            <div style={{
+              backgroundColor: '#F4F5F7',
+              padding: '20px',
+              borderRadius: '3px',
+              marginBottom: '20px',
+              border: '1px solid #DFE1E6'
+            }}>
+              <label style={{
+                display: 'block',
+                fontWeight: 'bold',
+                color: '#000000',
+                marginBottom: '8px',
+                fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+              }}>
+                🔎 Review the plan
+              </label>
+              <p style={{
+                margin: '0 0 12px 0',
+                fontSize: '13px',
+                color: '#000000',
+                fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+              }}>
+                {generationPlan.totalPages} pages will be created in <strong>{generationPlan.space.name}</strong>
+                {generationPlan.parent.mapped
+                  ? <> under {generationPlan.parent.mapped.length} parent pages</>
+                  : generationPlan.parent.willCreate
+                  ? <> under a new parent page <strong>"{generationPlan.parent.title}"</strong></>
+                  : generationPlan.parent.title
+                    ? <> under <strong>"{generationPlan.parent.title}"</strong></>
+                    : ' as top-level pages'}
+                {' '}from template <strong>{generationPlan.template.name}</strong>
+                {generationPlan.template.attachmentCount > 0 && ` with ${generationPlan.template.attachmentCount} attachments copied to each page`}. Nothing has been created yet.
+              </p>
+              {(generationPlan.metadata.labels.length > 0 || generationPlan.metadata.propertyCount > 0 || generationPlan.metadata.restricted) && (
+                <p style={{ margin: '0 0 12px 0', fontSize: '13px', color: '#42526E', fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif' }}>
+                  🏷️ Each page gets
+                  {generationPlan.metadata.labels.length > 0 && <> the labels <strong>{generationPlan.metadata.labels.join(', ')}</strong></>}
+                  {generationPlan.metadata.propertyCount > 0 && <>{generationPlan.metadata.labels.length > 0 ? ',' : ''} {generationPlan.metadata.propertyCount} content properties</>}
+                  {generationPlan.metadata.restricted && <>{generationPlan.metadata.labels.length > 0 || generationPlan.metadata.propertyCount > 0 ? ' and' : ''} the template page's restrictions</>}
+                  {' '}(child pages are not labelled or restricted).
+                </p>
+              )}
+              {generationPlan.parent.mapped && (
+                <ul style={{ margin: '0 0 12px 0', paddingLeft: '18px', fontSize: '13px', color: '#000000', fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif' }}>
+                  {generationPlan.parent.mapped.map(parent => (
+                    <li key={parent.id || parent.title} style={{ color: parent.missing && !parent.willCreate ? '#BF2600' : '#000000' }}>
+                      <strong>"{parent.title}"</strong>
+                      {parent.willCreate
+                        ? ' — will be created'
+                        : parent.missing
+                          ? ' — page not found, its rows will fail'
+                          : ` (ID ${parent.id})`}
+                      {' '}· {generationPlan.items.filter(item => item.parentTitle === parent.title).length} pages
+                    </li>
+                  ))}
+                </ul>
+              )}
+              {generationPlan.parent.willCreate && generationPlan.parent.exists && (
+                <p style={{ margin: '0 0 12px 0', fontSize: '13px', color: '#BF2600', fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif' }}>
+                  ⚠️ A page titled "{generationPlan.parent.title}" already exists in this space, so the new parent page cannot be created.
+                </p>
+              )}
+              {generationPlan.parent.outcome === 'renamed' && (
+                <p style={{ margin: '0 0 12px 0', fontSize: '13px', color: '#974F00', fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif' }}>
+                  ✏️ The parent page title is already taken, so it will be created as "{generationPlan.parent.title}".
+                </p>
+              )}
+              {generationPlan.parent.outcome === 'reused' && (
+                <p style={{ margin: '0 0 12px 0', fontSize: '13px', color: '#974F00', fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif' }}>
+                  ♻️ A page titled "{generationPlan.parent.title}" already exists, so the pages will be created under it.
+                </p>
+              )}
+              {generationPlan.willAbort ? (
+                <p style={{ margin: '0 0 12px 0', fontSize: '13px', color: '#BF2600', fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif' }}>
+                  ⛔ {generationPlan.conflictCount} titles already exist in this space. With "Abort the run" selected nothing will be created; choose another policy to continue.
+                </p>
+              ) : generationPlan.conflictCount > 0 && (
+                <p style={{ margin: '0 0 12px 0', fontSize: '13px', color: '#974F00', fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif' }}>
+                  ⚠️ {generationPlan.conflictCount} titles already exist in this space and will be handled as shown below.
+                </p>
+              )}
+              {generationPlan.uncheckedCount > 0 && (
+                <p style={{ margin: '0 0 12px 0', fontSize: '13px', color: '#6B778C', fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif' }}>
+                  ℹ️ The last {generationPlan.uncheckedCount} titles are checked for conflicts as each page is created.
+                </p>
+              )}
+              <div style={{ overflowX: 'auto', maxHeight: '360px', overflowY: 'auto' }}>
+                <table style={{
+                  border: '1px solid #DFE1E6',
+                  borderCollapse: 'collapse',
+                  width: '100%',
+                  backgroundColor: 'white',
+                  fontSize: '13px',
+                  fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+                }}>
+                  <thead>
+                    <tr style={{ backgroundColor: '#F4F5F7' }}>
+                      <th style={{ padding: '8px', textAlign: 'left', color: '#000000', width: '5%' }}>#</th>
+                      <th style={{ padding: '8px', textAlign: 'left', color: '#000000', width: '30%' }}>Title</th>
+                      <th style={{ padding: '8px', textAlign: 'left', color: '#000000', width: '20%' }}>Status</th>
+                      <th style={{ padding: '8px', textAlign: 'left', color: '#000000' }}>Content preview</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {generationPlan.items.map(item => (
+                      <tr key={item.index} style={{ borderTop: '1px solid #DFE1E6', verticalAlign: 'top' }}>
+                        <td style={{ padding: '8px', color: '#6B778C' }}>{item.index + 1}</td>
+                        <td style={{ padding: '8px', color: '#000000', wordWrap: 'break-word' }}>
+                          {item.title}
+                          {item.parentTitle && (
+                            <div style={{ color: '#6B778C', fontSize: '12px', marginTop: '4px' }}>
+                              under "{item.parentTitle}"
+                            </div>
+                          )}
+                          {item.descendantTitles.length > 0 && (
+                            <div style={{ color: '#6B778C', fontSize: '12px', marginTop: '4px' }}>
+                              + {item.descendantTitles.length} child pages
+                            </div>
+                          )}
+                        </td>
+                        <td style={{ padding: '8px', color: item.conflict ? (item.outcome === 'abort' ? '#BF2600' : '#974F00') : '#006644' }}>
+                          {{
+                            skipped: '⏭️ Exists, will skip',
+                            renamed: '✏️ Exists, will rename',
+                            overwritten: '♻️ Exists, will overwrite',
+                            abort: '⛔ Title already exists'
+                          }[item.outcome] || '✅ Will create'}
+                          {item.originalTitle && (
+                            <div style={{ color: '#6B778C', fontSize: '12px', marginTop: '4px' }}>
+                              was "{item.originalTitle}"
+                            </div>
+                          )}
+                          {item.outcome === 'overwritten' && (
+                            <div style={{ color: '#6B778C', fontSize: '12px', marginTop: '4px' }}>
+                              stays where it is, not moved under the chosen parent
+                            </div>
+                          )}
+                          {item.unresolvedPlaceholders.length > 0 && (
+                            <div style={{ color: '#974F00', fontSize: '12px', marginTop: '4px' }}>
+                              Unfilled: {item.unresolvedPlaceholders.map(key => `{{${key}}}`).join(', ')}
+                            </div>
+                          )}
+                        </td>
+                        <td style={{ padding: '8px', color: '#42526E', wordWrap: 'break-word' }}>
+                          {item.excerpt || <span style={{ color: '#97A0AF' }}>(empty page)</span>}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          {/* Save as recipe */}
+          {!fanOutMode && selectedSpace && pageOrganization && (
+            <div style={{
+              backgroundColor: '#F4F5F7',
+              padding: '20px',
+              borderRadius: '3px',
+              marginBottom: '20px',
+              border: '1px solid #DFE1E6'
+            }}>
+              <label style={{
+                display: 'block',
+                fontWeight: 'bold',
+                color: '#000000',
+                marginBottom: '8px',
+                fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+              }}>
+                🧾 Save as Recipe
+              </label>
+              <p style={{
+                margin: '0 0 12px 0',
+                fontSize: '13px',
+                color: '#000000',
+                fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+              }}>
+                Optional. Keep this template, location, titles and options under a name to run again from the Recipes tab.
+                When the titles came from a pattern, the next launch continues it, e.g. Sprint 12 → Sprint 13.
+              </p>
+              <div style={{ display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap' }}>
+                <input
+                  type="text"
+                  value={recipeName}
+                  onChange={(e) => setRecipeName(e.target.value)}
+                  placeholder="Sprint retro pages"
+                  style={{
+                    flex: '1 1 240px',
+                    padding: '8px 12px',
+                    border: '2px solid #DFE1E6',
+                    borderRadius: '3px',
+                    fontSize: '14px',
+                    boxSizing: 'border-box',
+                    fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+                  }}
+                />
+                <label style={{ fontSize: '13px', color: '#000000', cursor: 'pointer', fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif' }}>
+                  <input
+                    type="checkbox"
+                    checked={recipeShared}
+                    onChange={(e) => setRecipeShared(e.target.checked)}
+                    style={{ marginRight: '6px' }}
+                  />
+                  Share with everyone
+                </label>
+                <button
+                  onClick={saveRecipe}
+                  disabled={savingRecipe || !recipeName.trim()}
+                  style={{
+                    padding: '8px 16px',
+                    backgroundColor: savingRecipe || !recipeName.trim() ? '#DFE1E6' : '#0052CC',
+                    color: 'white',
+                    border: 'none',
+                    borderRadius: '3px',
+                    fontSize: '14px',
+                    cursor: savingRecipe || !recipeName.trim() ? 'not-allowed' : 'pointer',
+                    fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+                  }}
+                >
+                  {savingRecipe ? 'Saving...' : activeRecipe?.mine && activeRecipe.name === recipeName.trim() ? 'Update Recipe' : 'Save Recipe'}
+                </button>
+              </div>
+              {recipeMessage && (
+                <p style={{ margin: '8px 0 0 0', fontSize: '13px', color: '#006644', fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif' }}>{recipeMessage}</p>
+              )}
+            </div>
+          )}
+
+          {/* Several spaces: targets, plan, run and per-space results */}
+          {fanOutMode && (
+            <SpaceFanOut spaces={spaces} buildRequest={buildSharedRequest} onError={setError} />
+          )}
+
+          {/* Navigation Buttons */}
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '24px' }}>
+            <button
+              onClick={() => {
+                setCurrentStep(2);
+                setError('');
+              }}
+              style={{
+                padding: '8px 16px',
+                backgroundColor: 'transparent',
+                color: '#0052CC',
+                border: 'none',
+                borderRadius: '3px',
+                fontSize: '14px',
+                cursor: 'pointer',
+                fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif',
+                textDecoration: 'underline'
+              }}
+            >
+              ← Back to Bulk Cloning
+            </button>
+            {!fanOutMode && (
+            <button
+              onClick={() => {
+                devLog('Create Pages button clicked!');
+                if (generationPlan) {
+                  generatePages();
+                } else {
+                  loadGenerationPlan();
+                }
+              }}
+              disabled={generating || loadingPlan || generationPlan?.willAbort || !selectedSpace || 
+                !pageOrganization ||
+                (pageOrganization === 'create-child' && !selectedParentPage) ||
+                (pageOrganization === 'create-parent' && !newParentTitle.trim()) ||
+                !selectedTemplate?.id ||
+                !pageTitles.some(title => title.trim())
+              }
+              style={{
+                padding: '10px 20px',
+                backgroundColor: (generating || loadingPlan || generationPlan?.willAbort || !selectedSpace || 
+                  !pageOrganization ||
+                  (pageOrganization === 'create-child' && !selectedParentPage) ||
+                  (pageOrganization === 'create-parent' && !newParentTitle.trim()) ||
+                  !selectedTemplate?.id ||
+                  !pageTitles.some(title => title.trim())) 
+                  ? '#DFE1E6' : '#0052CC',
+                color: 'white',
+                border: 'none',
+                borderRadius: '3px',
+                fontSize: '14px',
+                fontWeight: '600',
+                cursor: (generating || loadingPlan || generationPlan?.willAbort || !selectedSpace || 
+                  !pageOrganization ||
+                  (pageOrganization === 'create-child' && !selectedParentPage) ||
+                  (pageOrganization === 'create-parent' && !newParentTitle.trim()) ||
+                  !selectedTemplate?.id ||
+                  !pageTitles.some(title => title.trim())) 
+                  ? 'not-allowed' : 'pointer',
+                fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+              }}
+            >
+              {generating ? (
+                <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '8px' }}>
+                  <span>Creating Pages...</span>
                   {generationProgress.total > 0 && (
                     <span>({generationProgress.current}/{generationProgress.total})</span>
                   )}
                 </div>
-              ) : 'Create Pages'}
+              ) : loadingPlan ? '🔄 Checking...' : generationPlan ? 'Confirm & Create Pages' : 'Review Plan'}
             </button>
+            )}
+
+            {/* Resume a run that stopped part-way */}
+            {stalledJobId && !generating && (
+              <button
+                onClick={resumeStalledJob}
+                style={{
+                  padding: '10px 20px',
+                  backgroundColor: '#FF991F',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '3px',
+                  fontSize: '14px',
+                  fontWeight: '600',
+                  cursor: 'pointer',
+                  fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+                }}
+              >
+                ↻ Resume Run
+              </button>
+            )}
 
             {/* Enhanced Progress Display for Bulk Operations */}
-            {generating && generationProgress.total > 1 && (
+            {generating && generationProgress.total > 0 && (
               <div style={{
                 marginTop: '20px',
                 padding: '16px',
@@ -1715,8 +2483,13 @@ const BulkPageCloner = () => {
                   color: '#0052CC',
                   fontSize: '14px'
                 }}>
-                  🚀 Creating {generationProgress.total} pages in optimized batches
+                  🚀 Creating {generationProgress.total} pages
                 </div>
+                {generationProgress.currentTitle && (
+                  <div style={{ marginBottom: '8px', fontSize: '13px', color: '#42526E', wordWrap: 'break-word' }}>
+                    Now creating "{generationProgress.currentTitle}"
+                  </div>
+                )}
                 
                 {/* Progress Bar */}
                 <div style={{
@@ -1741,8 +2514,15 @@ const BulkPageCloner = () => {
                   fontSize: '12px',
                   color: '#6B778C'
                 }}>
-                  <span>Pages: {generationProgress.current}/{generationProgress.total}</span>
-                  <span>{Math.round(generationProgress.percentage)}% Complete</span>
+                  <span>
+                    Pages: {generationProgress.current}/{generationProgress.total}
+                    {' '}· ✅ {generationProgress.createdCount} created
+                    {generationProgress.errorCount > 0 && <span style={{ color: '#BF2600' }}> · ❌ {generationProgress.errorCount} failed</span>}
+                  </span>
+                  <span>
+                    {Math.round(generationProgress.percentage)}% Complete
+                    {generationProgress.secondsLeft !== null && generationProgress.secondsLeft > 0 && ` · ${formatTimeLeft(generationProgress.secondsLeft)}`}
+                  </span>
                 </div>
               </div>
             )}
@@ -1773,6 +2553,94 @@ const BulkPageCloner = () => {
           }}>
             📋 Bulk Cloning
           </h3>
+
+          {/* Descendant tree notice */}
+          {selectedTemplate?.descendantCount > 0 && (
+            <div style={{
+              backgroundColor: '#E6FCFF',
+              border: '1px solid #00B8D9',
+              borderRadius: '3px',
+              padding: '12px',
+              marginBottom: '20px',
+              fontSize: '14px',
+              color: '#000000',
+              fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+            }}>
+              🌳 This template includes {selectedTemplate.descendantCount} child pages. They will be recreated under every generated page, keeping their hierarchy and order.
+            </div>
+          )}
+
+          {/* Attachments notice */}
+          {selectedTemplate?.attachmentCount > 0 && (
+            <div style={{
+              backgroundColor: '#E6FCFF',
+              border: '1px solid #00B8D9',
+              borderRadius: '3px',
+              padding: '12px',
+              marginBottom: '20px',
+              fontSize: '14px',
+              color: '#000000',
+              fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+            }}>
+              📎 The template page has {selectedTemplate.attachmentCount} attachments. They will be copied to every generated page so embedded images and files keep working.
+            </div>
+          )}
+
+          {/* Labels, properties and restrictions carried over from the template page */}
+          {selectedTemplate?.metadata && (selectedTemplate.metadata.labels.length > 0 ||
+            selectedTemplate.metadata.propertyCount > 0 || selectedTemplate.metadata.restricted ||
+            selectedTemplate.metadata.unreadable?.length > 0) && (
+            <div style={{
+              backgroundColor: '#F4F5F7',
+              border: '1px solid #DFE1E6',
+              borderRadius: '3px',
+              padding: '12px',
+              marginBottom: '20px',
+              fontSize: '14px',
+              color: '#000000',
+              fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+            }}>
+              <div style={{ marginBottom: '8px' }}>
+                🏷️ Copy from the template page to every generated page:
+              </div>
+              {[
+                {
+                  key: 'labels',
+                  available: selectedTemplate.metadata.labels.length > 0,
+                  label: `Labels (${selectedTemplate.metadata.labels.join(', ')})`
+                },
+                {
+                  key: 'properties',
+                  available: selectedTemplate.metadata.propertyCount > 0,
+                  label: `Content properties (${selectedTemplate.metadata.propertyCount})`
+                },
+                {
+                  key: 'restrictions',
+                  available: selectedTemplate.metadata.restricted,
+                  label: 'View and edit restrictions'
+                }
+              ].filter(option => option.available).map(option => (
+                <label key={option.key} style={{ display: 'block', marginBottom: '4px', fontSize: '13px', cursor: 'pointer' }}>
+                  <input
+                    type="checkbox"
+                    checked={!!selectedTemplate.carryOver?.[option.key]}
+                    disabled={savingCarryOver}
+                    onChange={(e) => updateCarryOver(option.key, e.target.checked)}
+                    style={{ marginRight: '6px' }}
+                  />
+                  {option.label}
+                </label>
+              ))}
+              <div style={{ marginTop: '4px', fontSize: '12px', color: '#6B778C' }}>
+                Saved with the template. Child pages are not labelled or restricted.
+              </div>
+              {selectedTemplate.metadata.unreadable?.length > 0 && (
+                <div style={{ marginTop: '4px', fontSize: '12px', color: '#974F0C' }}>
+                  ⚠️ You couldn't read the template page's {selectedTemplate.metadata.unreadable.join(' or ')}, so they aren't captured.
+                </div>
+              )}
+            </div>
+          )}
           
 
           
@@ -1794,7 +2662,7 @@ const BulkPageCloner = () => {
               <input
                 type="range"
                 min="1"
-                max="25"
+                max={Math.max(25, pageCount)}
                 value={pageCount}
                 onChange={(e) => updatePageCount(parseInt(e.target.value))}
                 style={{
@@ -1809,24 +2677,309 @@ const BulkPageCloner = () => {
               <span style={{
                 minWidth: '40px',
                 padding: '6px 12px',
-                backgroundColor: '#0052CC',
-                color: 'white',
+                backgroundColor: '#0052CC',
+                color: 'white',
+                borderRadius: '3px',
+                fontWeight: '600',
+                fontSize: '14px',
+                textAlign: 'center'
+              }}>
+                {pageCount}
+              </span>
+            </div>
+            <p style={{
+              margin: '8px 0 0 0',
+              color: '#6B778C',
+              fontSize: '13px',
+              fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+            }}>
+              Choose between 1-25 pages, or import up to {MAX_IMPORT_ROWS} from a CSV/TSV file
+            </p>
+          </div>
+
+          {/* CSV / TSV Import */}
+          <div style={{ marginBottom: '24px' }}>
+            <button
+              onClick={() => setShowImport(!showImport)}
+              style={{
+                padding: '6px 12px',
+                backgroundColor: showImport ? '#DEEBFF' : 'transparent',
+                color: '#0052CC',
+                border: '1px solid #0052CC',
+                borderRadius: '3px',
+                fontSize: '12px',
+                cursor: 'pointer',
+                fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+              }}
+            >
+              📥 Import titles from CSV / TSV
+            </button>
+
+            {showImport && (
+              <div style={{
+                marginTop: '12px',
+                padding: '16px',
+                backgroundColor: '#F8F9FA',
+                border: '1px solid #DFE1E6',
+                borderRadius: '6px'
+              }}>
+                <p style={{
+                  margin: '0 0 12px 0',
+                  color: '#6B778C',
+                  fontSize: '13px',
+                  fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+                }}>
+                  The first row must contain column names. Pick the column used as the page title; every other column becomes a per-page placeholder (e.g. a "Region" column fills {'{{Region}}'}).
+                </p>
+                <input
+                  type="file"
+                  accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values"
+                  onChange={handleImportFile}
+                  style={{ marginBottom: '12px', fontSize: '13px' }}
+                />
+                <textarea
+                  value={importText}
+                  onChange={(e) => setImportText(e.target.value)}
+                  placeholder={'Or paste rows here, e.g.\nCustomer,Region\nAcme,EU\nGlobex,US'}
+                  rows={6}
+                  style={{
+                    width: '100%',
+                    boxSizing: 'border-box',
+                    padding: '8px 12px',
+                    border: '1px solid #DFE1E6',
+                    borderRadius: '3px',
+                    fontSize: '13px',
+                    fontFamily: 'monospace'
+                  }}
+                />
+                <button
+                  onClick={() => parseImportText(importText)}
+                  disabled={!importText.trim()}
+                  style={{
+                    marginTop: '8px',
+                    padding: '6px 12px',
+                    backgroundColor: importText.trim() ? '#0052CC' : '#DFE1E6',
+                    color: 'white',
+                    border: 'none',
+                    borderRadius: '3px',
+                    fontSize: '12px',
+                    cursor: importText.trim() ? 'pointer' : 'not-allowed',
+                    fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+                  }}
+                >
+                  🔍 Read rows
+                </button>
+
+                {parsedImport && parsedImport.headers.length > 0 && (
+                  <div style={{ marginTop: '12px' }}>
+                    <label style={{
+                      display: 'block',
+                      marginBottom: '4px',
+                      fontWeight: '600',
+                      color: '#42526E',
+                      fontSize: '13px',
+                      fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+                    }}>
+                      Title column
+                    </label>
+                    <select
+                      value={importTitleColumn}
+                      onChange={(e) => setImportTitleColumn(e.target.value)}
+                      style={{
+                        padding: '6px 12px',
+                        border: '1px solid #DFE1E6',
+                        borderRadius: '3px',
+                        fontSize: '13px',
+                        fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+                      }}
+                    >
+                      {parsedImport.headers.map(header => (
+                        <option key={header} value={header}>{header}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
+                {importPreview && (
+                  <div style={{ marginTop: '12px', fontSize: '13px', fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif' }}>
+                    <div style={{ color: '#006644', marginBottom: '8px' }}>
+                      ✅ {importPreview.titles.length} valid rows
+                    </div>
+                    {importPreview.errors.length > 0 && (
+                      <div style={{
+                        padding: '8px 12px',
+                        backgroundColor: '#FFEBE6',
+                        border: '1px solid #FF8F73',
+                        borderRadius: '3px',
+                        color: '#BF2600',
+                        marginBottom: '8px'
+                      }}>
+                        <strong>{importPreview.errors.length} rows skipped:</strong>
+                        <ul style={{ margin: '4px 0 0 0', paddingLeft: '18px' }}>
+                          {importPreview.errors.map((err, idx) => (
+                            <li key={idx}>Line {err.line}: {err.message}</li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
+                    <button
+                      onClick={applyImport}
+                      disabled={importPreview.titles.length === 0}
+                      style={{
+                        padding: '6px 12px',
+                        backgroundColor: importPreview.titles.length > 0 ? '#36B37E' : '#DFE1E6',
+                        color: 'white',
+                        border: 'none',
+                        borderRadius: '3px',
+                        fontSize: '12px',
+                        cursor: importPreview.titles.length > 0 ? 'pointer' : 'not-allowed',
+                        fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+                      }}
+                    >
+                      ✓ Use {importPreview.titles.length} imported titles
+                    </button>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+
+          {/* Title Pattern */}
+          <div style={{ marginBottom: '24px' }}>
+            <button
+              onClick={() => setShowTitlePattern(!showTitlePattern)}
+              style={{
+                padding: '6px 12px',
+                backgroundColor: showTitlePattern ? '#DEEBFF' : 'transparent',
+                color: '#0052CC',
+                border: '1px solid #0052CC',
                 borderRadius: '3px',
-                fontWeight: '600',
-                fontSize: '14px',
-                textAlign: 'center'
+                fontSize: '12px',
+                cursor: 'pointer',
+                fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+              }}
+            >
+              🔣 Fill titles from a pattern
+            </button>
+
+            {showTitlePattern && (
+              <div style={{
+                marginTop: '12px',
+                padding: '16px',
+                backgroundColor: '#F8F9FA',
+                border: '1px solid #DFE1E6',
+                borderRadius: '6px',
+                fontSize: '13px',
+                fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
               }}>
-                {pageCount}
-              </span>
-            </div>
-            <p style={{
-              margin: '8px 0 0 0',
-              color: '#6B778C',
-              fontSize: '13px',
-              fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
-            }}>
-              Choose between 1-25 pages
-            </p>
+                <p style={{ margin: '0 0 12px 0', color: '#6B778C' }}>
+                  Page 1 gets the start values, and each next page adds one to <code>{'{n}'}</code> and moves the date on.
+                  Tokens: <code>{'{n}'}</code> counter (<code>{'{n:02}'}</code> pads to 01), <code>{'{date}'}</code> with a
+                  format like <code>{'{date:MMM D}'}</code> or <code>{'{date:YYYY-MM-DD}'}</code>, <code>{'{week}'}</code> ISO
+                  week, <code>{'{quarter}'}</code> and <code>{'{fy}'}</code> fiscal quarter and year. Add days, weeks, months,
+                  quarters or years to a date token with e.g. <code>{'{date+14d:MMM D}'}</code>.
+                </p>
+                <input
+                  type="text"
+                  value={titlePattern.pattern}
+                  onChange={(e) => updateTitlePattern('pattern', e.target.value)}
+                  placeholder="Sprint {n:02} – {date+14d:MMM D}"
+                  style={{
+                    width: '100%',
+                    boxSizing: 'border-box',
+                    padding: '8px 12px',
+                    border: '1px solid #DFE1E6',
+                    borderRadius: '3px',
+                    fontSize: '14px',
+                    fontFamily: 'monospace',
+                    marginBottom: '12px'
+                  }}
+                />
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '12px', marginBottom: '12px' }}>
+                  {[
+                    { key: 'start', label: 'Counter starts at', input: (
+                      <input
+                        type="number"
+                        value={titlePattern.start}
+                        onChange={(e) => updateTitlePattern('start', e.target.value)}
+                        style={{ width: '80px', padding: '6px 8px', border: '1px solid #DFE1E6', borderRadius: '3px', fontSize: '13px' }}
+                      />
+                    ) },
+                    { key: 'startDate', label: 'First date', input: (
+                      <input
+                        type="date"
+                        value={titlePattern.startDate}
+                        onChange={(e) => updateTitlePattern('startDate', e.target.value)}
+                        style={{ padding: '5px 8px', border: '1px solid #DFE1E6', borderRadius: '3px', fontSize: '13px' }}
+                      />
+                    ) },
+                    { key: 'every', label: 'Date moves by', input: (
+                      <select
+                        value={titlePattern.every}
+                        onChange={(e) => updateTitlePattern('every', e.target.value)}
+                        style={{ padding: '6px 8px', border: '1px solid #DFE1E6', borderRadius: '3px', fontSize: '13px' }}
+                      >
+                        {PATTERN_INTERVAL_OPTIONS.map(option => (
+                          <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                      </select>
+                    ) },
+                    { key: 'fiscalYearStartMonth', label: 'Fiscal year starts in', input: (
+                      <select
+                        value={titlePattern.fiscalYearStartMonth}
+                        onChange={(e) => updateTitlePattern('fiscalYearStartMonth', Number(e.target.value))}
+                        style={{ padding: '6px 8px', border: '1px solid #DFE1E6', borderRadius: '3px', fontSize: '13px' }}
+                      >
+                        {MONTH_OPTIONS.map((month, index) => (
+                          <option key={month} value={index + 1}>{month}</option>
+                        ))}
+                      </select>
+                    ) }
+                  ].map(field => (
+                    <label key={field.key} style={{ display: 'flex', flexDirection: 'column', gap: '4px', color: '#42526E', fontWeight: '600' }}>
+                      {field.label}
+                      {field.input}
+                    </label>
+                  ))}
+                </div>
+
+                {patternPreview.error && (
+                  <div style={{ color: '#BF2600', marginBottom: '8px' }}>⚠️ {patternPreview.error}</div>
+                )}
+                {!patternPreview.error && patternPreview.titles.length > 0 && (
+                  <ol style={{
+                    margin: '0 0 12px 0',
+                    padding: '8px 8px 8px 36px',
+                    maxHeight: '200px',
+                    overflowY: 'auto',
+                    backgroundColor: 'white',
+                    border: '1px solid #DFE1E6',
+                    borderRadius: '3px',
+                    color: patternPreview.loading ? '#97A0AF' : '#172B4D'
+                  }}>
+                    {patternPreview.titles.map((title, index) => (
+                      <li key={index}>{title}</li>
+                    ))}
+                  </ol>
+                )}
+                <button
+                  onClick={applyTitlePattern}
+                  disabled={patternPreview.loading || !!patternPreview.error || patternPreview.titles.length !== pageCount}
+                  style={{
+                    padding: '6px 12px',
+                    backgroundColor: patternPreview.loading || patternPreview.error || patternPreview.titles.length !== pageCount ? '#DFE1E6' : '#36B37E',
+                    color: 'white',
+                    border: 'none',
+                    borderRadius: '3px',
+                    fontSize: '12px',
+                    cursor: patternPreview.loading || patternPreview.error || patternPreview.titles.length !== pageCount ? 'not-allowed' : 'pointer',
+                    fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+                  }}
+                >
+                  {patternPreview.loading ? '🔄 Previewing...' : `✓ Use these ${pageCount} titles`}
+                </button>
+              </div>
+            )}
           </div>
 
           {/* Page Titles */}
@@ -1858,76 +3011,26 @@ const BulkPageCloner = () => {
                 >
                   🗑️ Clear All
                 </button>
-                {/* Copy First Title Button - Hidden when autofill suggestion is shown */}
-                {!showAutofillSuggestion && (
-                  <button
-                    onClick={copyFirstTitle}
-                    style={{
-                      padding: '6px 12px',
-                      backgroundColor: '#0052CC',
-                      color: 'white',
-                      border: 'none',
-                      borderRadius: '3px',
-                      fontSize: '12px',
-                      cursor: 'pointer',
-                      fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
-                    }}
-                    disabled={!pageTitles[0] || !pageTitles[0].trim()}
-                  >
-                    📋 Copy First Title to All
-                  </button>
-                )}
+                {/* Copy First Title Button */}
+                <button
+                  onClick={copyFirstTitle}
+                  style={{
+                    padding: '6px 12px',
+                    backgroundColor: '#0052CC',
+                    color: 'white',
+                    border: 'none',
+                    borderRadius: '3px',
+                    fontSize: '12px',
+                    cursor: 'pointer',
+                    fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+                  }}
+                  disabled={!pageTitles[0] || !pageTitles[0].trim()}
+                >
+                  📋 Copy First Title to All
+                </button>
               </div>
             </div>
             
-            {/* Autofill Suggestion */}
-            {showAutofillSuggestion && (
-              <div style={{
-                backgroundColor: '#FFF0B3',
-                border: '1px solid #FFAB00',
-                borderRadius: '6px',
-                padding: '12px',
-                marginBottom: '16px',
-                display: 'flex',
-                alignItems: 'center',
-                justifyContent: 'space-between'
-              }}>
-                <span style={{ color: '#974F00', fontSize: '14px' }}>
-                  🤖 Pattern detected: <strong>{suggestedPattern}</strong>. Continue this pattern?
-                </span>
-                <div style={{ display: 'flex', gap: '8px' }}>
-                  <button
-                    onClick={applyAutofill}
-                    style={{
-                      padding: '6px 12px',
-                      backgroundColor: '#36B37E',
-                      color: 'white',
-                      border: 'none',
-                      borderRadius: '3px',
-                      fontSize: '12px',
-                      cursor: 'pointer'
-                    }}
-                  >
-                    ✓ Apply
-                  </button>
-                  <button
-                    onClick={() => setShowAutofillSuggestion(false)}
-                    style={{
-                      padding: '6px 12px',
-                      backgroundColor: 'transparent',
-                      color: '#974F00',
-                      border: '1px solid #FFAB00',
-                      borderRadius: '3px',
-                      fontSize: '12px',
-                      cursor: 'pointer'
-                    }}
-                  >
-                    ✕ Ignore
-                  </button>
-                </div>
-              </div>
-            )}
-
             {/* Dynamic Title Inputs */}
             <div style={{ display: 'grid', gap: '8px' }}>
               {pageTitles.map((title, index) => (
@@ -1959,6 +3062,119 @@ const BulkPageCloner = () => {
             </div>
           </div>
 
+          {/* Template Placeholders */}
+          {selectedTemplate?.placeholders?.length > 0 && (
+            <div style={{
+              marginBottom: '20px',
+              padding: '16px',
+              backgroundColor: '#F8F9FA',
+              border: '1px solid #DFE1E6',
+              borderRadius: '6px'
+            }}>
+              <label style={{
+                display: 'block',
+                marginBottom: '8px',
+                fontWeight: '600',
+                color: '#42526E',
+                fontSize: '15px',
+                fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+              }}>
+                🧩 Template placeholders
+              </label>
+              <p style={{
+                margin: '0 0 12px 0',
+                color: '#6B778C',
+                fontSize: '13px',
+                fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+              }}>
+                These tokens are replaced on every generated page: {selectedTemplate.placeholders.map(key => `{{${key}}}`).join(', ')}
+              </p>
+
+              {/* Custom placeholder values */}
+              {(selectedTemplate.customPlaceholders || []).map(key => (
+                <div key={key} style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '8px' }}>
+                  <span style={{
+                    minWidth: '140px',
+                    color: '#42526E',
+                    fontSize: '14px',
+                    fontWeight: '600',
+                    fontFamily: 'monospace'
+                  }}>
+                    {`{{${key}}}`}
+                  </span>
+                  <input
+                    type="text"
+                    value={templateVariables[key] || ''}
+                    onChange={(e) => setTemplateVariables(prev => ({ ...prev, [key]: e.target.value }))}
+                    placeholder={`Value for ${key}...`}
+                    style={{
+                      flex: '1',
+                      padding: '8px 12px',
+                      border: '1px solid #DFE1E6',
+                      borderRadius: '3px',
+                      fontSize: '14px',
+                      fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+                    }}
+                  />
+                </div>
+              ))}
+
+              <button
+                onClick={loadPlaceholderPreview}
+                disabled={loadingPlaceholderPreview || !pageTitles.some(title => title.trim())}
+                style={{
+                  marginTop: '8px',
+                  padding: '6px 12px',
+                  backgroundColor: loadingPlaceholderPreview ? '#DFE1E6' : '#0052CC',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '3px',
+                  fontSize: '12px',
+                  cursor: loadingPlaceholderPreview ? 'not-allowed' : 'pointer',
+                  fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+                }}
+              >
+                {loadingPlaceholderPreview ? '🔄 Loading...' : '👁️ Preview values'}
+              </button>
+
+              {/* Per-page values preview */}
+              {placeholderPreview && placeholderPreview.rows.length > 0 && (
+                <div style={{ marginTop: '12px', overflowX: 'auto' }}>
+                  <table style={{
+                    border: '1px solid #DFE1E6',
+                    borderCollapse: 'collapse',
+                    width: '100%',
+                    fontSize: '13px',
+                    fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+                  }}>
+                    <thead>
+                      <tr style={{ backgroundColor: '#F4F5F7' }}>
+                        {placeholderPreview.placeholders.map(key => (
+                          <th key={key} style={{ padding: '8px', textAlign: 'left', color: '#000000', fontFamily: 'monospace' }}>
+                            {`{{${key}}}`}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {placeholderPreview.rows.map((row, idx) => (
+                        <tr key={idx} style={{ borderTop: '1px solid #DFE1E6' }}>
+                          {placeholderPreview.placeholders.map(key => (
+                            <td key={key} style={{ padding: '8px', color: row.values[key] ? '#000000' : '#97A0AF' }}>
+                              {row.values[key] === null
+                                ? 'not set'
+                                : (row.values[key] || (key === 'parent.title' ? 'set in Step 3' : '—'))}
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          )}
+
           {/* Navigation */}
           <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '24px' }}>
             <button
@@ -2091,6 +3307,180 @@ const BulkPageCloner = () => {
                   </li>
                 ))}
               </ul>
+              {completedJob?.jobId && !completedJob.rollback && (
+                <button
+                  onClick={retryFailedPages}
+                  disabled={generating}
+                  style={{
+                    marginTop: '12px',
+                    padding: '8px 16px',
+                    backgroundColor: generating ? '#DFE1E6' : '#DE350B',
+                    color: 'white',
+                    border: 'none',
+                    borderRadius: '3px',
+                    fontSize: '13px',
+                    fontWeight: '600',
+                    cursor: generating ? 'not-allowed' : 'pointer',
+                    fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+                  }}
+                >
+                  {generating
+                    ? `🔄 Retrying... (${generationProgress.current}/${generationProgress.total})`
+                    : `↻ Retry ${generationSuccess.errors.length} failed pages`}
+                </button>
+              )}
+            </div>
+          )}
+
+          {/* Descendant Errors Summary */}
+          {generationSuccess && generationSuccess.descendantErrors && generationSuccess.descendantErrors.length > 0 && (
+            <div style={{
+              marginTop: '16px',
+              padding: '16px',
+              backgroundColor: '#FFFAE6',
+              borderRadius: '3px',
+              border: '1px solid #FFC400'
+            }}>
+              <strong style={{
+                display: 'block',
+                marginBottom: '8px',
+                color: '#974F00',
+                fontSize: '14px',
+                fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+              }}>
+                ⚠️ {generationSuccess.descendantErrors.length} child pages failed to create
+              </strong>
+              <ul style={{
+                margin: 0,
+                paddingLeft: '18px',
+                color: '#974F00',
+                fontSize: '13px',
+                fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+              }}>
+                {generationSuccess.descendantErrors.map((err, idx) => (
+                  <li key={idx} style={{ marginBottom: '6px' }}>
+                    <strong>"{err.title}"</strong> under "{err.parentTitle}" — {err.error || 'Unknown error'}{err.status ? ` (Status ${err.status})` : ''}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {/* Attachment Errors Summary */}
+          {generationSuccess && generationSuccess.attachmentErrors && generationSuccess.attachmentErrors.length > 0 && (
+            <div style={{
+              marginTop: '16px',
+              padding: '16px',
+              backgroundColor: '#FFFAE6',
+              borderRadius: '3px',
+              border: '1px solid #FFC400'
+            }}>
+              <strong style={{
+                display: 'block',
+                marginBottom: '8px',
+                color: '#974F00',
+                fontSize: '14px',
+                fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+              }}>
+                📎 {generationSuccess.attachmentErrors.length} attachments could not be copied
+              </strong>
+              <ul style={{
+                margin: 0,
+                paddingLeft: '18px',
+                color: '#974F00',
+                fontSize: '13px',
+                fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+              }}>
+                {generationSuccess.attachmentErrors.map((err, idx) => (
+                  <li key={idx} style={{ marginBottom: '6px' }}>
+                    <strong>"{err.filename}"</strong> on "{err.title}" — {err.error || 'Unknown error'}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {/* Label, Property and Restriction Errors Summary */}
+          {generationSuccess && generationSuccess.metadataErrors && generationSuccess.metadataErrors.length > 0 && (
+            <div style={{
+              marginTop: '16px',
+              padding: '16px',
+              backgroundColor: '#FFFAE6',
+              borderRadius: '3px',
+              border: '1px solid #FFC400'
+            }}>
+              <strong style={{
+                display: 'block',
+                marginBottom: '8px',
+                color: '#974F00',
+                fontSize: '14px',
+                fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+              }}>
+                🏷️ {generationSuccess.metadataErrors.length} labels, properties or restrictions could not be applied
+              </strong>
+              <ul style={{
+                margin: 0,
+                paddingLeft: '18px',
+                color: '#974F00',
+                fontSize: '13px',
+                fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+              }}>
+                {generationSuccess.metadataErrors.map((err, idx) => (
+                  <li key={idx} style={{ marginBottom: '6px' }}>
+                    <strong>{err.kind}</strong> on "{err.title}" — {err.error || 'Unknown error'}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {/* Skipped Pages Summary */}
+          {generationSuccess && generationSuccess.skipped && generationSuccess.skipped.length > 0 && (
+            <div style={{
+              marginTop: '16px',
+              marginBottom: '16px',
+              padding: '16px',
+              backgroundColor: '#F4F5F7',
+              borderRadius: '3px',
+              border: '1px solid #DFE1E6'
+            }}>
+              <strong style={{
+                display: 'block',
+                marginBottom: '8px',
+                color: '#42526E',
+                fontSize: '14px',
+                fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+              }}>
+                ⏭️ {generationSuccess.skipped.length} pages skipped because the title already exists
+              </strong>
+              <ul style={{
+                margin: 0,
+                paddingLeft: '18px',
+                color: '#42526E',
+                fontSize: '13px',
+                fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
+              }}>
+                {generationSuccess.skipped.map(item => (
+                  <li key={item.index} style={{ marginBottom: '6px' }}>
+                    <strong>"{item.title}"</strong>
+                    {item.existingPage?.url && (
+                      <>
+                        {' — '}
+                        <a
+                          href="#"
+                          onClick={(e) => {
+                            e.preventDefault();
+                            router.open(item.existingPage.url);
+                          }}
+                          style={{ color: '#0052CC', textDecoration: 'none' }}
+                        >
+                          Open existing page
+                        </a>
+                      </>
+                    )}
+                  </li>
+                ))}
+              </ul>
             </div>
           )}
 
@@ -2136,7 +3526,14 @@ const BulkPageCloner = () => {
                         marginLeft: '8px',
                         fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif'
                       }}>
-                        has been created successfully! Click to{' '}
+                        {page.outcome === 'overwritten'
+                          ? 'has been overwritten with a new version!'
+                          : page.outcome === 'renamed'
+                            ? `has been created (renamed from "${page.originalTitle}")!`
+                            : 'has been created successfully!'}
+                        {page.parentTitle ? ` under "${page.parentTitle}"` : ''}
+                        {page.descendantCount ? ` (+${page.descendantCount} child pages)` : ''}
+                        {page.attachments ? ` 📎 ${page.attachments.copied}/${page.attachments.total} attachments` : ''} Click to{' '}
                       </span>
                       <a 
                         href="#"
@@ -2180,6 +3577,11 @@ const BulkPageCloner = () => {
             </div>
           )}
 
+          {/* Rollback */}
+          {completedJob && (
+            <RollbackPanel jobId={completedJob.jobId} initialRollback={completedJob.rollback} />
+          )}
+
           {/* Create Another Button */}
           <button
             onClick={() => {
@@ -2191,6 +3593,22 @@ const BulkPageCloner = () => {
               setSelectedParentPage('');
               setNewParentTitle('');
               setPageOrganization('create-child');
+              setTemplateVariables({});
+              setPlaceholderPreview(null);
+              setStalledJobId(null);
+              setCompletedJob(null);
+              setPageVariables([]);
+              setPageParents([]);
+              setParsedImport(null);
+              setImportText('');
+              setActiveRecipe(null);
+              setTitlePattern(emptyTitlePattern());
+              setAppliedTitlePattern(null);
+              setShowTitlePattern(false);
+              setRecipeName('');
+              setRecipeShared(false);
+              setRecipeMessage('');
+              setKnownParent(null);
               setError('');
             }}
             style={{
@@ -2209,6 +3627,8 @@ const BulkPageCloner = () => {
           </button>
         </div>
       )}
+      </>
+      )}
       </div>
     </div>
   );
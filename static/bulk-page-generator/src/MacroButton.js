@@ -0,0 +1,178 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { invoke, router } from '@forge/bridge';
+
+const FONT_FAMILY = '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif';
+
+// How often unfinished runs are polled
+const RUN_POLL_INTERVAL_MS = 2000;
+
+const buttonStyle = (disabled) => ({
+  padding: '8px 16px',
+  backgroundColor: disabled ? '#DFE1E6' : '#0052CC',
+  color: 'white',
+  border: 'none',
+  borderRadius: '3px',
+  fontSize: '14px',
+  fontWeight: '600',
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  fontFamily: FONT_FAMILY
+});
+
+const inputStyle = {
+  width: '100%',
+  boxSizing: 'border-box',
+  padding: '6px 8px',
+  border: '1px solid #DFE1E6',
+  borderRadius: '3px',
+  fontSize: '13px',
+  fontFamily: FONT_FAMILY
+};
+
+// What a viewer sees in a configured macro: one button that runs the saved preset, an
+// optional prompt for the template's placeholders, and the pages the button has created
+const MacroButton = ({ config }) => {
+  const [template, setTemplate] = useState(null);
+  const [loaded, setLoaded] = useState(false);
+  const [runs, setRuns] = useState([]);
+  const [showPrompt, setShowPrompt] = useState(false);
+  const [variables, setVariables] = useState({});
+  const [starting, setStarting] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadPreset = useCallback(async () => {
+    try {
+      const result = await invoke('getMacroPreset');
+      if (!result.success) {
+        throw new Error(result.error || 'Unknown error');
+      }
+      setTemplate(result.template);
+      setRuns(result.runs);
+    } catch (err) {
+      setError('Failed to load this button: ' + err.message);
+    } finally {
+      setLoaded(true);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPreset();
+  }, [loadPreset]);
+
+  // Keep polling while a run is still creating its page
+  const hasRunningRun = runs.some(run => !run.finished);
+  useEffect(() => {
+    if (!hasRunningRun) return undefined;
+    const intervalId = setInterval(loadPreset, RUN_POLL_INTERVAL_MS);
+    return () => clearInterval(intervalId);
+  }, [hasRunningRun, loadPreset]);
+
+  const placeholders = template?.customPlaceholders || [];
+
+  const runPreset = async () => {
+    setStarting(true);
+    setError('');
+    try {
+      const result = await invoke('runMacroPreset', { variables });
+      if (!result.success) {
+        throw new Error(result.error || 'Unknown error');
+      }
+      setRuns(prev => [result.run, ...prev]);
+      setShowPrompt(false);
+      setVariables({});
+    } catch (err) {
+      setError('Failed to create the page: ' + err.message);
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const handleClick = () => {
+    if (config.promptForVariables && placeholders.length > 0) {
+      setShowPrompt(true);
+    } else {
+      runPreset();
+    }
+  };
+
+  if (!loaded) {
+    return <div style={{ padding: '8px', fontFamily: FONT_FAMILY, color: '#6B778C', fontSize: '13px' }}>Loading...</div>;
+  }
+
+  return (
+    <div style={{ padding: '8px', fontFamily: FONT_FAMILY, fontSize: '13px' }}>
+      {!showPrompt && (
+        <button onClick={handleClick} disabled={starting || !template} style={buttonStyle(starting || !template)}>
+          {starting ? '🔄 Starting...' : config.buttonLabel || 'Create page'}
+        </button>
+      )}
+
+      {!template && !error && <p style={{ margin: '8px 0 0 0', color: '#BF2600' }}>⚠️ The template for this button no longer exists.</p>}
+      {error && <p style={{ margin: '8px 0 0 0', color: '#BF2600' }}>⚠️ {error}</p>}
+
+      {/* Placeholder prompt */}
+      {showPrompt && (
+        <div style={{
+          padding: '12px',
+          backgroundColor: '#F4F5F7',
+          border: '1px solid #DFE1E6',
+          borderRadius: '3px',
+          maxWidth: '480px'
+        }}>
+          {placeholders.map(key => (
+            <label key={key} style={{ display: 'block', marginBottom: '8px' }}>
+              <span style={{ display: 'block', marginBottom: '4px', fontWeight: '600' }}>{key}</span>
+              <input
+                value={variables[key] || ''}
+                onChange={(e) => setVariables(prev => ({ ...prev, [key]: e.target.value }))}
+                style={inputStyle}
+              />
+            </label>
+          ))}
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <button onClick={runPreset} disabled={starting} style={buttonStyle(starting)}>
+              {starting ? '🔄 Starting...' : config.buttonLabel || 'Create page'}
+            </button>
+            <button
+              onClick={() => setShowPrompt(false)}
+              style={{ background: 'none', border: 'none', color: '#0052CC', cursor: 'pointer', fontSize: '13px', fontFamily: FONT_FAMILY }}
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Pages this button created, newest first */}
+      {runs.length > 0 && (
+        <ul style={{ margin: '12px 0 0 0', paddingLeft: '18px', color: '#42526E' }}>
+          {runs.map(run => (
+            <li key={run.jobId} style={{ marginBottom: '4px' }}>
+              {!run.finished && <span>🔄 Creating page...</span>}
+              {run.finished && run.pages.map(page => (
+                <a
+                  key={page.id}
+                  href="#"
+                  onClick={(e) => {
+                    e.preventDefault();
+                    router.open(page.url);
+                  }}
+                  style={{ color: '#0052CC', textDecoration: 'none' }}
+                >
+                  {page.title}
+                </a>
+              ))}
+              {run.finished && run.pages.length === 0 && (
+                <span style={{ color: '#BF2600' }}>❌ {run.error || 'No page was created'}</span>
+              )}
+              <span style={{ color: '#6B778C' }}>
+                {' · '}{run.startedBy || 'Unknown user'}, {new Date(run.startedAt).toLocaleString()}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default MacroButton;
@@ -0,0 +1,198 @@
+import React, { useState, useEffect } from 'react';
+import { invoke, view } from '@forge/bridge';
+import PageTreePicker from './PageTreePicker';
+
+const FONT_FAMILY = '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif';
+
+const EMPTY_CONFIG = {
+  templateId: '',
+  spaceKey: '',
+  pageOrganization: 'create-child',
+  parentPageId: '',
+  parentPageTitle: '',
+  newParentTitle: '',
+  titlePattern: '',
+  buttonLabel: '',
+  promptForVariables: false
+};
+
+const inputStyle = {
+  width: '100%',
+  boxSizing: 'border-box',
+  padding: '6px 8px',
+  border: '1px solid #DFE1E6',
+  borderRadius: '3px',
+  fontSize: '13px',
+  fontFamily: FONT_FAMILY
+};
+
+const labelStyle = { display: 'block', marginBottom: '4px', fontWeight: '600', fontSize: '13px', color: '#000000' };
+
+// Macro config panel: the preset a viewer runs with one click. It is saved in the macro's
+// own parameters, so each macro on a page can have its own.
+const MacroConfig = ({ initialConfig }) => {
+  const [form, setForm] = useState({ ...EMPTY_CONFIG, ...initialConfig });
+  const [templates, setTemplates] = useState([]);
+  const [spaces, setSpaces] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const loadOptions = async () => {
+      try {
+        const [templatesResult, spacesResult] = await Promise.all([invoke('getUserTemplates'), invoke('getAllSpaces')]);
+        if (templatesResult.error) {
+          throw new Error(templatesResult.error);
+        }
+        if (!spacesResult.success) {
+          throw new Error(spacesResult.error || 'Unknown error');
+        }
+        setTemplates(templatesResult.templates);
+        setSpaces(spacesResult.spaces);
+      } catch (err) {
+        setError('Failed to load templates and spaces: ' + err.message);
+      }
+    };
+    loadOptions();
+  }, []);
+
+  const updateForm = (key, value) => setForm(prev => ({ ...prev, [key]: value }));
+
+  const saveConfig = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      const result = await invoke('validateMacroPreset', { config: form });
+      if (!result.success) {
+        throw new Error(result.error || 'Unknown error');
+      }
+      await view.submit({ config: form });
+    } catch (err) {
+      setError('Failed to save the macro: ' + err.message);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div style={{ padding: '20px', fontFamily: FONT_FAMILY }}>
+      <h3 style={{ margin: '0 0 8px 0', color: '#000000', fontWeight: 'bold', fontSize: '20px' }}>
+        🔘 Generate Button
+      </h3>
+      <p style={{ margin: '0 0 16px 0', fontSize: '13px', color: '#42526E' }}>
+        Readers of this page get a button that creates a page from the template below, as themselves, with one click.
+      </p>
+
+      {error && (
+        <div style={{
+          backgroundColor: '#FFEBE6',
+          border: '1px solid #FF8F73',
+          color: '#BF2600',
+          padding: '12px',
+          borderRadius: '3px',
+          marginBottom: '16px'
+        }}>
+          {error}
+        </div>
+      )}
+
+      <div style={{
+        backgroundColor: '#F4F5F7',
+        padding: '20px',
+        borderRadius: '3px',
+        border: '1px solid #DFE1E6',
+        display: 'grid',
+        gridTemplateColumns: 'repeat(auto-fit, minmax(240px, 1fr))',
+        gap: '12px'
+      }}>
+        <label>
+          <span style={labelStyle}>Template</span>
+          <select value={form.templateId} onChange={(e) => updateForm('templateId', e.target.value)} style={inputStyle}>
+            <option value="">Select a template...</option>
+            {templates.map(template => (
+              <option key={template.id} value={template.id}>{template.name}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <span style={labelStyle}>Space</span>
+          <select
+            value={form.spaceKey}
+            onChange={(e) => setForm(prev => ({ ...prev, spaceKey: e.target.value, parentPageId: '', parentPageTitle: '' }))}
+            style={inputStyle}
+          >
+            <option value="">Select a space...</option>
+            {spaces.map(space => (
+              <option key={space.key} value={space.key}>{space.name}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <span style={labelStyle}>Create pages</span>
+          <select value={form.pageOrganization} onChange={(e) => updateForm('pageOrganization', e.target.value)} style={inputStyle}>
+            <option value="create-child">Under an existing page</option>
+            <option value="create-parent">Under a new parent page</option>
+            <option value="create-as-parent">At the top level</option>
+          </select>
+        </label>
+        {form.pageOrganization === 'create-parent' && (
+          <label>
+            <span style={labelStyle}>New parent title</span>
+            <input value={form.newParentTitle} onChange={(e) => updateForm('newParentTitle', e.target.value)} placeholder="Retros {{date}}" style={inputStyle} />
+          </label>
+        )}
+        <label>
+          <span style={labelStyle}>Page title</span>
+          <input value={form.titlePattern} onChange={(e) => updateForm('titlePattern', e.target.value)} placeholder="Retro – {{date}}" style={inputStyle} />
+        </label>
+        <label>
+          <span style={labelStyle}>Button text</span>
+          <input value={form.buttonLabel} onChange={(e) => updateForm('buttonLabel', e.target.value)} placeholder="Create page" style={inputStyle} />
+        </label>
+        {form.spaceKey && form.pageOrganization === 'create-child' && (
+          <div style={{ gridColumn: '1 / -1' }}>
+            <span style={labelStyle}>Parent page</span>
+            <PageTreePicker
+              spaceKey={form.spaceKey}
+              value={form.parentPageId}
+              valueTitle={form.parentPageTitle}
+              onChange={(pageId, page) => setForm(prev => ({ ...prev, parentPageId: pageId, parentPageTitle: page?.title || '' }))}
+            />
+          </div>
+        )}
+        <label style={{ gridColumn: '1 / -1', fontSize: '13px', cursor: 'pointer' }}>
+          <input
+            type="checkbox"
+            checked={form.promptForVariables}
+            onChange={(e) => updateForm('promptForVariables', e.target.checked)}
+            style={{ marginRight: '6px' }}
+          />
+          Ask for the template's placeholder values before creating the page
+        </label>
+        <p style={{ gridColumn: '1 / -1', margin: 0, fontSize: '12px', color: '#6B778C' }}>
+          {'{{date}}'} is filled with the day the button is clicked, and placeholders with the values entered. If the title
+          already exists, the new page gets a suffix like "(1)".
+        </p>
+        <div style={{ gridColumn: '1 / -1', display: 'flex', gap: '8px' }}>
+          <button
+            onClick={saveConfig}
+            disabled={saving}
+            style={{
+              padding: '8px 16px',
+              backgroundColor: saving ? '#DFE1E6' : '#0052CC',
+              color: 'white',
+              border: 'none',
+              borderRadius: '3px',
+              fontSize: '14px',
+              cursor: saving ? 'not-allowed' : 'pointer',
+              fontFamily: FONT_FAMILY
+            }}
+          >
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MacroConfig;
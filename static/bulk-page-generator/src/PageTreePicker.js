@@ -0,0 +1,254 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { invoke } from '@forge/bridge';
+
+const FONT_FAMILY = '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif';
+
+// How long typing settles before the space is searched
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Tree level of the space's top-level pages
+const ROOT = 'root';
+
+const linkButtonStyle = {
+  background: 'none',
+  border: 'none',
+  color: '#0052CC',
+  cursor: 'pointer',
+  fontSize: '13px',
+  fontFamily: FONT_FAMILY,
+  padding: '2px 4px'
+};
+
+const rowStyle = (selected) => ({
+  display: 'flex',
+  alignItems: 'center',
+  padding: '3px 6px',
+  borderRadius: '3px',
+  backgroundColor: selected ? '#DEEBFF' : 'transparent',
+  cursor: 'pointer'
+});
+
+// Parent page picker for one space: the page tree loads a level at a time as branches are
+// opened, and typing searches every page in the space. `valueTitle` names a page that was
+// selected before the picker opened.
+const PageTreePicker = ({ spaceKey, value, valueTitle, onChange }) => {
+  // Loaded tree levels by parent ID (ROOT for the top): { pages, nextCursor, loading, error }
+  const [levels, setLevels] = useState({});
+  const [expanded, setExpanded] = useState({});
+  const [query, setQuery] = useState('');
+  const [searchResults, setSearchResults] = useState(null);
+  const [searchCursor, setSearchCursor] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [searchError, setSearchError] = useState('');
+  const [selectedPage, setSelectedPage] = useState(null);
+  // Only the latest search may update the results, and only the current space the tree
+  const searchRequestRef = useRef(0);
+  const spaceKeyRef = useRef(spaceKey);
+  spaceKeyRef.current = spaceKey;
+
+  const loadLevel = async (parentKey, cursor = null) => {
+    const requestedSpaceKey = spaceKey;
+    setLevels(prev => ({
+      ...prev,
+      [parentKey]: { pages: [], nextCursor: null, ...prev[parentKey], loading: true, error: '' }
+    }));
+    try {
+      const result = await invoke('getPageTreeChildren', {
+        spaceKey,
+        parentId: parentKey === ROOT ? null : parentKey,
+        cursor
+      });
+      if (spaceKeyRef.current !== requestedSpaceKey) return;
+      if (!result.success) {
+        throw new Error(result.error || 'Unknown error');
+      }
+      setLevels(prev => ({
+        ...prev,
+        [parentKey]: {
+          pages: [...(cursor ? prev[parentKey]?.pages || [] : []), ...result.pages],
+          nextCursor: result.nextCursor,
+          loading: false,
+          error: ''
+        }
+      }));
+    } catch (err) {
+      if (spaceKeyRef.current !== requestedSpaceKey) return;
+      setLevels(prev => ({
+        ...prev,
+        [parentKey]: { ...prev[parentKey], loading: false, error: err.message }
+      }));
+    }
+  };
+
+  // A new space starts from a fresh tree
+  useEffect(() => {
+    setLevels({});
+    setExpanded({});
+    setQuery('');
+    setSelectedPage(null);
+    if (spaceKey) {
+      loadLevel(ROOT);
+    }
+  }, [spaceKey]);
+
+  const runSearch = async (cursor = null) => {
+    const requestId = ++searchRequestRef.current;
+    setSearching(true);
+    setSearchError('');
+    try {
+      const result = await invoke('searchParentPages', { spaceKey, query, cursor });
+      if (requestId !== searchRequestRef.current) return;
+      if (!result.success) {
+        throw new Error(result.error || 'Unknown error');
+      }
+      setSearchResults(prev => [...(cursor ? prev || [] : []), ...result.pages]);
+      setSearchCursor(result.nextCursor);
+    } catch (err) {
+      if (requestId !== searchRequestRef.current) return;
+      setSearchError(err.message);
+    } finally {
+      if (requestId === searchRequestRef.current) {
+        setSearching(false);
+      }
+    }
+  };
+
+  useEffect(() => {
+    if (!query.trim()) {
+      searchRequestRef.current++;
+      setSearchResults(null);
+      setSearching(false);
+      return undefined;
+    }
+    const timeoutId = setTimeout(() => runSearch(), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timeoutId);
+  }, [query, spaceKey]);
+
+  const selectPage = (page) => {
+    setSelectedPage(page);
+    onChange(page.id, page);
+  };
+
+  const toggleExpanded = (pageId) => {
+    const opening = !expanded[pageId];
+    setExpanded(prev => ({ ...prev, [pageId]: opening }));
+    if (opening && !levels[pageId]) {
+      loadLevel(pageId);
+    }
+  };
+
+  const renderLevel = (parentKey, depth) => {
+    const level = levels[parentKey];
+    if (!level) return null;
+    const indent = { paddingLeft: `${depth * 18 + 6}px` };
+
+    return (
+      <>
+        {level.pages.map(page => (
+          <React.Fragment key={page.id}>
+            <div style={{ ...rowStyle(page.id === value), ...indent }} onClick={() => selectPage(page)}>
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  toggleExpanded(page.id);
+                }}
+                title={expanded[page.id] ? 'Collapse' : 'Show child pages'}
+                style={{ ...linkButtonStyle, color: '#42526E', width: '22px' }}
+              >
+                {expanded[page.id] ? '▾' : '▸'}
+              </button>
+              <span style={{ color: '#172B4D' }}>{page.title}</span>
+            </div>
+            {expanded[page.id] && renderLevel(page.id, depth + 1)}
+          </React.Fragment>
+        ))}
+        {level.loading && (
+          <div style={{ ...indent, padding: '3px 6px', color: '#6B778C' }}>Loading pages...</div>
+        )}
+        {!level.loading && !level.error && level.pages.length === 0 && (
+          <div style={{ ...indent, padding: '3px 6px', color: '#6B778C' }}>
+            {parentKey === ROOT ? 'No pages in this space.' : 'No child pages.'}
+          </div>
+        )}
+        {level.error && (
+          <div style={{ ...indent, padding: '3px 6px', color: '#BF2600' }}>⚠️ {level.error}</div>
+        )}
+        {level.nextCursor && !level.loading && (
+          <div style={indent}>
+            <button onClick={() => loadLevel(parentKey, level.nextCursor)} style={linkButtonStyle}>Show more pages</button>
+          </div>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <div style={{ fontFamily: FONT_FAMILY, fontSize: '14px' }}>
+      <input
+        type="text"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder="Type to search every page in this space..."
+        style={{
+          width: '100%',
+          boxSizing: 'border-box',
+          padding: '8px 12px',
+          border: '1px solid #FFC400',
+          borderRadius: '3px',
+          fontSize: '14px',
+          fontFamily: FONT_FAMILY,
+          marginBottom: '8px'
+        }}
+      />
+
+      <div style={{
+        maxHeight: '280px',
+        overflowY: 'auto',
+        border: '1px solid #DFE1E6',
+        borderRadius: '3px',
+        backgroundColor: 'white',
+        padding: '4px 0'
+      }}>
+        {searchResults === null ? renderLevel(ROOT, 0) : (
+          <>
+            {searchResults.map(page => (
+              <div key={page.id} style={rowStyle(page.id === value)} onClick={() => selectPage(page)}>
+                <span>
+                  <span style={{ color: '#172B4D' }}>{page.title}</span>
+                  {page.path.length > 0 && (
+                    <span style={{ color: '#6B778C', fontSize: '12px' }}> · {page.path.join(' › ')}</span>
+                  )}
+                </span>
+              </div>
+            ))}
+            {searching && <div style={{ padding: '3px 6px', color: '#6B778C' }}>Searching...</div>}
+            {!searching && !searchError && searchResults.length === 0 && (
+              <div style={{ padding: '3px 6px', color: '#6B778C' }}>No pages match "{query}".</div>
+            )}
+            {searchError && <div style={{ padding: '3px 6px', color: '#BF2600' }}>⚠️ {searchError}</div>}
+            {searchCursor && !searching && (
+              <button onClick={() => runSearch(searchCursor)} style={linkButtonStyle}>Show more matches</button>
+            )}
+          </>
+        )}
+        {searchResults === null && searching && (
+          <div style={{ padding: '3px 6px', color: '#6B778C' }}>Searching...</div>
+        )}
+      </div>
+
+      {value && selectedPage?.id === value && (
+        <p style={{ margin: '8px 0 0 0', fontSize: '13px', color: '#000000' }}>
+          Selected: <strong>{selectedPage.title}</strong>
+          {selectedPage.path?.length > 0 && <span style={{ color: '#6B778C' }}> ({selectedPage.path.join(' › ')})</span>}
+        </p>
+      )}
+      {value && selectedPage?.id !== value && valueTitle && (
+        <p style={{ margin: '8px 0 0 0', fontSize: '13px', color: '#000000' }}>
+          Selected: <strong>{valueTitle}</strong>
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default PageTreePicker;
@@ -0,0 +1,257 @@
+import React, { useState, useEffect } from 'react';
+import { invoke, router } from '@forge/bridge';
+
+const FONT_FAMILY = '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif';
+
+const STATE_LABELS = {
+  update: { text: '🔁 Will update', color: '#006644' },
+  edited: { text: '✋ Edited by hand', color: '#974F00' },
+  unchanged: { text: '✅ Up to date', color: '#6B778C' },
+  missing: { text: '🗑️ Page gone', color: '#6B778C' }
+};
+
+const OUTCOME_LABELS = {
+  updated: '✅ Updated',
+  skipped: '⏭️ Skipped (edited by hand)',
+  unchanged: '✅ Already up to date',
+  unlinked: '🗑️ Page gone, unlinked',
+  failed: '❌ Failed'
+};
+
+const DIFF_COLORS = {
+  added: { backgroundColor: '#E3FCEF', color: '#006644', prefix: '+ ' },
+  removed: { backgroundColor: '#FFEBE6', color: '#BF2600', prefix: '− ' },
+  same: { backgroundColor: 'transparent', color: '#42526E', prefix: '  ' }
+};
+
+const buttonStyle = (disabled, color = '#0052CC') => ({
+  padding: '8px 16px',
+  backgroundColor: disabled ? '#DFE1E6' : color,
+  color: 'white',
+  border: 'none',
+  borderRadius: '3px',
+  fontSize: '13px',
+  fontWeight: '600',
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  fontFamily: FONT_FAMILY
+});
+
+const DiffView = ({ diff }) => (
+  <div style={{
+    fontFamily: 'SFMono-Regular, Consolas, "Liberation Mono", Menlo, monospace',
+    fontSize: '12px',
+    border: '1px solid #DFE1E6',
+    borderRadius: '3px',
+    margin: '6px 0 4px 0',
+    maxHeight: '240px',
+    overflowY: 'auto',
+    backgroundColor: 'white'
+  }}>
+    {diff.markupOnly && (
+      <div style={{ padding: '6px 8px', color: '#6B778C' }}>Only markup changes (formatting or macro settings).</div>
+    )}
+    {diff.lines.map((line, idx) => (line.type === 'skip' ? (
+      <div key={idx} style={{ padding: '2px 8px', color: '#97A0AF' }}>⋯ {line.count} unchanged lines</div>
+    ) : (
+      <div key={idx} style={{
+        padding: '2px 8px',
+        whiteSpace: 'pre-wrap',
+        backgroundColor: DIFF_COLORS[line.type].backgroundColor,
+        color: DIFF_COLORS[line.type].color
+      }}>
+        {DIFF_COLORS[line.type].prefix}{line.text}
+      </div>
+    )))}
+    {diff.truncated && <div style={{ padding: '2px 8px', color: '#97A0AF' }}>⋯ diff truncated</div>}
+  </div>
+);
+
+// Push a template's current content to the pages generated from it: preview the
+// per-page diff, then update each page as a new version
+const PropagatePanel = ({ template, onClose }) => {
+  const [preview, setPreview] = useState([]);
+  const [total, setTotal] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [force, setForce] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+  const [propagating, setPropagating] = useState(false);
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState('');
+
+  // The backend checks pages in time-boxed slices, so keep asking until it has seen them all
+  useEffect(() => {
+    let cancelled = false;
+    const loadPreview = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        let offset = 0;
+        let pages = [];
+        do {
+          const result = await invoke('previewTemplatePropagation', { templateId: template.id, offset });
+          if (!result.success) {
+            throw new Error(result.error || 'Unknown error');
+          }
+          if (cancelled) return;
+          pages = [...pages, ...result.pages];
+          setPreview(pages);
+          setTotal(result.total);
+          offset = result.nextOffset;
+        } while (offset !== null);
+      } catch (err) {
+        if (!cancelled) setError('Failed to check generated pages: ' + err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    loadPreview();
+    return () => {
+      cancelled = true;
+    };
+  }, [template.id]);
+
+  const targets = preview.filter(page => page.state === 'update' || (force && page.state === 'edited'));
+  const editedCount = preview.filter(page => page.state === 'edited').length;
+
+  const runPropagation = async () => {
+    setPropagating(true);
+    setError('');
+    try {
+      const pageIds = targets.map(page => page.pageId);
+      let offset = 0;
+      let collected = [];
+      do {
+        const result = await invoke('propagateTemplate', { templateId: template.id, pageIds, force, offset });
+        if (!result.success) {
+          throw new Error(result.error || 'Unknown error');
+        }
+        collected = [...collected, ...result.results];
+        setResults(collected);
+        offset = result.nextOffset;
+      } while (offset !== null);
+    } catch (err) {
+      setError('Failed to update pages: ' + err.message);
+    } finally {
+      setPropagating(false);
+    }
+  };
+
+  return (
+    <div style={{
+      marginTop: '16px',
+      padding: '16px',
+      backgroundColor: '#F4F5F7',
+      borderRadius: '3px',
+      border: '1px solid #DFE1E6',
+      fontFamily: FONT_FAMILY,
+      fontSize: '13px'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+        <strong style={{ color: '#172B4D', fontSize: '14px' }}>🔁 Propagate "{template.name}" to generated pages</strong>
+        <button
+          onClick={onClose}
+          style={{ background: 'none', border: 'none', color: '#0052CC', cursor: 'pointer', fontSize: '13px', fontFamily: FONT_FAMILY }}
+        >
+          Close
+        </button>
+      </div>
+      <p style={{ margin: '0 0 12px 0', color: '#42526E' }}>
+        Re-renders the saved template with the values each page was created with. Re-sync the template first to pick up
+        changes to its source page. Page titles are not changed.
+        {template.descendantCount > 0 && ' Only the generated pages are updated; the child pages created under them from the template\'s child pages are not.'}
+      </p>
+
+      {error && <p style={{ margin: '0 0 12px 0', color: '#BF2600' }}>⚠️ {error}</p>}
+
+      {loading && (
+        <p style={{ margin: '0 0 12px 0', color: '#6B778C' }}>
+          🔄 Checking generated pages{total !== null ? ` (${preview.length}/${total})` : ''}...
+        </p>
+      )}
+
+      {!loading && total === 0 && (
+        <p style={{ margin: '0 0 12px 0', color: '#6B778C' }}>No pages generated from this template are linked yet.</p>
+      )}
+
+      {preview.length > 0 && (
+        <ul style={{ margin: '0 0 12px 0', paddingLeft: 0, listStyle: 'none' }}>
+          {preview.map(page => {
+            const result = results?.find(entry => entry.pageId === page.pageId);
+            return (
+              <li key={page.pageId} style={{ padding: '6px 0', borderTop: '1px solid #DFE1E6' }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', gap: '8px' }}>
+                  <span>
+                    {page.url ? (
+                      <a
+                        href="#"
+                        onClick={(e) => {
+                          e.preventDefault();
+                          router.open(page.url);
+                        }}
+                        style={{ color: '#0052CC', textDecoration: 'none' }}
+                      >
+                        {page.title}
+                      </a>
+                    ) : <span style={{ color: '#6B778C' }}>Page {page.pageId}</span>}
+                    <span style={{ color: '#6B778C' }}> · {page.spaceKey}</span>
+                    {page.diff && (
+                      <button
+                        onClick={() => setExpandedId(expandedId === page.pageId ? null : page.pageId)}
+                        style={{ background: 'none', border: 'none', color: '#0052CC', cursor: 'pointer', fontSize: '12px', fontFamily: FONT_FAMILY }}
+                      >
+                        {expandedId === page.pageId ? 'Hide changes' : `Show changes (+${page.diff.added} −${page.diff.removed})`}
+                      </button>
+                    )}
+                  </span>
+                  <span style={{ color: result ? (result.outcome === 'failed' ? '#BF2600' : '#006644') : STATE_LABELS[page.state].color, whiteSpace: 'nowrap' }}>
+                    {result ? OUTCOME_LABELS[result.outcome] : STATE_LABELS[page.state].text}
+                  </span>
+                </div>
+                {page.state === 'edited' && !result && (
+                  <div style={{ color: '#974F00', fontSize: '12px' }}>
+                    Now at version {page.currentVersion}; the app last wrote version {page.linkedVersion}.
+                  </div>
+                )}
+                {result?.error && <div style={{ color: '#BF2600', fontSize: '12px' }}>{result.error}</div>}
+                {expandedId === page.pageId && page.diff && <DiffView diff={page.diff} />}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {!loading && preview.length > 0 && !results && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: '16px', flexWrap: 'wrap' }}>
+          {editedCount > 0 && (
+            <label style={{ cursor: 'pointer', color: '#974F00' }}>
+              <input
+                type="checkbox"
+                checked={force}
+                onChange={(e) => setForce(e.target.checked)}
+                style={{ marginRight: '6px' }}
+              />
+              Also overwrite the {editedCount} pages edited by hand
+            </label>
+          )}
+          <button
+            onClick={runPropagation}
+            disabled={propagating || targets.length === 0}
+            style={buttonStyle(propagating || targets.length === 0, force ? '#DE350B' : '#0052CC')}
+          >
+            {propagating ? '🔄 Updating...' : `Update ${targets.length} pages`}
+          </button>
+        </div>
+      )}
+
+      {results && !propagating && (
+        <p style={{ margin: 0, color: '#42526E' }}>
+          {results.filter(entry => entry.outcome === 'updated').length} pages updated
+          {results.some(entry => entry.outcome === 'failed') ? `, ${results.filter(entry => entry.outcome === 'failed').length} failed` : ''}.
+          Each update is a new page version, so it can be reverted from the page history.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default PropagatePanel;
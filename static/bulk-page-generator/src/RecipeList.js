@@ -0,0 +1,168 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { invoke } from '@forge/bridge';
+
+const FONT_FAMILY = '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif';
+
+const linkButtonStyle = {
+  padding: '4px 8px',
+  backgroundColor: 'transparent',
+  color: '#0052CC',
+  border: 'none',
+  fontSize: '13px',
+  cursor: 'pointer',
+  fontFamily: FONT_FAMILY
+};
+
+const formatDateTime = (iso) => (iso ? new Date(iso).toLocaleString() : '—');
+
+// "Sprint 12, Sprint 13" or "Sprint 12 … Sprint 17 (6 pages)"
+const describeTitles = (titles) => (titles.length <= 2
+  ? titles.join(', ')
+  : `${titles[0]} … ${titles[titles.length - 1]} (${titles.length} pages)`);
+
+// Saved wizard runs: launch one to open Step 3 with the titles that follow its last run
+const RecipeList = ({ onLaunch }) => {
+  const [recipes, setRecipes] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [launchingId, setLaunchingId] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadRecipes = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const result = await invoke('getRecipes');
+      if (!result.success) {
+        throw new Error(result.error || 'Unknown error');
+      }
+      setRecipes(result.recipes);
+    } catch (err) {
+      setError('Failed to load recipes: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadRecipes();
+  }, [loadRecipes]);
+
+  const runAction = async (resolverName, payload) => {
+    setError('');
+    try {
+      const result = await invoke(resolverName, payload);
+      if (!result.success) {
+        throw new Error(result.error || 'Unknown error');
+      }
+      await loadRecipes();
+    } catch (err) {
+      setError('Recipe update failed: ' + err.message);
+    }
+  };
+
+  const launchRecipe = async (recipe) => {
+    setLaunchingId(recipe.id);
+    setError('');
+    try {
+      const result = await invoke('launchRecipe', { recipeId: recipe.id });
+      if (!result.success) {
+        throw new Error(result.error || 'Unknown error');
+      }
+      onLaunch(result.recipe, result.template, result.titles);
+    } catch (err) {
+      setError('Failed to launch recipe: ' + err.message);
+      setLaunchingId(null);
+    }
+  };
+
+  return (
+    <div style={{ padding: '20px', fontFamily: FONT_FAMILY }}>
+      <h3 style={{ margin: '0 0 8px 0', color: '#000000', fontWeight: 'bold', fontSize: '22px' }}>
+        🧾 Recipes
+      </h3>
+      <p style={{ margin: '0 0 16px 0', fontSize: '13px', color: '#42526E' }}>
+        Save a run from Step 3 of the Bulk Cloner to repeat it here. Launching a recipe opens the plan for you to confirm.
+        Recipes whose titles came from a pattern continue it where the last run stopped (Sprint 12, 13 → Sprint 14, 15).
+      </p>
+
+      {error && (
+        <div style={{
+          backgroundColor: '#FFEBE6',
+          border: '1px solid #FF8F73',
+          color: '#BF2600',
+          padding: '12px',
+          borderRadius: '3px',
+          marginBottom: '16px'
+        }}>
+          {error}
+        </div>
+      )}
+
+      {loading && recipes.length === 0 && <p style={{ color: '#6B778C', fontSize: '14px' }}>🔄 Loading recipes...</p>}
+
+      {!loading && recipes.length === 0 && (
+        <p style={{ color: '#6B778C', fontSize: '14px' }}>No recipes yet.</p>
+      )}
+
+      {recipes.length > 0 && (
+        <table style={{ border: '1px solid #DFE1E6', borderCollapse: 'collapse', width: '100%', fontSize: '13px' }}>
+          <thead>
+            <tr style={{ backgroundColor: '#F4F5F7' }}>
+              <th style={{ padding: '8px', textAlign: 'left' }}>Recipe</th>
+              <th style={{ padding: '8px', textAlign: 'left' }}>Last titles</th>
+              <th style={{ padding: '8px', textAlign: 'left' }}>Last run</th>
+              <th style={{ padding: '8px', textAlign: 'right' }}>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {recipes.map(recipe => (
+              <tr key={recipe.id} style={{ borderTop: '1px solid #DFE1E6', verticalAlign: 'top' }}>
+                <td style={{ padding: '8px' }}>
+                  <strong>{recipe.name}</strong>{recipe.shared && ' (shared)'}
+                  <div style={{ color: '#6B778C', fontSize: '12px' }}>
+                    {recipe.templateName || 'Missing template'} in {recipe.spaceKey}
+                    {!recipe.mine && ` · by ${recipe.createdBy?.displayName || 'Unknown user'}`}
+                  </div>
+                </td>
+                <td style={{ padding: '8px' }}>
+                  {describeTitles(recipe.titles)}
+                  {recipe.titlePattern && (
+                    <div style={{ color: '#6B778C', fontSize: '12px', fontFamily: 'monospace' }}>{recipe.titlePattern.pattern}</div>
+                  )}
+                </td>
+                <td style={{ padding: '8px' }}>{formatDateTime(recipe.lastRunAt)}</td>
+                <td style={{ padding: '8px', textAlign: 'right', whiteSpace: 'nowrap' }}>
+                  <button
+                    onClick={() => launchRecipe(recipe)}
+                    disabled={launchingId !== null}
+                    style={{ ...linkButtonStyle, fontWeight: '600' }}
+                  >
+                    {launchingId === recipe.id ? 'Opening...' : 'Launch'}
+                  </button>
+                  {recipe.mine && (
+                    <>
+                      <button
+                        onClick={() => runAction('setRecipeShared', { recipeId: recipe.id, shared: !recipe.shared })}
+                        style={linkButtonStyle}
+                      >
+                        {recipe.shared ? 'Unshare' : 'Share'}
+                      </button>
+                      <button
+                        onClick={() => runAction('deleteRecipe', { recipeId: recipe.id })}
+                        style={{ ...linkButtonStyle, color: '#DE350B' }}
+                      >
+                        Delete
+                      </button>
+                    </>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default RecipeList;
@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import { invoke } from '@forge/bridge';
+
+const FONT_FAMILY = '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif';
+
+// "Roll back this run" for a finished bulk run: trashes the pages it created that
+// nobody has edited since, and lists anything that was kept and why.
+const RollbackPanel = ({ jobId, initialRollback = null, onRolledBack }) => {
+  const [rollback, setRollback] = useState(initialRollback);
+  const [confirming, setConfirming] = useState(false);
+  const [rollingBack, setRollingBack] = useState(false);
+  const [error, setError] = useState('');
+
+  // The backend works in time-boxed slices, so keep calling until it reports completion
+  const runRollback = async () => {
+    setConfirming(false);
+    setRollingBack(true);
+    setError('');
+    try {
+      let result;
+      do {
+        result = await invoke('rollbackBulkJob', { jobId });
+        if (!result.success) {
+          throw new Error(result.error || 'Rollback failed');
+        }
+        setRollback(result);
+      } while (result.status === 'partial');
+
+      if (onRolledBack) {
+        onRolledBack(result);
+      }
+    } catch (err) {
+      setError('Failed to roll back run: ' + err.message);
+    } finally {
+      setRollingBack(false);
+    }
+  };
+
+  const completed = rollback?.status === 'completed';
+
+  return (
+    <div style={{
+      marginTop: '16px',
+      marginBottom: '24px',
+      padding: '16px',
+      backgroundColor: '#F4F5F7',
+      borderRadius: '3px',
+      border: '1px solid #DFE1E6',
+      fontFamily: FONT_FAMILY
+    }}>
+      <strong style={{ display: 'block', marginBottom: '8px', color: '#172B4D', fontSize: '14px' }}>
+        ↩️ Roll back this run
+      </strong>
+
+      {!completed && (
+        <p style={{ margin: '0 0 12px 0', fontSize: '13px', color: '#42526E' }}>
+          Moves the pages this run created to the space trash. Pages edited since the run, and pages that were
+          overwritten rather than created, are left alone.
+        </p>
+      )}
+
+      {error && (
+        <p style={{ margin: '0 0 12px 0', fontSize: '13px', color: '#BF2600' }}>⚠️ {error}</p>
+      )}
+
+      {rollback && (
+        <div style={{ marginBottom: '12px', fontSize: '13px', color: '#42526E' }}>
+          <div style={{ marginBottom: '6px' }}>
+            {completed ? '✅ Rollback finished' : '🔄 Rolling back...'}: {rollback.trashed?.length || 0} pages moved to trash
+            {rollback.kept?.length ? `, ${rollback.kept.length} kept` : ''}
+          </div>
+          {rollback.kept?.length > 0 && (
+            <ul style={{ margin: 0, paddingLeft: '18px', color: '#974F00' }}>
+              {rollback.kept.map(page => (
+                <li key={page.id} style={{ marginBottom: '4px' }}>
+                  <strong>"{page.title}"</strong> — {page.reason}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {!completed && (confirming ? (
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '13px', color: '#BF2600' }}>
+          <span>Move the created pages to trash?</span>
+          <button
+            onClick={runRollback}
+            style={{
+              padding: '6px 12px',
+              backgroundColor: '#DE350B',
+              color: 'white',
+              border: 'none',
+              borderRadius: '3px',
+              fontSize: '13px',
+              cursor: 'pointer',
+              fontFamily: FONT_FAMILY
+            }}
+          >
+            Yes, roll back
+          </button>
+          <button
+            onClick={() => setConfirming(false)}
+            style={{
+              padding: '6px 12px',
+              backgroundColor: 'transparent',
+              color: '#0052CC',
+              border: 'none',
+              fontSize: '13px',
+              cursor: 'pointer',
+              fontFamily: FONT_FAMILY
+            }}
+          >
+            Cancel
+          </button>
+        </div>
+      ) : (
+        <button
+          onClick={() => setConfirming(true)}
+          disabled={rollingBack}
+          style={{
+            padding: '8px 16px',
+            backgroundColor: rollingBack ? '#DFE1E6' : 'white',
+            color: '#DE350B',
+            border: '1px solid #DE350B',
+            borderRadius: '3px',
+            fontSize: '13px',
+            fontWeight: '500',
+            cursor: rollingBack ? 'not-allowed' : 'pointer',
+            fontFamily: FONT_FAMILY
+          }}
+        >
+          {rollingBack ? '🔄 Rolling back...' : rollback ? 'Continue rollback' : 'Roll back this run'}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default RollbackPanel;
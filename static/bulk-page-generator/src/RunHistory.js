@@ -0,0 +1,327 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { invoke, router } from '@forge/bridge';
+import RollbackPanel from './RollbackPanel';
+
+const FONT_FAMILY = '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif';
+
+const STATUS_LABELS = {
+  queued: '⏳ Queued',
+  running: '🔄 Running',
+  completed: '✅ Completed',
+  failed: '❌ Failed'
+};
+
+const TARGET_LABELS = {
+  'create-child': 'Under',
+  'create-parent': 'New parent',
+  'create-as-parent': 'Top level',
+  'per-page-parent': 'Per-page parents'
+};
+
+const formatDateTime = (iso) => (iso ? new Date(iso).toLocaleString() : '—');
+
+const selectStyle = {
+  padding: '6px 8px',
+  border: '1px solid #DFE1E6',
+  borderRadius: '3px',
+  fontSize: '13px',
+  fontFamily: FONT_FAMILY
+};
+
+// Pages, errors and rollback of one expanded run
+const RunDetails = ({ run, onRolledBack }) => (
+  <>
+    <div style={{ marginBottom: '8px', color: '#42526E' }}>
+      Run <code>{run.jobId}</code> · template <code>{run.template.id}</code>
+      {run.template.sourcePageId ? <> · source page <code>{run.template.sourcePageId}</code></> : null}
+      {run.target.parentPageId ? <> · parent <code>{run.target.parentPageId}</code></> : null}
+      {' '}· finished {formatDateTime(run.completedAt)}
+    </div>
+
+    <strong>Pages ({run.titles.length} requested)</strong>
+    <ul style={{ margin: '4px 0 8px 0', paddingLeft: '18px' }}>
+      {run.createdPages.map(page => (
+        <li key={page.id} style={{ marginBottom: '4px' }}>
+          <a
+            href="#"
+            onClick={(e) => {
+              e.preventDefault();
+              router.open(page.url);
+            }}
+            style={{ color: '#0052CC', textDecoration: 'none' }}
+          >
+            {page.title}
+          </a>
+          <span style={{ color: '#6B778C' }}>
+            {' '}(ID {page.id}{page.outcome && page.outcome !== 'created' ? `, ${page.outcome}` : ''}
+            {page.descendantIds.length ? `, +${page.descendantIds.length} child pages` : ''})
+          </span>
+        </li>
+      ))}
+    </ul>
+
+    {run.errors.length > 0 && (
+      <>
+        <strong style={{ color: '#BF2600' }}>Errors</strong>
+        <ul style={{ margin: '4px 0 8px 0', paddingLeft: '18px', color: '#BF2600' }}>
+          {run.errors.map((err, idx) => (
+            <li key={idx} style={{ marginBottom: '4px' }}>
+              {err.title ? <strong>"{err.title}" — </strong> : null}
+              {err.error || 'Unknown error'}{err.status ? ` (Status ${err.status})` : ''}
+            </li>
+          ))}
+        </ul>
+      </>
+    )}
+
+    {(run.canRollBack || run.rollback) && (
+      <RollbackPanel jobId={run.jobId} initialRollback={run.rollback} onRolledBack={onRolledBack} />
+    )}
+  </>
+);
+
+// Audit log of every bulk run: who ran which template, where, and what was created
+const RunHistory = () => {
+  const [runs, setRuns] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [filterOptions, setFilterOptions] = useState({ users: [], spaces: [] });
+  const [filters, setFilters] = useState({ accountId: '', spaceKey: '', from: '', to: '' });
+  const [offset, setOffset] = useState(0);
+  const [limit, setLimit] = useState(25);
+  const [expandedJobId, setExpandedJobId] = useState(null);
+  const [details, setDetails] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadHistory = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const result = await invoke('getRunHistory', { ...filters, offset });
+      if (!result.success) {
+        throw new Error(result.error || 'Unknown error');
+      }
+      setRuns(result.runs);
+      setTotal(result.total);
+      setLimit(result.limit);
+      setFilterOptions(result.filters);
+    } catch (err) {
+      setError('Failed to load run history: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, offset]);
+
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory]);
+
+  // A run's pages and errors are only loaded when its row is expanded
+  const loadDetails = async (jobId) => {
+    setDetails({ jobId, run: null, error: '' });
+    try {
+      const result = await invoke('getRunDetails', { jobId });
+      if (!result.success) {
+        throw new Error(result.error || 'Unknown error');
+      }
+      setDetails({ jobId, run: result.run, error: '' });
+    } catch (err) {
+      setDetails({ jobId, run: null, error: 'Failed to load this run: ' + err.message });
+    }
+  };
+
+  const toggleRun = (jobId) => {
+    if (expandedJobId === jobId) {
+      setExpandedJobId(null);
+      return;
+    }
+    setExpandedJobId(jobId);
+    loadDetails(jobId);
+  };
+
+  const handleRolledBack = () => {
+    loadHistory();
+    loadDetails(expandedJobId);
+  };
+
+  const updateFilter = (key, value) => {
+    setOffset(0);
+    setFilters(prev => ({ ...prev, [key]: value }));
+  };
+
+  return (
+    <div style={{ padding: '20px', fontFamily: FONT_FAMILY }}>
+      <h3 style={{ margin: '0 0 16px 0', color: '#000000', fontWeight: 'bold', fontSize: '22px' }}>
+        📜 Run History
+      </h3>
+
+      {/* Filters */}
+      <div style={{
+        display: 'flex',
+        flexWrap: 'wrap',
+        gap: '12px',
+        alignItems: 'flex-end',
+        marginBottom: '16px',
+        padding: '12px',
+        backgroundColor: '#F4F5F7',
+        borderRadius: '3px',
+        fontSize: '13px'
+      }}>
+        <label>
+          <div style={{ marginBottom: '4px', fontWeight: '600' }}>User</div>
+          <select value={filters.accountId} onChange={(e) => updateFilter('accountId', e.target.value)} style={selectStyle}>
+            <option value="">All users</option>
+            {filterOptions.users.map(user => (
+              <option key={user.accountId} value={user.accountId}>{user.displayName}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <div style={{ marginBottom: '4px', fontWeight: '600' }}>Space</div>
+          <select value={filters.spaceKey} onChange={(e) => updateFilter('spaceKey', e.target.value)} style={selectStyle}>
+            <option value="">All spaces</option>
+            {filterOptions.spaces.map(space => (
+              <option key={space.key} value={space.key}>{space.name}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <div style={{ marginBottom: '4px', fontWeight: '600' }}>From</div>
+          <input type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} style={selectStyle} />
+        </label>
+        <label>
+          <div style={{ marginBottom: '4px', fontWeight: '600' }}>To</div>
+          <input type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} style={selectStyle} />
+        </label>
+        <button
+          onClick={loadHistory}
+          disabled={loading}
+          style={{
+            padding: '6px 12px',
+            backgroundColor: '#0052CC',
+            color: 'white',
+            border: 'none',
+            borderRadius: '3px',
+            fontSize: '13px',
+            cursor: loading ? 'not-allowed' : 'pointer',
+            fontFamily: FONT_FAMILY
+          }}
+        >
+          {loading ? '🔄 Loading...' : 'Refresh'}
+        </button>
+      </div>
+
+      {error && (
+        <div style={{
+          backgroundColor: '#FFEBE6',
+          border: '1px solid #FF8F73',
+          color: '#BF2600',
+          padding: '12px',
+          borderRadius: '3px',
+          marginBottom: '16px'
+        }}>
+          {error}
+        </div>
+      )}
+
+      {!loading && runs.length === 0 && !error && (
+        <p style={{ color: '#6B778C', fontSize: '14px' }}>No runs match these filters.</p>
+      )}
+
+      {runs.length > 0 && (
+        <table style={{
+          border: '1px solid #DFE1E6',
+          borderCollapse: 'collapse',
+          width: '100%',
+          fontSize: '13px'
+        }}>
+          <thead>
+            <tr style={{ backgroundColor: '#F4F5F7' }}>
+              <th style={{ padding: '8px', textAlign: 'left' }}>When</th>
+              <th style={{ padding: '8px', textAlign: 'left' }}>User</th>
+              <th style={{ padding: '8px', textAlign: 'left' }}>Template</th>
+              <th style={{ padding: '8px', textAlign: 'left' }}>Target</th>
+              <th style={{ padding: '8px', textAlign: 'left' }}>Result</th>
+            </tr>
+          </thead>
+          <tbody>
+            {runs.map(run => (
+              <React.Fragment key={run.jobId}>
+                <tr
+                  onClick={() => toggleRun(run.jobId)}
+                  style={{ borderTop: '1px solid #DFE1E6', cursor: 'pointer', verticalAlign: 'top' }}
+                >
+                  <td style={{ padding: '8px', color: '#42526E' }}>
+                    {expandedJobId === run.jobId ? '▾' : '▸'} {formatDateTime(run.createdAt)}
+                  </td>
+                  <td style={{ padding: '8px' }}>{run.user.displayName || run.user.accountId || 'Unknown'}</td>
+                  <td style={{ padding: '8px' }}>
+                    {run.template.name}
+                    {run.template.sourcePageTitle && (
+                      <div style={{ color: '#6B778C', fontSize: '12px' }}>from "{run.template.sourcePageTitle}"</div>
+                    )}
+                  </td>
+                  <td style={{ padding: '8px' }}>
+                    {run.space.name}
+                    <div style={{ color: '#6B778C', fontSize: '12px' }}>
+                      {TARGET_LABELS[run.target.mode] || run.target.mode}
+                      {run.target.parentTitle ? ` "${run.target.parentTitle}"` : ''}
+                      {run.target.parentCount ? ` (${run.target.parentCount})` : ''}
+                    </div>
+                  </td>
+                  <td style={{ padding: '8px' }}>
+                    {STATUS_LABELS[run.status] || run.status}
+                    <div style={{ color: '#6B778C', fontSize: '12px' }}>
+                      {run.createdCount} created{run.errorCount ? `, ${run.errorCount} errors` : ''}
+                      {run.rolledBack ? ', rolled back' : ''}
+                    </div>
+                  </td>
+                </tr>
+                {expandedJobId === run.jobId && (
+                  <tr>
+                    <td colSpan={5} style={{ padding: '12px 16px', backgroundColor: '#FAFBFC' }}>
+                      {details?.jobId === run.jobId && details.error && (
+                        <div style={{ color: '#BF2600' }}>{details.error}</div>
+                      )}
+                      {details?.jobId === run.jobId && !details.run && !details.error && (
+                        <div style={{ color: '#6B778C' }}>🔄 Loading...</div>
+                      )}
+                      {details?.jobId === run.jobId && details.run && (
+                        <RunDetails run={details.run} onRolledBack={handleRolledBack} />
+                      )}
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {/* Pagination */}
+      {total > limit && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginTop: '12px', fontSize: '13px' }}>
+          <button
+            onClick={() => setOffset(Math.max(0, offset - limit))}
+            disabled={offset === 0 || loading}
+            style={{ ...selectStyle, cursor: offset === 0 ? 'not-allowed' : 'pointer' }}
+          >
+            ← Newer
+          </button>
+          <span style={{ color: '#6B778C' }}>
+            {offset + 1}–{Math.min(offset + limit, total)} of {total}
+          </span>
+          <button
+            onClick={() => setOffset(offset + limit)}
+            disabled={offset + limit >= total || loading}
+            style={{ ...selectStyle, cursor: offset + limit >= total ? 'not-allowed' : 'pointer' }}
+          >
+            Older →
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RunHistory;
@@ -0,0 +1,420 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { invoke, router } from '@forge/bridge';
+
+const FONT_FAMILY = '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const EMPTY_FORM = {
+  scheduleId: null,
+  name: '',
+  templateId: '',
+  spaceKey: '',
+  pageOrganization: 'create-child',
+  parentPageId: '',
+  newParentTitle: '',
+  titlePattern: '',
+  frequency: 'weekly',
+  weekday: 1,
+  dayOfMonth: 1,
+  hour: 9
+};
+
+const RUN_STATUS_LABELS = {
+  queued: '⏳ Queued',
+  running: '🔄 Running',
+  completed: '✅ Completed',
+  failed: '❌ Failed'
+};
+
+const inputStyle = {
+  width: '100%',
+  boxSizing: 'border-box',
+  padding: '6px 8px',
+  border: '1px solid #DFE1E6',
+  borderRadius: '3px',
+  fontSize: '13px',
+  fontFamily: FONT_FAMILY
+};
+
+const labelStyle = { display: 'block', marginBottom: '4px', fontWeight: '600', fontSize: '13px', color: '#000000' };
+
+const linkButtonStyle = {
+  padding: '4px 8px',
+  backgroundColor: 'transparent',
+  color: '#0052CC',
+  border: 'none',
+  fontSize: '13px',
+  cursor: 'pointer',
+  fontFamily: FONT_FAMILY
+};
+
+const formatDateTime = (iso) => (iso ? new Date(iso).toLocaleString() : '—');
+
+// Recurring generation: e.g. every Monday create "Standup – {{date}}" under a page from a template
+const ScheduleManager = () => {
+  const [schedules, setSchedules] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [spaces, setSpaces] = useState([]);
+  const [parentPages, setParentPages] = useState([]);
+  const [form, setForm] = useState(null); // null when the editor is closed
+  const [expandedId, setExpandedId] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadSchedules = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const result = await invoke('getSchedules');
+      if (!result.success) {
+        throw new Error(result.error || 'Unknown error');
+      }
+      setSchedules(result.schedules);
+    } catch (err) {
+      setError('Failed to load schedules: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSchedules();
+  }, [loadSchedules]);
+
+  // Templates and spaces are only needed once the editor opens
+  const editorOpen = !!form;
+  useEffect(() => {
+    if (!editorOpen) return;
+    const loadOptions = async () => {
+      try {
+        const [templatesResult, spacesResult] = await Promise.all([invoke('getUserTemplates'), invoke('getAllSpaces')]);
+        if (templatesResult.error) {
+          throw new Error(templatesResult.error);
+        }
+        if (!spacesResult.success) {
+          throw new Error(spacesResult.error || 'Unknown error');
+        }
+        setTemplates(templatesResult.templates);
+        setSpaces(spacesResult.spaces);
+      } catch (err) {
+        setError('Failed to load templates and spaces: ' + err.message);
+      }
+    };
+    loadOptions();
+  }, [editorOpen]);
+
+  const formSpaceKey = form?.spaceKey;
+  useEffect(() => {
+    if (!formSpaceKey) {
+      setParentPages([]);
+      return;
+    }
+    invoke('getParentPageOptions', { spaceKey: formSpaceKey })
+      .then(result => setParentPages(result.pages || []))
+      .catch(() => setParentPages([]));
+  }, [formSpaceKey]);
+
+  const updateForm = (key, value) => setForm(prev => ({ ...prev, [key]: value }));
+
+  const editSchedule = (schedule) => {
+    setForm({
+      ...EMPTY_FORM,
+      ...schedule,
+      scheduleId: schedule.id,
+      parentPageId: schedule.parentPageId || '',
+      newParentTitle: schedule.newParentTitle || ''
+    });
+  };
+
+  const saveForm = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      const result = await invoke('saveSchedule', form);
+      if (!result.success) {
+        throw new Error(result.error || 'Unknown error');
+      }
+      setForm(null);
+      await loadSchedules();
+    } catch (err) {
+      setError('Failed to save schedule: ' + err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const runAction = async (resolverName, payload) => {
+    setError('');
+    try {
+      const result = await invoke(resolverName, payload);
+      if (!result.success) {
+        throw new Error(result.error || 'Unknown error');
+      }
+      await loadSchedules();
+    } catch (err) {
+      setError('Schedule update failed: ' + err.message);
+    }
+  };
+
+  return (
+    <div style={{ padding: '20px', fontFamily: FONT_FAMILY }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+        <h3 style={{ margin: 0, color: '#000000', fontWeight: 'bold', fontSize: '22px' }}>
+          🗓️ Schedules
+        </h3>
+        {!form && (
+          <button
+            onClick={() => setForm(EMPTY_FORM)}
+            style={{
+              padding: '8px 16px',
+              backgroundColor: '#0052CC',
+              color: 'white',
+              border: 'none',
+              borderRadius: '3px',
+              fontSize: '14px',
+              cursor: 'pointer',
+              fontFamily: FONT_FAMILY
+            }}
+          >
+            + New Schedule
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div style={{
+          backgroundColor: '#FFEBE6',
+          border: '1px solid #FF8F73',
+          color: '#BF2600',
+          padding: '12px',
+          borderRadius: '3px',
+          marginBottom: '16px'
+        }}>
+          {error}
+        </div>
+      )}
+
+      {/* Create / edit form */}
+      {form && (
+        <div style={{
+          backgroundColor: '#F4F5F7',
+          padding: '20px',
+          borderRadius: '3px',
+          marginBottom: '20px',
+          border: '1px solid #DFE1E6',
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fit, minmax(240px, 1fr))',
+          gap: '12px'
+        }}>
+          <label>
+            <span style={labelStyle}>Name</span>
+            <input value={form.name} onChange={(e) => updateForm('name', e.target.value)} placeholder="Weekly standup notes" style={inputStyle} />
+          </label>
+          <label>
+            <span style={labelStyle}>Template</span>
+            <select value={form.templateId} onChange={(e) => updateForm('templateId', e.target.value)} style={inputStyle}>
+              <option value="">Select a template...</option>
+              {templates.map(template => (
+                <option key={template.id} value={template.id}>{template.name}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            <span style={labelStyle}>Space</span>
+            <select
+              value={form.spaceKey}
+              onChange={(e) => setForm(prev => ({ ...prev, spaceKey: e.target.value, parentPageId: '' }))}
+              style={inputStyle}
+            >
+              <option value="">Select a space...</option>
+              {spaces.map(space => (
+                <option key={space.key} value={space.key}>{space.name}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            <span style={labelStyle}>Create pages</span>
+            <select value={form.pageOrganization} onChange={(e) => updateForm('pageOrganization', e.target.value)} style={inputStyle}>
+              <option value="create-child">Under an existing page</option>
+              <option value="create-parent">Under a new parent page</option>
+              <option value="create-as-parent">At the top level</option>
+            </select>
+          </label>
+          {form.pageOrganization === 'create-child' && (
+            <label>
+              <span style={labelStyle}>Parent page</span>
+              <select value={form.parentPageId} onChange={(e) => updateForm('parentPageId', e.target.value)} style={inputStyle}>
+                <option value="">Select a parent page...</option>
+                {parentPages.map(page => (
+                  <option key={page.id} value={page.id}>{page.title}</option>
+                ))}
+              </select>
+            </label>
+          )}
+          {form.pageOrganization === 'create-parent' && (
+            <label>
+              <span style={labelStyle}>New parent title</span>
+              <input value={form.newParentTitle} onChange={(e) => updateForm('newParentTitle', e.target.value)} placeholder="Standups {{date}}" style={inputStyle} />
+            </label>
+          )}
+          <label>
+            <span style={labelStyle}>Page title</span>
+            <input value={form.titlePattern} onChange={(e) => updateForm('titlePattern', e.target.value)} placeholder="Standup – {{date}}" style={inputStyle} />
+          </label>
+          <label>
+            <span style={labelStyle}>Repeat</span>
+            <select value={form.frequency} onChange={(e) => updateForm('frequency', e.target.value)} style={inputStyle}>
+              <option value="daily">Daily</option>
+              <option value="weekly">Weekly</option>
+              <option value="monthly">Monthly</option>
+              <option value="quarterly">Quarterly</option>
+            </select>
+          </label>
+          {form.frequency === 'weekly' && (
+            <label>
+              <span style={labelStyle}>On</span>
+              <select value={form.weekday} onChange={(e) => updateForm('weekday', Number(e.target.value))} style={inputStyle}>
+                {WEEKDAYS.map((day, index) => (
+                  <option key={day} value={index}>{day}</option>
+                ))}
+              </select>
+            </label>
+          )}
+          {(form.frequency === 'monthly' || form.frequency === 'quarterly') && (
+            <label>
+              <span style={labelStyle}>Day of month</span>
+              <input
+                type="number"
+                min="1"
+                max="31"
+                value={form.dayOfMonth}
+                onChange={(e) => updateForm('dayOfMonth', Number(e.target.value))}
+                style={inputStyle}
+              />
+            </label>
+          )}
+          <label>
+            <span style={labelStyle}>Hour (UTC)</span>
+            <input
+              type="number"
+              min="0"
+              max="23"
+              value={form.hour}
+              onChange={(e) => updateForm('hour', Number(e.target.value))}
+              style={inputStyle}
+            />
+          </label>
+          <p style={{ gridColumn: '1 / -1', margin: 0, fontSize: '12px', color: '#6B778C' }}>
+            {'{{date}}'} is filled with the scheduled date. If a page with the same title already exists, that run skips it.
+          </p>
+          <div style={{ gridColumn: '1 / -1', display: 'flex', gap: '8px' }}>
+            <button
+              onClick={saveForm}
+              disabled={saving}
+              style={{
+                padding: '8px 16px',
+                backgroundColor: saving ? '#DFE1E6' : '#0052CC',
+                color: 'white',
+                border: 'none',
+                borderRadius: '3px',
+                fontSize: '14px',
+                cursor: saving ? 'not-allowed' : 'pointer',
+                fontFamily: FONT_FAMILY
+              }}
+            >
+              {saving ? 'Saving...' : form.scheduleId ? 'Save Changes' : 'Create Schedule'}
+            </button>
+            <button onClick={() => setForm(null)} style={linkButtonStyle}>Cancel</button>
+          </div>
+        </div>
+      )}
+
+      {!loading && schedules.length === 0 && !form && (
+        <p style={{ color: '#6B778C', fontSize: '14px' }}>No schedules yet.</p>
+      )}
+
+      {schedules.length > 0 && (
+        <table style={{ border: '1px solid #DFE1E6', borderCollapse: 'collapse', width: '100%', fontSize: '13px' }}>
+          <thead>
+            <tr style={{ backgroundColor: '#F4F5F7' }}>
+              <th style={{ padding: '8px', textAlign: 'left' }}>Schedule</th>
+              <th style={{ padding: '8px', textAlign: 'left' }}>Repeats</th>
+              <th style={{ padding: '8px', textAlign: 'left' }}>Next run</th>
+              <th style={{ padding: '8px', textAlign: 'right' }}>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {schedules.map(schedule => (
+              <React.Fragment key={schedule.id}>
+                <tr style={{ borderTop: '1px solid #DFE1E6', verticalAlign: 'top', opacity: schedule.enabled ? 1 : 0.6 }}>
+                  <td style={{ padding: '8px' }}>
+                    <strong>{schedule.name}</strong>{!schedule.enabled && ' (paused)'}
+                    <div style={{ color: '#6B778C', fontSize: '12px' }}>"{schedule.titlePattern}" in {schedule.spaceKey}</div>
+                  </td>
+                  <td style={{ padding: '8px' }}>{schedule.recurrence}</td>
+                  <td style={{ padding: '8px' }}>{schedule.enabled ? formatDateTime(schedule.nextRunAt) : '—'}</td>
+                  <td style={{ padding: '8px', textAlign: 'right', whiteSpace: 'nowrap' }}>
+                    <button onClick={() => setExpandedId(expandedId === schedule.id ? null : schedule.id)} style={linkButtonStyle}>
+                      Runs ({schedule.runs.length})
+                    </button>
+                    <button onClick={() => editSchedule(schedule)} style={linkButtonStyle}>Edit</button>
+                    <button
+                      onClick={() => runAction('setScheduleEnabled', { scheduleId: schedule.id, enabled: !schedule.enabled })}
+                      style={linkButtonStyle}
+                    >
+                      {schedule.enabled ? 'Pause' : 'Resume'}
+                    </button>
+                    <button
+                      onClick={() => runAction('deleteSchedule', { scheduleId: schedule.id })}
+                      style={{ ...linkButtonStyle, color: '#DE350B' }}
+                    >
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+                {expandedId === schedule.id && (
+                  <tr>
+                    <td colSpan={4} style={{ padding: '12px 16px', backgroundColor: '#FAFBFC' }}>
+                      {schedule.runs.length === 0 ? (
+                        <span style={{ color: '#6B778C' }}>This schedule has not run yet.</span>
+                      ) : (
+                        <ul style={{ margin: 0, paddingLeft: '18px' }}>
+                          {schedule.runs.map(run => (
+                            <li key={run.startedAt} style={{ marginBottom: '6px' }}>
+                              {formatDateTime(run.scheduledFor)} — {RUN_STATUS_LABELS[run.status] || run.status}
+                              {run.createdCount !== undefined && `, ${run.createdCount} created`}
+                              {run.skippedCount ? `, ${run.skippedCount} skipped` : ''}
+                              {run.errorCount ? `, ${run.errorCount} errors` : ''}
+                              {run.error && <span style={{ color: '#BF2600' }}> — {run.error}</span>}
+                              {(run.pages || []).map(page => (
+                                <a
+                                  key={page.id}
+                                  href="#"
+                                  onClick={(e) => {
+                                    e.preventDefault();
+                                    router.open(page.url);
+                                  }}
+                                  style={{ color: '#0052CC', textDecoration: 'none', marginLeft: '8px' }}
+                                >
+                                  {page.title}
+                                </a>
+                              ))}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default ScheduleManager;
@@ -0,0 +1,348 @@
+import React, { useState, useEffect } from 'react';
+import { invoke, router } from '@forge/bridge';
+import RollbackPanel from './RollbackPanel';
+
+const FONT_FAMILY = '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif';
+
+const POLL_INTERVAL_MS = 2000;
+const MAX_SPACES = 25;
+
+const PARENT_RULES = [
+  { value: 'homepage', label: 'Under the space homepage' },
+  { value: 'title', label: 'Under the page titled...' },
+  { value: 'new-parent', label: 'Under a new parent titled...' }
+];
+
+const STATUS_LABELS = {
+  preparing: '🛠️ Preparing',
+  queued: '⏳ Queued',
+  running: '🔄 Running',
+  completed: '✅ Completed',
+  failed: '❌ Failed'
+};
+
+const inputStyle = {
+  padding: '6px 8px',
+  border: '1px solid #DFE1E6',
+  borderRadius: '3px',
+  fontSize: '13px',
+  fontFamily: FONT_FAMILY
+};
+
+const primaryButtonStyle = (disabled) => ({
+  padding: '10px 20px',
+  backgroundColor: disabled ? '#DFE1E6' : '#0052CC',
+  color: 'white',
+  border: 'none',
+  borderRadius: '3px',
+  fontSize: '14px',
+  fontWeight: '600',
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  fontFamily: FONT_FAMILY
+});
+
+// Step 3 for a run across several spaces: pick the spaces and a parent rule for each,
+// review the per-space plan, then follow the queued runs and show results grouped by space.
+// `buildRequest` returns the shared template/title fields, or null after reporting a problem.
+const SpaceFanOut = ({ spaces, buildRequest, onError }) => {
+  const [targets, setTargets] = useState({}); // spaceKey -> { parentRule, parentTitle }
+  const [filter, setFilter] = useState('');
+  const [plan, setPlan] = useState(null);
+  const [loadingPlan, setLoadingPlan] = useState(false);
+  const [fanOutId, setFanOutId] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [expandedSpace, setExpandedSpace] = useState(null);
+
+  // Any change to the targets invalidates a reviewed plan
+  useEffect(() => {
+    setPlan(null);
+  }, [targets]);
+
+  // Follow the queued runs until every space has finished or stalled
+  useEffect(() => {
+    if (!fanOutId) return undefined;
+    let cancelled = false;
+    const poll = async () => {
+      try {
+        const result = await invoke('getFanOutStatus', { fanOutId });
+        if (cancelled) return;
+        if (!result.success) {
+          throw new Error(result.error || 'Failed to read run status');
+        }
+        setStatus(result);
+        if (!result.finished) {
+          setTimeout(poll, POLL_INTERVAL_MS);
+        }
+      } catch (err) {
+        if (!cancelled) onError('Failed to follow the run: ' + err.message);
+      }
+    };
+    poll();
+    return () => {
+      cancelled = true;
+    };
+  }, [fanOutId, onError]);
+
+  const selectedKeys = Object.keys(targets);
+  const visibleSpaces = spaces.filter(space =>
+    !filter || space.name.toLowerCase().includes(filter.toLowerCase()) || space.key.toLowerCase().includes(filter.toLowerCase())
+  );
+  const incomplete = selectedKeys.some(key => targets[key].parentRule !== 'homepage' && !targets[key].parentTitle.trim());
+
+  const toggleSpace = (spaceKey) => {
+    setTargets(prev => {
+      const next = { ...prev };
+      if (next[spaceKey]) {
+        delete next[spaceKey];
+      } else if (Object.keys(next).length < MAX_SPACES) {
+        next[spaceKey] = { parentRule: 'homepage', parentTitle: '' };
+      }
+      return next;
+    });
+  };
+
+  const updateTarget = (spaceKey, changes) => {
+    setTargets(prev => ({ ...prev, [spaceKey]: { ...prev[spaceKey], ...changes } }));
+  };
+
+  const buildPayload = () => {
+    const request = buildRequest();
+    if (!request) return null;
+    return {
+      ...request,
+      targets: selectedKeys.map(spaceKey => ({ spaceKey, ...targets[spaceKey] }))
+    };
+  };
+
+  const loadPlan = async () => {
+    const payload = buildPayload();
+    if (!payload) return;
+    onError('');
+    setLoadingPlan(true);
+    try {
+      const result = await invoke('startFanOutRun', { ...payload, dryRun: true });
+      if (!result.success) {
+        throw new Error(result.error || 'Unknown error');
+      }
+      setPlan(result.spaces);
+    } catch (err) {
+      onError('Failed to preview pages: ' + err.message);
+    } finally {
+      setLoadingPlan(false);
+    }
+  };
+
+  const startRun = async () => {
+    const payload = buildPayload();
+    if (!payload) return;
+    onError('');
+    setLoadingPlan(true);
+    try {
+      const result = await invoke('startFanOutRun', payload);
+      if (!result.success) {
+        throw new Error(result.error || 'Unknown error');
+      }
+      setFanOutId(result.fanOutId);
+    } catch (err) {
+      onError('Failed to start the run: ' + err.message);
+    } finally {
+      setLoadingPlan(false);
+    }
+  };
+
+  // Results, grouped by space
+  if (fanOutId) {
+    return (
+      <div style={{ fontFamily: FONT_FAMILY }}>
+        <div style={{ marginBottom: '16px' }}>
+          <div style={{ marginBottom: '8px', fontWeight: '600', color: '#0052CC', fontSize: '14px' }}>
+            {status?.finished ? '✅ Fan-out run finished' : `🚀 Creating pages in ${selectedKeys.length} spaces`}
+          </div>
+          <div style={{ width: '100%', height: '8px', backgroundColor: '#DFE1E6', borderRadius: '4px', overflow: 'hidden' }}>
+            <div style={{
+              height: '100%',
+              backgroundColor: '#00B8D9',
+              width: `${status?.progress.percentage || 0}%`,
+              transition: 'width 0.3s ease-in-out'
+            }} />
+          </div>
+          <div style={{ marginTop: '4px', fontSize: '12px', color: '#6B778C' }}>
+            Pages: {status?.progress.processed || 0}/{status?.progress.total || 0}
+          </div>
+        </div>
+
+        {(status?.spaces || []).map(space => (
+          <div key={space.spaceKey} style={{
+            border: '1px solid #DFE1E6',
+            borderRadius: '3px',
+            marginBottom: '12px',
+            backgroundColor: 'white'
+          }}>
+            <div
+              onClick={() => setExpandedSpace(expandedSpace === space.spaceKey ? null : space.spaceKey)}
+              style={{ padding: '12px', cursor: 'pointer', display: 'flex', justifyContent: 'space-between', fontSize: '14px' }}
+            >
+              <span>
+                {expandedSpace === space.spaceKey ? '▾' : '▸'} <strong>{space.spaceName}</strong>
+                <span style={{ color: '#6B778C' }}>
+                  {' '}· {PARENT_RULES.find(rule => rule.value === space.parentRule)?.label.replace('...', '')}
+                  {space.parentTitle ? ` "${space.parentTitle}"` : ''}
+                </span>
+              </span>
+              <span style={{ color: space.error ? '#BF2600' : '#42526E', fontSize: '13px' }}>
+                {space.stalled ? '⚠️ Stalled' : STATUS_LABELS[space.status] || space.status}
+                {space.data ? ` · ${space.data.createdCount} created` : ''}
+                {space.data?.errors.length ? `, ${space.data.errors.length} failed` : ''}
+              </span>
+            </div>
+            {expandedSpace === space.spaceKey && (
+              <div style={{ padding: '0 12px 12px 12px', fontSize: '13px' }}>
+                {space.error && <p style={{ margin: '0 0 8px 0', color: '#BF2600' }}>⚠️ {space.error}</p>}
+                {space.data?.pages.length > 0 && (
+                  <ul style={{ margin: '0 0 8px 0', paddingLeft: '18px' }}>
+                    {space.data.pages.map(page => (
+                      <li key={page.id} style={{ marginBottom: '4px' }}>
+                        <a
+                          href="#"
+                          onClick={(e) => {
+                            e.preventDefault();
+                            router.open(page.url);
+                          }}
+                          style={{ color: '#0052CC', textDecoration: 'none' }}
+                        >
+                          {page.title}
+                        </a>
+                        {page.outcome && page.outcome !== 'created' && <span style={{ color: '#6B778C' }}> ({page.outcome})</span>}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {space.data?.errors.length > 0 && (
+                  <ul style={{ margin: '0 0 8px 0', paddingLeft: '18px', color: '#BF2600' }}>
+                    {space.data.errors.map((err, idx) => (
+                      <li key={idx}>"{err.title}" — {err.error || 'Unknown error'}</li>
+                    ))}
+                  </ul>
+                )}
+                {space.jobId && space.status === 'completed' && (
+                  <RollbackPanel jobId={space.jobId} initialRollback={space.rollback} />
+                )}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ fontFamily: FONT_FAMILY }}>
+      <div style={{
+        backgroundColor: '#DEEBFF',
+        padding: '20px',
+        borderRadius: '3px',
+        marginBottom: '20px'
+      }}>
+        <label style={{ display: 'block', fontWeight: 'bold', color: '#000000', marginBottom: '4px' }}>
+          🌐 Spaces and Parents
+        </label>
+        <p style={{ margin: '0 0 12px 0', fontSize: '14px', color: '#000000' }}>
+          Choose up to {MAX_SPACES} spaces. The same pages are created in each, under the parent you pick per space.
+        </p>
+        <input
+          type="text"
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          placeholder="Filter spaces..."
+          style={{ ...inputStyle, width: '100%', boxSizing: 'border-box', marginBottom: '8px' }}
+        />
+        <div style={{ maxHeight: '360px', overflowY: 'auto', backgroundColor: 'white', border: '1px solid #DFE1E6', borderRadius: '3px' }}>
+          {visibleSpaces.map(space => {
+            const target = targets[space.key];
+            return (
+              <div key={space.key} style={{ padding: '8px 12px', borderBottom: '1px solid #F4F5F7', fontSize: '13px' }}>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '8px', cursor: 'pointer' }}>
+                  <input type="checkbox" checked={!!target} onChange={() => toggleSpace(space.key)} />
+                  <span><strong>{space.name}</strong> <span style={{ color: '#6B778C' }}>({space.key})</span></span>
+                </label>
+                {target && (
+                  <div style={{ display: 'flex', gap: '8px', marginTop: '6px', marginLeft: '24px', flexWrap: 'wrap' }}>
+                    <select
+                      value={target.parentRule}
+                      onChange={(e) => updateTarget(space.key, { parentRule: e.target.value })}
+                      style={inputStyle}
+                    >
+                      {PARENT_RULES.map(rule => (
+                        <option key={rule.value} value={rule.value}>{rule.label}</option>
+                      ))}
+                    </select>
+                    {target.parentRule !== 'homepage' && (
+                      <input
+                        type="text"
+                        value={target.parentTitle}
+                        onChange={(e) => updateTarget(space.key, { parentTitle: e.target.value })}
+                        placeholder={target.parentRule === 'title' ? 'Existing page title' : 'New parent title'}
+                        style={{ ...inputStyle, flex: '1 1 200px' }}
+                      />
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+        <div style={{ marginTop: '8px', fontSize: '12px', color: '#6B778C' }}>
+          {selectedKeys.length} of {MAX_SPACES} spaces selected
+        </div>
+      </div>
+
+      {plan && (
+        <div style={{
+          backgroundColor: '#F4F5F7',
+          padding: '20px',
+          borderRadius: '3px',
+          marginBottom: '20px',
+          border: '1px solid #DFE1E6',
+          fontSize: '13px'
+        }}>
+          <label style={{ display: 'block', fontWeight: 'bold', color: '#000000', marginBottom: '8px', fontSize: '14px' }}>
+            🔎 Review the plan
+          </label>
+          <ul style={{ margin: 0, paddingLeft: '18px' }}>
+            {plan.map(space => (
+              <li key={space.spaceKey} style={{ marginBottom: '6px', color: space.error || space.plan?.willAbort ? '#BF2600' : '#000000' }}>
+                <strong>{space.spaceName}</strong>
+                {space.error
+                  ? ` — ${space.error}`
+                  : <>
+                    {' '}— {space.plan.totalPages} pages
+                    {space.plan.parent.willCreate
+                      ? ` under a new parent "${space.plan.parent.title}"`
+                      : ` under "${space.plan.parent.title}"`}
+                    {space.plan.conflictCount > 0 && (
+                      <span style={{ color: space.plan.willAbort ? '#BF2600' : '#974F00' }}>
+                        {' '}· {space.plan.conflictCount} titles already exist{space.plan.willAbort ? ', this space will be skipped' : ''}
+                      </span>
+                    )}
+                  </>}
+              </li>
+            ))}
+          </ul>
+          <p style={{ margin: '8px 0 0 0', color: '#6B778C' }}>
+            Spaces with a problem are skipped; the others still run. Nothing has been created yet.
+          </p>
+        </div>
+      )}
+
+      <button
+        onClick={plan ? startRun : loadPlan}
+        disabled={loadingPlan || selectedKeys.length === 0 || incomplete}
+        style={primaryButtonStyle(loadingPlan || selectedKeys.length === 0 || incomplete)}
+      >
+        {loadingPlan ? '🔄 Checking...' : plan ? `Confirm & Create in ${selectedKeys.length} Spaces` : 'Review Plan'}
+      </button>
+    </div>
+  );
+};
+
+export default SpaceFanOut;
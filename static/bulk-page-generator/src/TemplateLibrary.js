@@ -0,0 +1,321 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { invoke } from '@forge/bridge';
+import PropagatePanel from './PropagatePanel';
+
+const FONT_FAMILY = '-apple-system, BlinkMacSystemFont, "Segoe UI", "Roboto", "Oxygen", "Ubuntu", "Fira Sans", "Droid Sans", "Helvetica Neue", sans-serif';
+
+// Wait this long after the last keystroke before searching
+const SEARCH_DEBOUNCE_MS = 300;
+
+const inputStyle = {
+  padding: '6px 8px',
+  border: '1px solid #DFE1E6',
+  borderRadius: '3px',
+  fontSize: '13px',
+  fontFamily: FONT_FAMILY
+};
+
+const linkButtonStyle = {
+  padding: '4px 8px',
+  backgroundColor: 'transparent',
+  color: '#0052CC',
+  border: 'none',
+  fontSize: '13px',
+  cursor: 'pointer',
+  fontFamily: FONT_FAMILY
+};
+
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleDateString() : '—');
+
+// Saved templates: rename, tag, re-sync from the source page, delete, or start a run from one
+const TemplateLibrary = ({ onUseTemplate }) => {
+  const [templates, setTemplates] = useState([]);
+  const [knownTags, setKnownTags] = useState([]);
+  const [search, setSearch] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const [tagFilter, setTagFilter] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // Inline editing state, keyed by template ID
+  const [editing, setEditing] = useState(null); // { id, field: 'name' | 'tags', value }
+  const [busyId, setBusyId] = useState(null);
+  const [confirmDeleteId, setConfirmDeleteId] = useState(null);
+  const [propagateId, setPropagateId] = useState(null);
+
+  useEffect(() => {
+    const timeoutId = setTimeout(() => setDebouncedSearch(search), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timeoutId);
+  }, [search]);
+
+  const loadTemplates = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const result = await invoke('getUserTemplates', { search: debouncedSearch, tag: tagFilter });
+      if (result.error) {
+        throw new Error(result.error);
+      }
+      setTemplates(result.templates);
+      setKnownTags(prev => [...new Set([...prev, ...result.templates.flatMap(t => t.tags)])].sort());
+    } catch (err) {
+      setError('Failed to load templates: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [debouncedSearch, tagFilter]);
+
+  useEffect(() => {
+    loadTemplates();
+  }, [loadTemplates]);
+
+  // Run a library action and swap the updated template into the list
+  const runAction = async (templateId, resolverName, payload = {}) => {
+    setBusyId(templateId);
+    setError('');
+    try {
+      const result = await invoke(resolverName, { templateId, ...payload });
+      if (!result.success) {
+        throw new Error(result.error || 'Unknown error');
+      }
+      if (resolverName === 'deleteTemplate') {
+        setTemplates(prev => prev.filter(t => t.id !== templateId));
+      } else {
+        setTemplates(prev => prev.map(t => (t.id === templateId ? result.template : t)));
+        setKnownTags(prev => [...new Set([...prev, ...result.template.tags])].sort());
+      }
+      return true;
+    } catch (err) {
+      setError('Template update failed: ' + err.message);
+      return false;
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const saveEdit = async () => {
+    const { id, field, value } = editing;
+    const saved = field === 'name'
+      ? await runAction(id, 'renameTemplate', { name: value })
+      : await runAction(id, 'setTemplateTags', { tags: value.split(',') });
+    if (saved) {
+      setEditing(null);
+    }
+  };
+
+  const renderEditor = () => (
+    <span style={{ display: 'inline-flex', gap: '4px', alignItems: 'center' }}>
+      <input
+        autoFocus
+        value={editing.value}
+        onChange={(e) => setEditing({ ...editing, value: e.target.value })}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') saveEdit();
+          if (e.key === 'Escape') setEditing(null);
+        }}
+        placeholder={editing.field === 'tags' ? 'tag1, tag2' : 'Template name'}
+        style={{ ...inputStyle, width: '220px' }}
+      />
+      <button onClick={saveEdit} style={linkButtonStyle}>Save</button>
+      <button onClick={() => setEditing(null)} style={{ ...linkButtonStyle, color: '#6B778C' }}>Cancel</button>
+    </span>
+  );
+
+  return (
+    <div style={{ padding: '20px', fontFamily: FONT_FAMILY }}>
+      <h3 style={{ margin: '0 0 16px 0', color: '#000000', fontWeight: 'bold', fontSize: '22px' }}>
+        📚 Template Library
+      </h3>
+
+      {/* Search and tag filter */}
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', alignItems: 'center', marginBottom: '16px' }}>
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search by name, source page or tag..."
+          style={{ ...inputStyle, flex: '1 1 260px' }}
+        />
+        <button
+          onClick={() => setTagFilter('')}
+          style={{
+            ...inputStyle,
+            cursor: 'pointer',
+            backgroundColor: tagFilter === '' ? '#DEEBFF' : 'white'
+          }}
+        >
+          All tags
+        </button>
+        {knownTags.map(tag => (
+          <button
+            key={tag}
+            onClick={() => setTagFilter(tagFilter === tag ? '' : tag)}
+            style={{
+              ...inputStyle,
+              cursor: 'pointer',
+              backgroundColor: tagFilter === tag ? '#DEEBFF' : 'white'
+            }}
+          >
+            🏷️ {tag}
+          </button>
+        ))}
+      </div>
+
+      {error && (
+        <div style={{
+          backgroundColor: '#FFEBE6',
+          border: '1px solid #FF8F73',
+          color: '#BF2600',
+          padding: '12px',
+          borderRadius: '3px',
+          marginBottom: '16px'
+        }}>
+          {error}
+        </div>
+      )}
+
+      {loading && templates.length === 0 && (
+        <p style={{ color: '#6B778C', fontSize: '14px' }}>Loading templates...</p>
+      )}
+
+      {!loading && templates.length === 0 && !error && (
+        <p style={{ color: '#6B778C', fontSize: '14px' }}>
+          {search || tagFilter ? 'No templates match.' : 'No saved templates yet. Selecting a page in Step 1 saves it here.'}
+        </p>
+      )}
+
+      {templates.length > 0 && (
+        <table style={{ border: '1px solid #DFE1E6', borderCollapse: 'collapse', width: '100%', fontSize: '13px' }}>
+          <thead>
+            <tr style={{ backgroundColor: '#F4F5F7' }}>
+              <th style={{ padding: '8px', textAlign: 'left' }}>Template</th>
+              <th style={{ padding: '8px', textAlign: 'left' }}>Tags</th>
+              <th style={{ padding: '8px', textAlign: 'left' }}>Last synced</th>
+              <th style={{ padding: '8px', textAlign: 'right' }}>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {templates.map(template => {
+              const busy = busyId === template.id;
+              return (
+                <React.Fragment key={template.id}>
+                  <tr style={{ borderTop: '1px solid #DFE1E6', verticalAlign: 'top', opacity: busy ? 0.6 : 1 }}>
+                    <td style={{ padding: '8px' }}>
+                      {editing?.id === template.id && editing.field === 'name' ? renderEditor() : (
+                        <>
+                          <strong>{template.name}</strong>
+                          <button
+                            onClick={() => setEditing({ id: template.id, field: 'name', value: template.name })}
+                            style={linkButtonStyle}
+                          >
+                            Rename
+                          </button>
+                        </>
+                      )}
+                      <div style={{ color: '#6B778C', fontSize: '12px' }}>
+                        Source: "{template.sourcePageTitle}"
+                        {template.descendantCount ? ` · +${template.descendantCount} child pages` : ''}
+                        {template.customPlaceholders.length ? ` · ${template.customPlaceholders.length} custom placeholders` : ''}
+                        {Object.keys(template.carryOver || {}).some(key => template.carryOver[key])
+                          ? ` · carries over ${Object.keys(template.carryOver).filter(key => template.carryOver[key]).join(', ')}`
+                          : ''}
+                      </div>
+                    </td>
+                    <td style={{ padding: '8px' }}>
+                      {editing?.id === template.id && editing.field === 'tags' ? renderEditor() : (
+                        <>
+                          {template.tags.length > 0
+                            ? template.tags.map(tag => (
+                              <span key={tag} style={{
+                                display: 'inline-block',
+                                padding: '2px 6px',
+                                marginRight: '4px',
+                                marginBottom: '4px',
+                                backgroundColor: '#EBECF0',
+                                borderRadius: '3px',
+                                fontSize: '12px'
+                              }}>
+                                {tag}
+                              </span>
+                            ))
+                            : <span style={{ color: '#97A0AF' }}>No tags</span>}
+                          <button
+                            onClick={() => setEditing({ id: template.id, field: 'tags', value: template.tags.join(', ') })}
+                            style={linkButtonStyle}
+                          >
+                            Edit
+                          </button>
+                        </>
+                      )}
+                    </td>
+                    <td style={{ padding: '8px', color: '#42526E' }}>{formatDate(template.lastSyncedAt)}</td>
+                    <td style={{ padding: '8px', textAlign: 'right', whiteSpace: 'nowrap' }}>
+                      {confirmDeleteId === template.id ? (
+                        <>
+                          <span style={{ color: '#BF2600' }}>Delete this template?</span>
+                          <button
+                            onClick={async () => {
+                              await runAction(template.id, 'deleteTemplate');
+                              setConfirmDeleteId(null);
+                            }}
+                            disabled={busy}
+                            style={{ ...linkButtonStyle, color: '#DE350B', fontWeight: '600' }}
+                          >
+                            Delete
+                          </button>
+                          <button onClick={() => setConfirmDeleteId(null)} style={{ ...linkButtonStyle, color: '#6B778C' }}>
+                            Cancel
+                          </button>
+                        </>
+                      ) : (
+                        <>
+                          {onUseTemplate && (
+                            <button onClick={() => onUseTemplate(template)} disabled={busy} style={linkButtonStyle}>
+                              Use
+                            </button>
+                          )}
+                          <button
+                            onClick={() => runAction(template.id, 'resyncTemplate')}
+                            disabled={busy}
+                            title="Re-fetch the content of the source page"
+                            style={linkButtonStyle}
+                          >
+                            {busy ? '🔄 Working...' : 'Re-sync'}
+                          </button>
+                          <button
+                            onClick={() => setPropagateId(propagateId === template.id ? null : template.id)}
+                            disabled={busy}
+                            title="Push this template to the pages generated from it"
+                            style={linkButtonStyle}
+                          >
+                            Propagate
+                          </button>
+                          <button
+                            onClick={() => setConfirmDeleteId(template.id)}
+                            disabled={busy}
+                            style={{ ...linkButtonStyle, color: '#DE350B' }}
+                          >
+                            Delete
+                          </button>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                  {propagateId === template.id && (
+                    <tr>
+                      <td colSpan={4} style={{ padding: '0 8px 8px 8px' }}>
+                        <PropagatePanel template={template} onClose={() => setPropagateId(null)} />
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default TemplateLibrary;
@@ -0,0 +1,141 @@
+// CSV / TSV import for Step 2: one column becomes the page title,
+// the remaining columns become per-page placeholder values.
+
+// Upper bound for a single import so one run stays manageable
+export const MAX_IMPORT_ROWS = 500;
+
+// Pick the delimiter from the header line: tabs win (spreadsheet paste), then semicolons, then commas
+const detectDelimiter = (headerLine) => {
+  if (headerLine.includes('\t')) return '\t';
+  const semicolons = (headerLine.match(/;/g) || []).length;
+  const commas = (headerLine.match(/,/g) || []).length;
+  return semicolons > commas ? ';' : ',';
+};
+
+// Split text into records, honouring quoted fields ("a, b" and "" escapes) and CRLF line endings
+const splitRecords = (text, delimiter) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push({ line: recordLine, fields: record });
+      record = [];
+      field = '';
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push({ line: recordLine, fields: record });
+  }
+
+  return { records, unterminatedQuote: inQuotes };
+};
+
+// Turn a header cell into a placeholder key usable as {{key}}
+export const toPlaceholderKey = (header) => header.trim().replace(/\s+/g, '_').replace(/[^\w.-]/g, '');
+
+// Parse pasted or uploaded text into a header row and data rows
+export const parseDelimitedText = (text) => {
+  const normalized = (text || '').replace(/^\uFEFF/, '');
+  const firstLine = normalized.split(/\r?\n/).find(l => l.trim()) || '';
+  const delimiter = detectDelimiter(firstLine);
+  const { records, unterminatedQuote } = splitRecords(normalized, delimiter);
+
+  const nonEmpty = records.filter(r => r.fields.some(f => f.trim()));
+  if (nonEmpty.length === 0) {
+    return { headers: [], rows: [], delimiter, errors: [{ line: 1, message: 'No data found' }] };
+  }
+
+  const [headerRecord, ...dataRecords] = nonEmpty;
+  const headers = headerRecord.fields.map(h => h.trim());
+  const errors = [];
+
+  if (unterminatedQuote) {
+    errors.push({ line: nonEmpty[nonEmpty.length - 1].line, message: 'Unterminated quoted field' });
+  }
+
+  return {
+    headers,
+    rows: dataRecords.map(r => ({ line: r.line, fields: r.fields })),
+    delimiter,
+    errors
+  };
+};
+
+// Validate parsed rows and build the titles and per-page values for the chosen title column
+export const buildImport = ({ headers, rows, errors: parseErrors = [] }, titleColumn) => {
+  const errors = [...parseErrors];
+  const titles = [];
+  const pageVariables = [];
+  const titleIndex = headers.indexOf(titleColumn);
+
+  if (titleIndex === -1) {
+    return { titles, pageVariables, errors: [...errors, { line: 1, message: `Column "${titleColumn}" not found` }] };
+  }
+
+  rows.forEach(({ line, fields }) => {
+    if (fields.length !== headers.length) {
+      errors.push({ line, message: `Expected ${headers.length} columns but found ${fields.length}` });
+      return;
+    }
+
+    const title = fields[titleIndex].trim();
+    if (!title) {
+      errors.push({ line, message: `Empty value in title column "${titleColumn}"` });
+      return;
+    }
+    if (title.length > 255) {
+      errors.push({ line, message: 'Title is longer than 255 characters' });
+      return;
+    }
+    if (titles.length >= MAX_IMPORT_ROWS) {
+      errors.push({ line, message: `Import is limited to ${MAX_IMPORT_ROWS} pages` });
+      return;
+    }
+
+    const variables = {};
+    headers.forEach((header, i) => {
+      const key = toPlaceholderKey(header);
+      if (i !== titleIndex && key) {
+        variables[key] = fields[i].trim();
+      }
+    });
+
+    titles.push(title);
+    pageVariables.push(variables);
+  });
+
+  return { titles, pageVariables, errors };
+};
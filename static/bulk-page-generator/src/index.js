@@ -1,6 +1,32 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import ReactDOM from 'react-dom/client';
+import { view } from '@forge/bridge';
 import BulkPageCloner from './BulkPageGenerator';
+import MacroConfig from './MacroConfig';
+import MacroButton from './MacroButton';
+
+// The macro's config panel edits its preset and a configured macro shows the preset's button;
+// every other entry point (and a macro without a preset) opens the wizard
+const App = () => {
+  const [context, setContext] = useState(undefined);
+
+  useEffect(() => {
+    view.getContext().then(setContext).catch(() => setContext(null));
+  }, []);
+
+  if (context === undefined) {
+    return null;
+  }
+
+  const extension = context?.extension;
+  if (extension?.type === 'macro' && extension.isConfig) {
+    return <MacroConfig initialConfig={extension.config || {}} />;
+  }
+  if (extension?.type === 'macro' && extension.config?.templateId) {
+    return <MacroButton config={extension.config} />;
+  }
+  return <BulkPageCloner />;
+};
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(<BulkPageCloner />);
\ No newline at end of file
+root.render(<App />);